@@ -4,6 +4,11 @@ const express = require('express');
 const path = require('path');
 const { Pool } = require('pg');
 const { v4: uuidv4 } = require('uuid');
+const { SourceCatalog } = require('./utils/sourceCatalog');
+const { loadFormatModules } = require('./streaming/formats');
+const { ExportWorker } = require('./jobs/exportWorker');
+const { JobRepository } = require('./jobs/jobRepository');
+const { StreamRepository } = require('./jobs/streamRepository');
 
 // Initialize Express app
 const app = express();
@@ -12,6 +17,13 @@ const PORT = process.env.PORT || 8080;
 // Middleware
 app.use(express.json());
 
+// Third-party export formats, registered next to the built-in ones before
+// any route reads the registry
+const pluginFormats = loadFormatModules(process.env.EXPORT_FORMAT_MODULES);
+if (pluginFormats.length > 0) {
+  console.log(`Registered export formats: ${pluginFormats.join(', ')}`);
+}
+
 // Database connection pool
 const pool = new Pool({
   user: process.env.POSTGRES_USER || 'user',
@@ -19,13 +31,31 @@ const pool = new Pool({
   host: process.env.POSTGRES_HOST || 'localhost',
   port: process.env.POSTGRES_PORT || 5432,
   database: process.env.POSTGRES_DB || 'exports_db',
-  max: 5,
+  // Running jobs, live downloads, the partitions of a parallel export and
+  // repository queries all share it (see maxParallelPartitions)
+  max: parseInt(process.env.POSTGRES_POOL_MAX, 10) || 10,
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 2000,
 });
 
-// In-memory job store
-const exportJobs = new Map();
+// Durable job store, shared by all replicas
+const jobRepository = new JobRepository(pool);
+
+// Named export streams and the watermarks their runs reached
+const streamRepository = new StreamRepository(pool);
+
+// Exportable tables and views from EXPORT_SOURCES, with their columns
+// introspected on first use
+const sourceCatalog = new SourceCatalog(pool);
+
+// Background worker that runs pending export jobs
+const exportWorker = new ExportWorker(pool, jobRepository, {
+  concurrency: parseInt(process.env.EXPORT_WORKER_CONCURRENCY, 10) || 2,
+  pollIntervalMs: parseInt(process.env.EXPORT_POLL_INTERVAL_MS, 10) || 1000,
+  staleAfterMs: parseInt(process.env.EXPORT_JOB_STALE_MS, 10) || 60000,
+  maxAttempts: parseInt(process.env.EXPORT_JOB_MAX_ATTEMPTS, 10) || 3,
+  streamRepository,
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -33,10 +63,14 @@ app.get('/health', (req, res) => {
 });
 
 // Import routes
-const exportsRouter = require('./routes/exports')(pool, exportJobs);
+const exportsRouter = require('./routes/exports')(pool, jobRepository, sourceCatalog, exportWorker, streamRepository, {
+  maxLiveDownloads: parseInt(process.env.EXPORT_MAX_LIVE_DOWNLOADS, 10) || 2,
+});
+const streamsRouter = require('./routes/streams')(streamRepository, sourceCatalog);
 
 // Mount routes
 app.use('/exports', exportsRouter);
+app.use('/streams', streamsRouter);
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -57,15 +91,33 @@ pool.on('error', (err) => {
   console.error('Unexpected error on idle client', err);
 });
 
+if (sourceCatalog.defaultSource) {
+  sourceCatalog
+    .columns(sourceCatalog.defaultSource)
+    .then(catalog => console.log(`Column catalog loaded for ${sourceCatalog.defaultSource}: ${catalog.names().join(', ')}`))
+    .catch((err) => console.error('Failed to load column catalog, will retry on first request:', err.message));
+}
+
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Polyglot Stream Export Engine listening on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // The worker needs the export_jobs and export_streams tables; it also
+  // recovers jobs left processing by a previous crash once their heartbeat
+  // is stale
+  Promise.all([jobRepository.ensureSchema(), streamRepository.ensureSchema()])
+    .then(() => exportWorker.start())
+    .catch((err) => {
+      console.error('Failed to prepare export job store:', err);
+      process.exit(1);
+    });
 });
 
 // Graceful shutdown
 const gracefulShutdown = async () => {
   console.log('Shutting down gracefully...');
   server.close(async () => {
+    await exportWorker.stop();
     await pool.end();
     console.log('Database pool closed');
     process.exit(0);
@@ -0,0 +1,456 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { finished, pipeline } = require('stream/promises');
+
+const { getFormat } = require('../streaming/formats');
+const {
+  DEFAULT_SOURCE,
+  buildKeyBoundsQuery,
+  buildSelectQuery,
+  estimateRowCount,
+} = require('../utils/query');
+const { BufferStats } = require('../utils/backpressure');
+const { ExportCancelledError } = require('../utils/cancellation');
+const { COMPRESSIONS, createCompressor } = require('../utils/compression');
+const { HighWaterMarkClient, incrementalFilters, readHighWaterMark } = require('../utils/incremental');
+const { PartCursorClient } = require('../utils/partCursor');
+const {
+  OrderedPartitionClient,
+  SnapshotClient,
+  idRanges,
+  partitionFilters,
+} = require('../utils/parallelExport');
+const {
+  MANIFEST_FILE,
+  ensureFreeSpace,
+  ensureStorageDir,
+  exportDirPath,
+  exportFilePath,
+  partFileName,
+  removeStoredFile,
+} = require('../utils/storage');
+
+/**
+ * Returns the extension of a job's stored files, codec included
+ */
+function storedExtension(job) {
+  const { extension } = getFormat(job.format);
+  return job.compression ? `${extension}.${COMPRESSIONS[job.compression].extension}` : extension;
+}
+
+/**
+ * Writes an export through its format's writer into `destination` (a file
+ * or an HTTP response), compressing it if requested
+ * entryName names the export file inside a zip archive
+ */
+async function writeStreamedExport(client, job, destination, writerOptions, entryName = null) {
+  const { writer, extension } = getFormat(job.format);
+
+  let outputStream = destination;
+  let written;
+  if (job.compression) {
+    const { compressionLevel } = job.options || {};
+    const compressor = createCompressor(job.compression, {
+      level: compressionLevel,
+      entryName: entryName || `export-${job.exportId}.${extension}`,
+    });
+    outputStream = compressor.input;
+    written = pipeline(compressor.output, destination);
+  } else {
+    written = finished(destination);
+  }
+  // Stream errors surface through `written`; keep them from going unhandled
+  // if the writer fails first
+  written.catch(() => {});
+
+  try {
+    const rowsExported = await writer(client, job.columns, outputStream, writerOptions);
+    await written;
+    return rowsExported;
+  } catch (err) {
+    outputStream.destroy();
+    destination.destroy();
+    throw err;
+  }
+}
+
+/**
+ * Passes bytes through unchanged, counting them and hashing them (SHA-256)
+ */
+function createChecksumStream() {
+  const hash = crypto.createHash('sha256');
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      stream.bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  stream.bytes = 0;
+  stream.digest = () => hash.digest('hex');
+  return stream;
+}
+
+/**
+ * Writes one part file of an export into dirPath
+ * `checksum` counts and hashes the part's stored bytes as they are written
+ * Returns the part's manifest entry
+ */
+async function writePartFile(client, job, dirPath, index, writerOptions, checksum = createChecksumStream()) {
+  const { extension } = getFormat(job.format);
+  const file = partFileName(index, storedExtension(job));
+  const written = pipeline(checksum, fs.createWriteStream(path.join(dirPath, file), { highWaterMark: 64 * 1024 }));
+  written.catch(() => {});
+
+  const rows = await writeStreamedExport(client, job, checksum, writerOptions, partFileName(index, extension));
+  await written;
+
+  return { index, file, rows, bytes: checksum.bytes, sha256: checksum.digest() };
+}
+
+/**
+ * Writes the manifest of a split export next to its parts; returns it
+ */
+async function writeManifest(job, dirPath, parts) {
+  const manifest = {
+    exportId: job.exportId,
+    format: job.format,
+    compression: job.compression,
+    totalRows: parts.reduce((sum, part) => sum + part.rows, 0),
+    totalBytes: parts.reduce((sum, part) => sum + part.bytes, 0),
+    parts,
+  };
+  await fs.promises.writeFile(path.join(dirPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/**
+ * Writes an export as part files into dirPath, rolling over to a new part,
+ * with its own header or prolog, whenever the current one reaches
+ * maxRowsPerFile rows or maxBytesPerFile bytes; all parts read one cursor
+ * in one transaction
+ * The manifest is written last; returns it
+ */
+async function writePartedExport(client, job, dirPath, writerOptions) {
+  const { maxRowsPerFile = null, maxBytesPerFile = null } = job.options;
+  const partClient = new PartCursorClient(client, { maxRows: maxRowsPerFile, maxBytes: maxBytesPerFile });
+  const parts = [];
+  let rowsBefore = 0;
+
+  try {
+    do {
+      const checksum = createChecksumStream();
+      partClient.startPart(() => checksum.bytes);
+      const part = await writePartFile(partClient, job, dirPath, parts.length, {
+        ...writerOptions,
+        onProgress: partRows => writerOptions.onProgress(rowsBefore + partRows),
+      }, checksum);
+
+      parts.push(part);
+      rowsBefore += part.rows;
+    } while (await partClient.hasMoreRows());
+
+    await partClient.finish();
+  } catch (err) {
+    // A writer that failed has rolled back already; anything failing
+    // between parts leaves the shared transaction open
+    if (partClient.inTransaction) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    throw err;
+  }
+
+  return writeManifest(job, dirPath, parts);
+}
+
+// Pool -> the turn of the last parallel job queued on it; each turn ends
+// when that job releases its partition connections
+const partitionTurns = new WeakMap();
+
+/**
+ * Connects `count` pool clients into `clients` for the partitions of one
+ * job, once no other job holds partition connections from the pool
+ * Parallel jobs queue here rather than in pool.connect(), which would fail
+ * after its connectionTimeoutMillis while another job runs its partitions
+ * Returns the function releasing the clients and ending the turn
+ */
+async function connectPartitionClients(pool, count, clients) {
+  const previous = partitionTurns.get(pool) || Promise.resolve();
+  let endTurn;
+  const turn = new Promise((resolve) => {
+    endTurn = resolve;
+  });
+  partitionTurns.set(pool, previous.then(() => turn));
+  const release = () => {
+    clients.splice(0).forEach(partitionClient => partitionClient.release());
+    endTurn();
+  };
+
+  await previous;
+  try {
+    for (let i = 0; i < count; i++) {
+      clients.push(await pool.connect());
+    }
+  } catch (err) {
+    release();
+    throw err;
+  }
+  return release;
+}
+
+/**
+ * Opens the partitions of a parallel export: exports a snapshot from
+ * `client`, whose transaction stays open until the export ends, splits the
+ * filtered ids into ranges and connects a pool client for each
+ * Incremental jobs also read their high-water mark in the snapshot
+ * Returns { list: [{ client, range, filters }], highWaterMark, release }
+ */
+async function openPartitions(pool, client, job) {
+  const clients = [];
+  let release = () => {};
+
+  try {
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const { rows: [{ snapshot }] } = await client.query('SELECT pg_export_snapshot() AS snapshot');
+    const source = jobSource(job);
+    const bounds = buildKeyBoundsQuery(job.filters, source);
+    const { rows: [{ min, max }] } = await client.query(bounds.text, bounds.values);
+    const { incremental } = job.options;
+    const highWaterMark = incremental ? await readHighWaterMark(client, incremental.key, job.filters, source) : null;
+
+    // Without matching rows, one partition reads the (empty) selection
+    const ranges = min === null ? [null] : idRanges(min, max, job.options.parallel.partitions);
+    release = await connectPartitionClients(pool, ranges.length, clients);
+
+    return {
+      list: ranges.map((range, index) => ({
+        client: new SnapshotClient(clients[index], snapshot),
+        range,
+        filters: range ? partitionFilters(job.filters, range, source) : job.filters,
+      })),
+      highWaterMark,
+      release,
+    };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    release();
+    throw err;
+  }
+}
+
+/**
+ * Writes one part file per partition into dirPath, all at once
+ * The first failure stops the other partitions; the manifest records each
+ * part's id range and is written last
+ */
+async function writePartitionFiles(partitions, job, dirPath, writerOptions) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const { signal } = writerOptions;
+  if (signal) {
+    if (signal.aborted) abort();
+    signal.addEventListener('abort', abort);
+  }
+
+  const progress = partitions.map(() => 0);
+  const runs = partitions.map((partition, index) => writePartFile(partition.client, job, dirPath, index, {
+    ...writerOptions,
+    filters: partition.filters,
+    signal: controller.signal,
+    onProgress: (rows) => {
+      progress[index] = rows;
+      writerOptions.onProgress(progress.reduce((sum, count) => sum + count, 0));
+    },
+  }).catch((err) => {
+    abort();
+    throw err;
+  }));
+
+  const results = await Promise.allSettled(runs);
+  if (signal) signal.removeEventListener('abort', abort);
+
+  // Report what went wrong rather than the cancellations it caused
+  const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+  if (failures.length > 0) {
+    throw failures.find(err => !(err instanceof ExportCancelledError)) || failures[0];
+  }
+
+  const parts = results.map((result, index) => ({ ...result.value, range: partitions[index].range }));
+  return writeManifest(job, dirPath, parts);
+}
+
+/**
+ * The table or view a job exports, with its ordering key
+ * Jobs created before sources were configurable export records by id
+ */
+function jobSource(job) {
+  return job.source || DEFAULT_SOURCE;
+}
+
+/**
+ * Whether a job is split into part files
+ */
+function isPartedJob(job) {
+  const { maxRowsPerFile, maxBytesPerFile, parallel } = job.options || {};
+  return Boolean(maxRowsPerFile || maxBytesPerFile || (parallel && parallel.output === 'files'));
+}
+
+/**
+ * Writes a job's output to partialPath: a file, or a directory of part
+ * files and their manifest
+ * `partitions` are those of a parallel export, read in place of `client`
+ * Returns { rowsExported, outputSize }
+ */
+async function writeJobOutput(client, job, partialPath, writerOptions, partitions) {
+  if (isPartedJob(job)) {
+    // A run that crashed left its directory behind; the retry starts over
+    await fs.promises.rm(partialPath, { recursive: true, force: true });
+    await fs.promises.mkdir(partialPath);
+  }
+
+  if (partitions && job.options.parallel.output === 'files') {
+    const manifest = await writePartitionFiles(partitions, job, partialPath, writerOptions);
+    return { rowsExported: manifest.totalRows, outputSize: manifest.totalBytes };
+  }
+
+  // An ordered parallel export feeds every partition through one writer
+  const reader = partitions
+    ? new OrderedPartitionClient(client, partitions.map(partition => ({
+      client: partition.client,
+      query: buildSelectQuery(job.columns, partition.filters, { source: jobSource(job) }),
+    })))
+    : client;
+
+  if (isPartedJob(job)) {
+    const manifest = await writePartedExport(reader, job, partialPath, writerOptions);
+    return { rowsExported: manifest.totalRows, outputSize: manifest.totalBytes };
+  }
+
+  const fileStream = fs.createWriteStream(partialPath, { highWaterMark: 64 * 1024 });
+  const rowsExported = await writeStreamedExport(reader, job, fileStream, writerOptions);
+  const { size } = await fs.promises.stat(partialPath);
+  return { rowsExported, outputSize: size };
+}
+
+/**
+ * Runs an export job into the storage area
+ * The file, or the directory of part files and their manifest for jobs with
+ * maxRowsPerFile/maxBytesPerFile or parallel files output, is written under
+ * a .partial name and renamed once complete
+ * Parallel jobs read id ranges over several pool clients sharing the
+ * snapshot exported by the job's own client
+ * Incremental jobs read only the rows past their watermark and also return
+ * the highWaterMark they reached (their watermark when no row was past it)
+ * onProgress receives { rowsExported, totalRows } after every batch
+ * Aborting `signal` stops the writer between batches (ExportCancelledError)
+ * Refuses to start (InsufficientStorageError) when the storage area is
+ * low on free space
+ * Returns { outputPath, outputSize, rowsExported, maxBufferedBytes }, the
+ * last being the most output the writers had buffered at once
+ */
+async function runExport(pool, job, { onProgress = () => {}, signal = null } = {}) {
+  const { incremental = null, parallel = null } = job.options || {};
+  const source = jobSource(job);
+  job = { ...job, filters: incrementalFilters(job.filters, incremental, { source }) };
+
+  const outputPath = isPartedJob(job) ? exportDirPath(job.exportId) : exportFilePath(job.exportId, storedExtension(job));
+  const partialPath = `${outputPath}.partial`;
+
+  await ensureStorageDir();
+  await ensureFreeSpace();
+
+  const client = await pool.connect();
+  let partitions = null;
+  let watermarkClient = null;
+  try {
+    const totalRows = await estimateRowCount(client, buildSelectQuery(job.columns, job.filters, { source }));
+    onProgress({ rowsExported: 0, totalRows });
+
+    const bufferStats = new BufferStats();
+    const writerOptions = {
+      ...job.options,
+      filters: job.filters,
+      source,
+      signal,
+      bufferStats,
+      onProgress: (rowsExported) => onProgress({ rowsExported, totalRows }),
+    };
+
+    if (parallel) {
+      partitions = await openPartitions(pool, client, job);
+    } else if (incremental) {
+      watermarkClient = new HighWaterMarkClient(client, incremental.key, job.filters, source);
+    }
+
+    const { rowsExported, outputSize } = await writeJobOutput(
+      watermarkClient || client,
+      job,
+      partialPath,
+      writerOptions,
+      partitions && partitions.list,
+    );
+
+    // Ends the transaction that exported the snapshot
+    if (partitions) {
+      await client.query('COMMIT');
+    }
+
+    await fs.promises.rename(partialPath, outputPath);
+
+    const result = {
+      outputPath, outputSize, rowsExported, maxBufferedBytes: bufferStats.maxBufferedBytes,
+    };
+    if (incremental) {
+      const reached = partitions ? partitions.highWaterMark : watermarkClient.highWaterMark;
+      result.highWaterMark = reached !== null ? reached : incremental.since;
+    }
+    return result;
+  } catch (err) {
+    if (partitions) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    await removeStoredFile(partialPath);
+    throw err;
+  } finally {
+    if (partitions) {
+      partitions.release();
+    }
+    client.release();
+  }
+}
+
+/**
+ * Streams an export straight into `outputStream` instead of the storage
+ * area, for downloads that negotiate a representation other than the
+ * stored file
+ * Incremental jobs read the same watermark window as their stored export
+ * Aborting `signal` stops the writer between batches (ExportCancelledError),
+ * as does `outputStream` closing while the writer waits for it to drain
+ * Returns { rowsExported, maxBufferedBytes }
+ */
+async function streamExport(pool, job, outputStream, { signal = null } = {}) {
+  const { incremental = null } = job.options || {};
+  const source = jobSource(job);
+  const bufferStats = new BufferStats();
+  const client = await pool.connect();
+  try {
+    const rowsExported = await writeStreamedExport(client, job, outputStream, {
+      ...job.options,
+      filters: incrementalFilters(job.filters, incremental, { source, highWaterMark: job.highWaterMark || null }),
+      source,
+      signal,
+      bufferStats,
+    });
+    return { rowsExported, maxBufferedBytes: bufferStats.maxBufferedBytes };
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  isPartedJob,
+  runExport,
+  streamExport,
+};
@@ -0,0 +1,254 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { runExport } = require('./exportRunner');
+const { ExportCancelledError } = require('../utils/cancellation');
+const { removeStoredFile } = require('../utils/storage');
+
+/**
+ * Background worker that picks up pending export jobs and runs them
+ * Keeps the job's status and progress up to date in the job repository,
+ * sends heartbeats for running jobs and recovers jobs abandoned by a
+ * crashed or redeployed worker
+ * Completed runs of an export stream advance the stream's watermark
+ */
+class ExportWorker {
+  constructor(pool, jobRepository, options = {}) {
+    this.pool = pool;
+    this.jobRepository = jobRepository;
+    this.streamRepository = options.streamRepository || null;
+    this.workerId = options.workerId || `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.concurrency = options.concurrency || 2;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs || 10000;
+    this.staleAfterMs = options.staleAfterMs || 60000;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.progressIntervalMs = options.progressIntervalMs !== undefined ? options.progressIntervalMs : 1000;
+    this.running = new Map();
+    this.controllers = new Map();
+    this.interval = null;
+    this.heartbeatInterval = null;
+    this.polling = null;
+  }
+
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.heartbeatInterval = setInterval(() => this.maintain(), this.heartbeatIntervalMs);
+    this.maintain().then(() => this.poll());
+  }
+
+  /**
+   * Stops picking up new jobs; resolves once running jobs have settled
+   */
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      clearInterval(this.heartbeatInterval);
+      this.interval = null;
+      this.heartbeatInterval = null;
+    }
+    await this.polling;
+    await Promise.allSettled(this.running.values());
+  }
+
+  /**
+   * Checks for pending jobs now instead of waiting for the next poll
+   */
+  wake() {
+    if (this.interval) {
+      setImmediate(() => this.poll());
+    }
+  }
+
+  /**
+   * Aborts a job running on this worker; the writer stops before its next
+   * FETCH, closes the cursor, rolls back and releases its client
+   * Returns false if the job is not running here
+   */
+  cancel(exportId) {
+    const controller = this.controllers.get(exportId);
+    if (!controller) {
+      return false;
+    }
+    controller.abort();
+    return true;
+  }
+
+  /**
+   * Claims pending jobs until all concurrency slots are busy
+   * Concurrent calls share the same in-flight poll
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this.fillSlots()
+        .catch(err => console.error('Export worker poll failed:', err.message))
+        .finally(() => {
+          this.polling = null;
+        });
+    }
+    return this.polling;
+  }
+
+  async fillSlots() {
+    while (this.running.size < this.concurrency) {
+      const job = await this.jobRepository.claimNext(this.workerId);
+      if (!job) break;
+
+      const run = this.runJob(job).finally(() => {
+        this.running.delete(job.exportId);
+        this.wake();
+      });
+      this.running.set(job.exportId, run);
+    }
+  }
+
+  /**
+   * Sends heartbeats for running jobs and recovers stale ones
+   */
+  async maintain() {
+    try {
+      await this.jobRepository.heartbeat([...this.running.keys()]);
+
+      const recovered = await this.jobRepository.recoverStaleJobs({
+        staleAfterMs: this.staleAfterMs,
+        maxAttempts: this.maxAttempts,
+      });
+      for (const job of recovered) {
+        console.warn(`Recovered interrupted export job ${job.exportId}: now ${job.status}`);
+      }
+      if (recovered.some(job => job.status === 'pending')) {
+        this.wake();
+      }
+    } catch (err) {
+      console.error('Export worker maintenance failed:', err.message);
+    }
+  }
+
+  async runJob(job) {
+    const startTime = Date.now();
+    const controller = new AbortController();
+    let lastProgressAt = 0;
+    let progressUpdate = Promise.resolve();
+
+    this.controllers.set(job.exportId, controller);
+
+    // Progress is persisted at most once per progressIntervalMs and never
+    // with more than one update in flight. An update that matches no
+    // processing job means it was cancelled or deleted, possibly from
+    // another replica, so the export is aborted
+    const onProgress = ({ rowsExported, totalRows }) => {
+      const now = Date.now();
+      if (now - lastProgressAt < this.progressIntervalMs) return;
+      lastProgressAt = now;
+
+      progressUpdate = progressUpdate
+        .then(() => this.jobRepository.update(
+          job.exportId,
+          computeProgress(rowsExported, totalRows, startTime),
+          { expectedStatus: 'processing' },
+        ))
+        .then((updated) => {
+          if (!updated) controller.abort();
+        })
+        .catch(err => console.error(`Progress update failed for job ${job.exportId}:`, err.message));
+    };
+
+    try {
+      const result = await runExport(this.pool, job, { onProgress, signal: controller.signal });
+      await progressUpdate;
+
+      const fields = {
+        status: 'completed',
+        completedAt: new Date(),
+        rowsExported: result.rowsExported,
+        totalRows: result.rowsExported,
+        percentage: 100,
+        etaSeconds: 0,
+        outputPath: result.outputPath,
+        outputSize: result.outputSize,
+        maxBufferedBytes: result.maxBufferedBytes,
+      };
+      if (result.highWaterMark !== undefined) {
+        fields.highWaterMark = result.highWaterMark;
+      }
+      const completed = await this.jobRepository.update(job.exportId, fields, { expectedStatus: 'processing' });
+
+      if (completed) {
+        console.log(`Export job ${job.exportId} completed: ${result.rowsExported} rows, ${result.outputSize} bytes`);
+        await this.advanceStream(job, result.highWaterMark);
+      } else {
+        // Cancelled or deleted while the last batch was being written
+        await removeStoredFile(result.outputPath);
+        console.log(`Export job ${job.exportId} was cancelled before completion`);
+      }
+    } catch (err) {
+      await progressUpdate;
+      await this.recordFailure(job, err);
+    } finally {
+      this.controllers.delete(job.exportId);
+    }
+  }
+
+  /**
+   * Moves the watermark of the stream a completed job ran on to the
+   * high-water mark it reached
+   * The job stays completed if this fails; the next run then exports its
+   * rows again
+   */
+  async advanceStream(job, highWaterMark) {
+    const { incremental } = job.options || {};
+    if (!incremental || !incremental.stream || !this.streamRepository) return;
+
+    try {
+      const advanced = await this.streamRepository.advance(incremental.stream, incremental.since, highWaterMark, job.exportId);
+      if (!advanced) {
+        console.warn(`Export stream ${incremental.stream} was deleted or moved on before job ${job.exportId} completed; watermark kept`);
+      }
+    } catch (err) {
+      console.error(`Failed to advance export stream ${incremental.stream} for job ${job.exportId}:`, err.message);
+    }
+  }
+
+  async recordFailure(job, err) {
+    const cancelled = err instanceof ExportCancelledError;
+    if (cancelled) {
+      console.log(`Export job ${job.exportId} cancelled`);
+    } else {
+      console.error(`Export error for job ${job.exportId}:`, err);
+    }
+
+    try {
+      await this.jobRepository.update(job.exportId, {
+        status: cancelled ? 'cancelled' : 'failed',
+        completedAt: new Date(),
+        error: cancelled ? null : err.message,
+      }, { expectedStatus: 'processing' });
+    } catch (updateErr) {
+      console.error(`Failed to record failure of job ${job.exportId}:`, updateErr.message);
+    }
+  }
+}
+
+/**
+ * Computes a job's progress fields from the rows written so far
+ * The total is a planner estimate, so the percentage is capped below 100
+ * until the export has actually finished
+ */
+function computeProgress(rowsExported, totalRows, startTime) {
+  const estimatedTotal = Math.max(totalRows, rowsExported);
+  const elapsedSeconds = (Date.now() - startTime) / 1000;
+
+  return {
+    rowsExported,
+    totalRows: estimatedTotal,
+    percentage: estimatedTotal > 0 ? Math.min(99, Math.floor((rowsExported / estimatedTotal) * 100)) : 0,
+    etaSeconds: rowsExported > 0
+      ? Math.round((elapsedSeconds / rowsExported) * (estimatedTotal - rowsExported))
+      : null,
+  };
+}
+
+module.exports = {
+  ExportWorker,
+  computeProgress,
+};
@@ -0,0 +1,296 @@
+const { validate: isUuid } = require('uuid');
+
+const JOBS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS export_jobs (
+    export_id UUID PRIMARY KEY,
+    format TEXT NOT NULL,
+    columns JSONB NOT NULL,
+    compression TEXT,
+    filters JSONB,
+    options JSONB,
+    source JSONB,
+    status TEXT NOT NULL DEFAULT 'pending',
+    rows_exported BIGINT NOT NULL DEFAULT 0,
+    total_rows BIGINT,
+    percentage INTEGER NOT NULL DEFAULT 0,
+    eta_seconds INTEGER,
+    output_path TEXT,
+    output_size BIGINT,
+    max_buffered_bytes BIGINT,
+    high_water_mark TEXT,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    worker_id TEXT,
+    heartbeat_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_export_jobs_status_created ON export_jobs(status, created_at);
+
+  ALTER TABLE export_jobs ADD COLUMN IF NOT EXISTS options JSONB;
+  ALTER TABLE export_jobs ADD COLUMN IF NOT EXISTS high_water_mark TEXT;
+  ALTER TABLE export_jobs ADD COLUMN IF NOT EXISTS source JSONB;
+  ALTER TABLE export_jobs ADD COLUMN IF NOT EXISTS max_buffered_bytes BIGINT;
+`;
+
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled'];
+
+// Job field -> export_jobs column, for fields that may be updated
+const UPDATABLE_COLUMNS = {
+  status: 'status',
+  rowsExported: 'rows_exported',
+  totalRows: 'total_rows',
+  percentage: 'percentage',
+  etaSeconds: 'eta_seconds',
+  outputPath: 'output_path',
+  outputSize: 'output_size',
+  maxBufferedBytes: 'max_buffered_bytes',
+  highWaterMark: 'high_water_mark',
+  error: 'error',
+  startedAt: 'started_at',
+  completedAt: 'completed_at',
+};
+
+/**
+ * Converts an export_jobs row into a job object
+ * BIGINT columns come back from pg as strings
+ */
+function rowToJob(row) {
+  const toNumber = value => (value === null ? null : Number(value));
+
+  return {
+    exportId: row.export_id,
+    format: row.format,
+    columns: row.columns,
+    compression: row.compression,
+    filters: row.filters,
+    options: row.options,
+    source: row.source,
+    status: row.status,
+    rowsExported: toNumber(row.rows_exported),
+    totalRows: toNumber(row.total_rows),
+    percentage: row.percentage,
+    etaSeconds: row.eta_seconds,
+    outputPath: row.output_path,
+    outputSize: toNumber(row.output_size),
+    maxBufferedBytes: toNumber(row.max_buffered_bytes),
+    highWaterMark: row.high_water_mark,
+    error: row.error,
+    attempts: row.attempts,
+    workerId: row.worker_id,
+    heartbeatAt: row.heartbeat_at,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+  };
+}
+
+/**
+ * Export job store backed by the export_jobs table
+ * Shared by every replica, so job state survives restarts and jobs can be
+ * claimed by whichever worker is free
+ */
+class JobRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Creates the export_jobs table if it does not exist yet
+   */
+  async ensureSchema() {
+    await this.pool.query(JOBS_TABLE_SQL);
+  }
+
+  async create(job) {
+    const result = await this.pool.query(
+      `INSERT INTO export_jobs (export_id, format, columns, compression, filters, options, status, created_at, source)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        job.exportId,
+        job.format,
+        JSON.stringify(job.columns),
+        job.compression,
+        job.filters === null ? null : JSON.stringify(job.filters),
+        job.options ? JSON.stringify(job.options) : null,
+        job.status,
+        job.createdAt,
+        job.source ? JSON.stringify(job.source) : null,
+      ],
+    );
+    return rowToJob(result.rows[0]);
+  }
+
+  /**
+   * Returns the job, or null if it does not exist
+   */
+  async get(exportId) {
+    if (!isUuid(exportId)) {
+      return null;
+    }
+
+    const result = await this.pool.query('SELECT * FROM export_jobs WHERE export_id = $1', [exportId]);
+    return result.rows.length > 0 ? rowToJob(result.rows[0]) : null;
+  }
+
+  /**
+   * Lists jobs, newest first, optionally filtered by status and format
+   * Returns { jobs, total } where total counts all matching jobs
+   */
+  async list({ status, format, limit = 20, offset = 0 } = {}) {
+    const values = [];
+    const conditions = [];
+
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+    if (format) {
+      values.push(format);
+      conditions.push(`format = $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    values.push(limit, offset);
+
+    const result = await this.pool.query(
+      `SELECT *, COUNT(*) OVER() AS total_count FROM export_jobs${where}
+        ORDER BY created_at DESC
+        LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values,
+    );
+
+    // The window count is missing when the page is past the end
+    let total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0;
+    if (result.rows.length === 0 && offset > 0) {
+      const count = await this.pool.query(`SELECT COUNT(*) AS count FROM export_jobs${where}`, values.slice(0, -2));
+      total = Number(count.rows[0].count);
+    }
+
+    return { jobs: result.rows.map(rowToJob), total };
+  }
+
+  /**
+   * Marks a pending or processing job as cancelled
+   * Returns the cancelled job, or null if it was not pending or processing
+   */
+  async cancel(exportId) {
+    if (!isUuid(exportId)) {
+      return null;
+    }
+
+    const result = await this.pool.query(
+      `UPDATE export_jobs
+          SET status = 'cancelled', completed_at = NOW(), eta_seconds = NULL
+        WHERE export_id = $1 AND status IN ('pending', 'processing')
+        RETURNING *`,
+      [exportId],
+    );
+    return result.rows.length > 0 ? rowToJob(result.rows[0]) : null;
+  }
+
+  /**
+   * Deletes a job; returns the deleted job, or null if it did not exist
+   */
+  async delete(exportId) {
+    if (!isUuid(exportId)) {
+      return null;
+    }
+
+    const result = await this.pool.query('DELETE FROM export_jobs WHERE export_id = $1 RETURNING *', [exportId]);
+    return result.rows.length > 0 ? rowToJob(result.rows[0]) : null;
+  }
+
+  /**
+   * Updates job fields and refreshes the heartbeat
+   * With expectedStatus, only updates a job currently in that status
+   * Returns the updated job, or null if no job matched
+   */
+  async update(exportId, fields, { expectedStatus } = {}) {
+    const values = [exportId];
+    const assignments = ['heartbeat_at = NOW()'];
+
+    for (const [field, value] of Object.entries(fields)) {
+      const column = UPDATABLE_COLUMNS[field];
+      if (!column) {
+        throw new Error(`Unknown export job field "${field}"`);
+      }
+      values.push(value);
+      assignments.push(`${column} = $${values.length}`);
+    }
+
+    let text = `UPDATE export_jobs SET ${assignments.join(', ')} WHERE export_id = $1`;
+    if (expectedStatus) {
+      values.push(expectedStatus);
+      text += ` AND status = $${values.length}`;
+    }
+
+    const result = await this.pool.query(`${text} RETURNING *`, values);
+    return result.rows.length > 0 ? rowToJob(result.rows[0]) : null;
+  }
+
+  /**
+   * Atomically claims the oldest pending job for a worker
+   * SKIP LOCKED lets several replicas poll without claiming the same job
+   */
+  async claimNext(workerId) {
+    const result = await this.pool.query(
+      `UPDATE export_jobs
+          SET status = 'processing', worker_id = $1, attempts = attempts + 1,
+              started_at = NOW(), heartbeat_at = NOW(), error = NULL
+        WHERE export_id = (
+          SELECT export_id FROM export_jobs
+           WHERE status = 'pending'
+           ORDER BY created_at
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *`,
+      [workerId],
+    );
+    return result.rows.length > 0 ? rowToJob(result.rows[0]) : null;
+  }
+
+  /**
+   * Refreshes the heartbeat of jobs a worker is still running
+   */
+  async heartbeat(exportIds) {
+    if (exportIds.length === 0) return;
+    await this.pool.query(
+      `UPDATE export_jobs SET heartbeat_at = NOW()
+        WHERE export_id = ANY($1) AND status = 'processing'`,
+      [exportIds],
+    );
+  }
+
+  /**
+   * Finds processing jobs whose worker stopped sending heartbeats (crash,
+   * redeploy) and re-queues them, or fails them after maxAttempts
+   * Returns the recovered jobs
+   */
+  async recoverStaleJobs({ staleAfterMs, maxAttempts }) {
+    const result = await this.pool.query(
+      `UPDATE export_jobs
+          SET status = CASE WHEN attempts >= $2 THEN 'failed' ELSE 'pending' END,
+              error = CASE WHEN attempts >= $2
+                THEN 'Export interrupted: worker stopped responding after ' || attempts || ' attempt(s)'
+                ELSE error END,
+              completed_at = CASE WHEN attempts >= $2 THEN NOW() ELSE NULL END,
+              rows_exported = 0, percentage = 0, eta_seconds = NULL, worker_id = NULL
+        WHERE status = 'processing'
+          AND heartbeat_at < NOW() - make_interval(secs => $1)
+        RETURNING *`,
+      [staleAfterMs / 1000, maxAttempts],
+    );
+    return result.rows.map(rowToJob);
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JobRepository,
+  rowToJob,
+};
@@ -0,0 +1,103 @@
+const STREAMS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS export_streams (
+    name TEXT PRIMARY KEY,
+    source TEXT NOT NULL DEFAULT 'records',
+    watermark_key TEXT NOT NULL,
+    watermark TEXT,
+    last_export_id UUID,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+
+  ALTER TABLE export_streams ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'records';
+`;
+
+/**
+ * Converts an export_streams row into a stream object
+ */
+function rowToStream(row) {
+  return {
+    name: row.name,
+    source: row.source,
+    key: row.watermark_key,
+    watermark: row.watermark,
+    lastExportId: row.last_export_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Store of named export streams backed by the export_streams table
+ * A stream remembers the watermark its last completed run reached, so each
+ * incremental export on it starts where the previous one stopped
+ */
+class StreamRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Creates the export_streams table if it does not exist yet
+   */
+  async ensureSchema() {
+    await this.pool.query(STREAMS_TABLE_SQL);
+  }
+
+  /**
+   * Creates a stream; returns null if one with that name exists already
+   */
+  async create(stream) {
+    const result = await this.pool.query(
+      `INSERT INTO export_streams (name, source, watermark_key, watermark)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING *`,
+      [stream.name, stream.source, stream.key, stream.watermark],
+    );
+    return result.rows.length > 0 ? rowToStream(result.rows[0]) : null;
+  }
+
+  /**
+   * Returns the stream, or null if it does not exist
+   */
+  async get(name) {
+    const result = await this.pool.query('SELECT * FROM export_streams WHERE name = $1', [name]);
+    return result.rows.length > 0 ? rowToStream(result.rows[0]) : null;
+  }
+
+  async list() {
+    const result = await this.pool.query('SELECT * FROM export_streams ORDER BY name');
+    return result.rows.map(rowToStream);
+  }
+
+  /**
+   * Deletes a stream; returns the deleted stream, or null if it did not exist
+   */
+  async delete(name) {
+    const result = await this.pool.query('DELETE FROM export_streams WHERE name = $1 RETURNING *', [name]);
+    return result.rows.length > 0 ? rowToStream(result.rows[0]) : null;
+  }
+
+  /**
+   * Moves a stream's watermark from `from` to `to` after a completed run
+   * Only applies while the watermark is still `from`, so a run that started
+   * from an older watermark never moves the stream back
+   * Returns the updated stream, or null if the watermark had moved on
+   */
+  async advance(name, from, to, exportId) {
+    const result = await this.pool.query(
+      `UPDATE export_streams
+          SET watermark = $3, last_export_id = $4, updated_at = NOW()
+        WHERE name = $1 AND watermark IS NOT DISTINCT FROM $2
+        RETURNING *`,
+      [name, from, to, exportId],
+    );
+    return result.rows.length > 0 ? rowToStream(result.rows[0]) : null;
+  }
+}
+
+module.exports = {
+  StreamRepository,
+  rowToStream,
+};
@@ -1,26 +1,63 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const zlib = require('zlib');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
-
-const { streamToCSV } = require('../streaming/csvWriter');
-const { streamToJSON } = require('../streaming/jsonWriter');
-const { streamToXML } = require('../streaming/xmlWriter');
-const { streamToParquet } = require('../streaming/parquetWriter');
+const { pipeline } = require('stream/promises');
+
+const { isPartedJob, streamExport } = require('../jobs/exportRunner');
+const { formatNames, getFormat } = require('../streaming/formats');
+const { MAX_SHEET_ROWS } = require('../streaming/xlsxWriter');
+const { JOB_STATUSES } = require('../jobs/jobRepository');
+const {
+  ensureFreeSpace,
+  InsufficientStorageError,
+  MANIFEST_FILE,
+  partFileName,
+  removeStoredFile,
+} = require('../utils/storage');
 const { runBenchmark } = require('../utils/benchmark');
-
-module.exports = function (pool, exportJobs) {
+const { validateFilters } = require('../utils/filters');
+const { compileColumnSource, ColumnExpressionError } = require('../utils/columnExpressions');
+const { isFieldName, validateNestedOption } = require('../utils/nestedSchema');
+const { ExportCancelledError } = require('../utils/cancellation');
+const { resolveParquetOptions, validateParquetOptions } = require('../utils/parquetOptions');
+const { resolveCsvOptions, validateCsvOptions } = require('../utils/csvOptions');
+const { resolveXmlOptions, validateXmlOptions } = require('../utils/xmlOptions');
+const { buildXmlSchema } = require('../utils/xmlSchema');
+const { resolveValueFormat, validateValueFormat } = require('../utils/valueFormat');
+const { COMPRESSIONS, defaultCompressionLevel, validateCompression } = require('../utils/compression');
+const { maxParallelPartitions, resolveParallelOption, validateParallelOption } = require('../utils/parallelExport');
+const {
+  INTEGER_TYPES, validateWatermark, validateWatermarkColumn, validateWatermarkFilters, validateWatermarkRange,
+} = require('../utils/incremental');
+const { RelationNotFoundError } = require('../utils/columnCatalog');
+const { DEFAULT_SOURCE } = require('../utils/query');
+
+// Forwards rejections from async route handlers to the error handler
+const asyncHandler = handler => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+// Downloads exported again in another format at the same time
+const DEFAULT_MAX_LIVE_DOWNLOADS = 2;
+
+module.exports = function (pool, jobRepository, sourceCatalog, exportWorker, streamRepository, {
+  maxLiveDownloads = DEFAULT_MAX_LIVE_DOWNLOADS,
+} = {}) {
   const router = express.Router();
+  let liveDownloads = 0;
+  // A job's partitions must fit in the pool next to the running jobs,
+  // live downloads and repository queries
+  const maxPartitions = maxParallelPartitions(pool.options && pool.options.max, exportWorker.concurrency, maxLiveDownloads);
 
   // Validation middleware for export format
-  const validateExportRequest = (req, res, next) => {
-    const { format, columns, compression } = req.body;
+  const validateExportRequest = asyncHandler(async (req, res, next) => {
+    const {
+      format, columns, compression, compressionLevel, filters, parquetOptions, csvOptions, xmlOptions, maxRowsPerFile, maxBytesPerFile,
+      maxRowsPerSheet, parallel, sinceId, sinceCreatedAt, stream, source, valueFormat,
+    } = req.body;
 
-    if (!format || !['csv', 'json', 'xml', 'parquet'].includes(format)) {
+    if (!format || !getFormat(format)) {
       return res.status(400).json({
-        error: 'Invalid format. Must be one of: csv, json, xml, parquet',
+        error: `Invalid format. Must be one of: ${formatNames().join(', ')}`,
       });
     }
 
@@ -37,52 +74,339 @@ module.exports = function (pool, exportJobs) {
           error: 'Each column must have source and target as strings',
         });
       }
+      // Targets become Parquet field names, which parquetjs joins with commas
+      if (format === 'parquet' && !isFieldName(col.target)) {
+        return res.status(400).json({ error: `Parquet column targets must not contain commas (column "${col.target}")` });
+      }
+    }
+
+    // Incremental exports start past a watermark, given directly or kept by
+    // a named export stream
+    const watermarkFields = Object.entries({ sinceId, sinceCreatedAt, stream })
+      .filter(([, value]) => value !== undefined)
+      .map(([name]) => name);
+    if (watermarkFields.length > 1) {
+      return res.status(400).json({ error: 'Only one of sinceId, sinceCreatedAt and stream may be given' });
+    }
+
+    let watermarkKey = null;
+    if (sinceId !== undefined) {
+      watermarkKey = 'id';
+    } else if (sinceCreatedAt !== undefined) {
+      watermarkKey = 'createdAt';
+    }
+    if (watermarkKey) {
+      const watermarkError = validateWatermark(watermarkKey, req.body[watermarkFields[0]], watermarkFields[0]);
+      if (watermarkError) {
+        return res.status(400).json({ error: watermarkError });
+      }
     }
 
-    if (compression && !['gzip'].includes(compression)) {
+    if (stream !== undefined) {
+      const found = typeof stream === 'string' ? await streamRepository.get(stream) : null;
+      if (!found) {
+        return res.status(400).json({ error: `Unknown export stream "${stream}"` });
+      }
+      if (source !== undefined && source !== found.source) {
+        return res.status(400).json({ error: `Export stream "${stream}" exports source "${found.source}"` });
+      }
+      res.locals.stream = found;
+      watermarkKey = found.key;
+    }
+
+    // The exported table or view: the request's, the stream's, or the
+    // first allowlisted one
+    let sourceName = sourceCatalog.defaultSource;
+    if (source !== undefined) {
+      sourceName = source;
+    } else if (res.locals.stream) {
+      sourceName = res.locals.stream.source;
+    }
+    if (sourceName === null) {
+      return res.status(400).json({ error: 'source is required' });
+    }
+    if (!sourceCatalog.entryFor(sourceName)) {
       return res.status(400).json({
-        error: 'compression must be "gzip" or undefined',
+        error: `Unknown source "${sourceName}". Must be one of: ${sourceCatalog.names().join(', ')}`,
       });
     }
 
-    // Gzip only for text formats
-    if (compression === 'gzip' && ['parquet'].includes(format)) {
+    // Column sources must be real columns of the exported relation, JSONB
+    // paths into them, or whitelisted expressions over them
+    let columnCatalog;
+    let orderBy;
+    try {
+      columnCatalog = await sourceCatalog.columns(sourceName);
+      orderBy = await sourceCatalog.orderingKey(sourceName);
+    } catch (err) {
+      if (err instanceof RelationNotFoundError) {
+        return res.status(400).json({ error: `Source "${sourceName}" does not exist` });
+      }
+      console.error('Column catalog unavailable:', err);
+      return res.status(503).json({ error: 'Column catalog unavailable, try again later' });
+    }
+
+    // The cursor reads in the order of this key; parallel and id watermarks
+    // split and compare it as an integer
+    if (!orderBy) {
       return res.status(400).json({
-        error: 'compression is not supported for parquet format',
+        error: `Source "${sourceName}" has no ordering key; configure one in EXPORT_SOURCES`,
       });
     }
+    if (!columnCatalog.has(orderBy)) {
+      return res.status(400).json({ error: `Ordering key "${orderBy}" is not a column of source "${sourceName}"` });
+    }
+    const integerKey = INTEGER_TYPES.includes(columnCatalog.get(orderBy).dataType);
+    if (parallel !== undefined && !integerKey) {
+      return res.status(400).json({ error: `parallel requires an integer ordering key; "${orderBy}" is not one` });
+    }
+    const watermarkColumnError = validateWatermarkColumn(watermarkKey, sourceName, columnCatalog, orderBy);
+    if (watermarkColumnError) {
+      return res.status(400).json({ error: watermarkColumnError });
+    }
+    if (watermarkKey) {
+      const rangeError = validateWatermarkRange(
+        watermarkKey, req.body[watermarkFields[0]], watermarkFields[0], columnCatalog, orderBy,
+      );
+      if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+      }
+    }
+    res.locals.source = { name: sourceName, orderBy };
+
+    // Target column -> information_schema data type
+    const columnTypes = {};
+    for (const col of columns) {
+      let compiled;
+      try {
+        compiled = compileColumnSource(col.source, columnCatalog);
+      } catch (err) {
+        if (!(err instanceof ColumnExpressionError)) throw err;
+        return res.status(400).json({ error: err.message });
+      }
+      columnTypes[col.target] = compiled.dataType;
+
+      // Nested output writes JSONB as Parquet groups and repeated fields
+      if (col.nested !== undefined) {
+        if (format !== 'parquet') {
+          return res.status(400).json({ error: `nested is only supported for parquet format (column "${col.target}")` });
+        }
+        if (!['json', 'jsonb'].includes(compiled.dataType)) {
+          return res.status(400).json({ error: `nested requires a json or jsonb column source (column "${col.target}")` });
+        }
+        const nestedError = validateNestedOption(col.nested);
+        if (nestedError) {
+          return res.status(400).json({ error: `${nestedError} (column "${col.target}")` });
+        }
+      }
+    }
+
+    const compressionError = validateCompression(compression, compressionLevel);
+    if (compressionError) {
+      return res.status(400).json({ error: compressionError });
+    }
+
+    // Binary formats compress inside their own container, if at all
+    if (compression && !getFormat(format).compressible) {
+      return res.status(400).json({
+        error: `compression is not supported for ${format} format`,
+      });
+    }
+
+    // Part files roll over at whichever limit is reached first
+    for (const [name, value] of Object.entries({ maxRowsPerFile, maxBytesPerFile })) {
+      if (value !== undefined && (!Number.isSafeInteger(value) || value < 1)) {
+        return res.status(400).json({ error: `${name} must be a positive integer` });
+      }
+    }
+
+    // Sheets hold the header row and at least one row of data
+    if (maxRowsPerSheet !== undefined) {
+      if (format !== 'xlsx') {
+        return res.status(400).json({ error: 'maxRowsPerSheet is only supported for xlsx format' });
+      }
+      if (!Number.isInteger(maxRowsPerSheet) || maxRowsPerSheet < 2 || maxRowsPerSheet > MAX_SHEET_ROWS) {
+        return res.status(400).json({ error: `maxRowsPerSheet must be an integer between 2 and ${MAX_SHEET_ROWS}` });
+      }
+    }
+
+    if (parallel !== undefined) {
+      const parallelError = validateParallelOption(parallel, maxPartitions);
+      if (parallelError) {
+        return res.status(400).json({ error: parallelError });
+      }
+      // Each partition already writes its own part file
+      if (parallel.output === 'files' && (maxRowsPerFile !== undefined || maxBytesPerFile !== undefined)) {
+        return res.status(400).json({
+          error: 'maxRowsPerFile and maxBytesPerFile are not supported with parallel files output',
+        });
+      }
+    }
+
+    if (filters !== undefined) {
+      const filterError = validateFilters(filters, columnCatalog);
+      if (filterError) {
+        return res.status(400).json({ error: filterError });
+      }
+    }
+
+    if (watermarkKey) {
+      const clashError = validateWatermarkFilters(filters, watermarkKey, res.locals.source);
+      if (clashError) {
+        return res.status(400).json({ error: clashError });
+      }
+    }
+
+    if (parquetOptions !== undefined) {
+      if (format !== 'parquet') {
+        return res.status(400).json({ error: 'parquetOptions is only supported for parquet format' });
+      }
+      const parquetError = validateParquetOptions(parquetOptions, columnTypes);
+      if (parquetError) {
+        return res.status(400).json({ error: parquetError });
+      }
+    }
+
+    if (csvOptions !== undefined) {
+      if (format !== 'csv') {
+        return res.status(400).json({ error: 'csvOptions is only supported for csv format' });
+      }
+      const csvError = validateCsvOptions(csvOptions);
+      if (csvError) {
+        return res.status(400).json({ error: csvError });
+      }
+    }
+
+    if (xmlOptions !== undefined) {
+      if (format !== 'xml') {
+        return res.status(400).json({ error: 'xmlOptions is only supported for xml format' });
+      }
+      const xmlError = validateXmlOptions(xmlOptions, columnTypes, columns.map(col => col.target));
+      if (xmlError) {
+        return res.status(400).json({ error: xmlError });
+      }
+    }
+
+    if (valueFormat !== undefined) {
+      if (!getFormat(format).formatsValues) {
+        return res.status(400).json({ error: `valueFormat is not supported for ${format} format` });
+      }
+      const valueFormatError = validateValueFormat(valueFormat, columns);
+      if (valueFormatError) {
+        return res.status(400).json({ error: valueFormatError });
+      }
+    }
 
     next();
-  };
+  });
 
   // POST /exports - Create export job
-  router.post('/', validateExportRequest, (req, res) => {
-    const { format, columns, compression } = req.body;
+  router.post('/', validateExportRequest, asyncHandler(async (req, res) => {
+    const {
+      format, columns, compression, compressionLevel, filters, parquetOptions, csvOptions, xmlOptions, maxRowsPerFile, maxBytesPerFile,
+      maxRowsPerSheet, parallel, sinceId, sinceCreatedAt, stream, valueFormat,
+    } = req.body;
     const exportId = uuidv4();
 
-    const job = {
+    // Refuse new jobs rather than let concurrent exports fill the disk
+    try {
+      await ensureFreeSpace();
+    } catch (err) {
+      if (!(err instanceof InsufficientStorageError)) throw err;
+      return res.status(507).json({ error: err.message });
+    }
+
+    // Effective writer and compression settings, defaults included
+    const options = {};
+    if (format === 'parquet') {
+      options.parquetOptions = resolveParquetOptions(parquetOptions);
+    }
+    if (csvOptions !== undefined) {
+      options.csvOptions = resolveCsvOptions(csvOptions);
+    }
+    if (xmlOptions !== undefined) {
+      options.xmlOptions = resolveXmlOptions(xmlOptions);
+    }
+    if (valueFormat !== undefined) {
+      options.valueFormat = resolveValueFormat(valueFormat);
+    }
+    if (compression) {
+      options.compressionLevel = compressionLevel !== undefined ? compressionLevel : defaultCompressionLevel(compression);
+    }
+    if (maxRowsPerFile !== undefined) {
+      options.maxRowsPerFile = maxRowsPerFile;
+    }
+    if (maxBytesPerFile !== undefined) {
+      options.maxBytesPerFile = maxBytesPerFile;
+    }
+    if (maxRowsPerSheet !== undefined) {
+      options.maxRowsPerSheet = maxRowsPerSheet;
+    }
+    if (parallel !== undefined) {
+      options.parallel = resolveParallelOption(parallel);
+    }
+    if (res.locals.stream) {
+      const { name, key, watermark } = res.locals.stream;
+      options.incremental = { key, since: watermark, stream: name };
+    } else if (sinceId !== undefined) {
+      options.incremental = { key: 'id', since: String(sinceId) };
+    } else if (sinceCreatedAt !== undefined) {
+      options.incremental = { key: 'createdAt', since: sinceCreatedAt };
+    }
+
+    const job = await jobRepository.create({
       exportId,
       format,
       columns,
       compression: compression || null,
+      filters: filters || null,
+      source: res.locals.source,
+      options: Object.keys(options).length > 0 ? options : null,
       status: 'pending',
       createdAt: new Date(),
-      startedAt: null,
-      completedAt: null,
-    };
+    });
 
-    exportJobs.set(exportId, job);
+    exportWorker.wake();
 
     res.status(201).json({
       exportId,
       status: job.status,
     });
-  });
+  }));
+
+  // GET /exports - List export jobs, newest first
+  router.get('/', asyncHandler(async (req, res) => {
+    const { status, format } = req.query;
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+    if (status !== undefined && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    if (format !== undefined && !getFormat(format)) {
+      return res.status(400).json({ error: `format must be one of: ${formatNames().join(', ')}` });
+    }
+
+    const { jobs, total } = await jobRepository.list({ status, format, limit, offset });
+
+    res.status(200).json({
+      jobs: jobs.map(serializeJob),
+      total,
+      limit,
+      offset,
+    });
+  }));
 
   // GET /exports/benchmark - Performance benchmark (must be before /:exportId)
   router.get('/benchmark', async (req, res) => {
     try {
-      const results = await runBenchmark(pool);
+      const results = await runBenchmark(pool, maxPartitions);
       res.status(200).json(results);
     } catch (err) {
       console.error('Benchmark error:', err);
@@ -90,146 +414,466 @@ module.exports = function (pool, exportJobs) {
     }
   });
 
-  // GET /exports/:exportId/download - Download exported data
-  router.get('/:exportId/download', async (req, res) => {
+  // GET /exports/:exportId - Job status and progress
+  router.get('/:exportId', asyncHandler(async (req, res) => {
+    const job = await jobRepository.get(req.params.exportId);
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+
+    res.status(200).json(serializeJob(job));
+  }));
+
+  // POST /exports/:exportId/cancel - Cancel a pending or running export
+  router.post('/:exportId/cancel', asyncHandler(async (req, res) => {
+    const { exportId } = req.params;
+
+    const job = await jobRepository.cancel(exportId);
+    if (!job) {
+      const existing = await jobRepository.get(exportId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Export job not found' });
+      }
+      return res.status(409).json({ error: `Cannot cancel a ${existing.status} export`, job: serializeJob(existing) });
+    }
+
+    // Stops the cursor loop if the job runs here; workers on other replicas
+    // notice the status change on their next progress update
+    exportWorker.cancel(exportId);
+
+    res.status(200).json(serializeJob(job));
+  }));
+
+  // DELETE /exports/:exportId - Delete a job and its stored output
+  router.delete('/:exportId', asyncHandler(async (req, res) => {
     const { exportId } = req.params;
 
-    const job = exportJobs.get(exportId);
+    const job = await jobRepository.get(exportId);
     if (!job) {
       return res.status(404).json({ error: 'Export job not found' });
     }
 
-    job.status = 'processing';
-    job.startedAt = new Date();
+    if (['pending', 'processing'].includes(job.status)) {
+      await jobRepository.cancel(exportId);
+      exportWorker.cancel(exportId);
+    }
 
-    try {
-      const { format, columns, compression } = job;
-
-      // Set response headers
-      res.setHeader('Content-Disposition', `attachment; filename="export-${exportId}.${format === 'parquet' ? 'parquet' : format}"`);
-
-      switch (format) {
-        case 'csv':
-          await handleCsvDownload(res, compression, columns);
-          break;
-        case 'json':
-          await handleJsonDownload(res, compression, columns);
-          break;
-        case 'xml':
-          await handleXmlDownload(res, compression, columns);
-          break;
-        case 'parquet':
-          await handleParquetDownload(res, columns);
-          break;
-        default:
-          res.status(400).json({ error: 'Unsupported format' });
-      }
-
-      job.status = 'completed';
-      job.completedAt = new Date();
-    } catch (err) {
-      console.error(`Export error for job ${exportId}:`, err);
-      job.status = 'failed';
-      job.error = err.message;
+    await jobRepository.delete(exportId);
+    if (job.outputPath) {
+      await removeStoredFile(job.outputPath);
+    }
 
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Export failed', message: err.message });
-      } else {
-        res.end();
+    res.status(204).end();
+  }));
+
+  // GET /exports/:exportId/download - Download the finished export file,
+  // or another format or encoding of it negotiated from Accept,
+  // Accept-Encoding and ?format=
+  router.get('/:exportId/download', asyncHandler(async (req, res, next) => {
+    const { exportId } = req.params;
+
+    const job = await jobRepository.get(exportId);
+    if (rejectUnfinishedJob(res, job)) return;
+
+    if (isPartedJob(job)) {
+      return res.status(409).json({
+        error: 'Export is split into part files; download them from its manifest',
+        manifest: `${req.baseUrl}/${exportId}/manifest`,
+      });
+    }
+
+    const requestedFormat = req.query.format;
+    if (requestedFormat !== undefined && !getFormat(requestedFormat)) {
+      return res.status(400).json({ error: `format must be one of: ${formatNames().join(', ')}` });
+    }
+
+    // Whichever representation is chosen, it depends on both headers
+    res.vary('Accept');
+    res.vary('Accept-Encoding');
+
+    const representation = negotiateRepresentation(req, job, requestedFormat);
+    if (!representation) {
+      return res.status(406).json({ error: 'None of the acceptable formats and encodings can be produced for this export' });
+    }
+    if (representation.transcoded) {
+      return sendTranscodedFile(res, job, representation);
+    }
+    if (representation.live) {
+      // Each one holds a pool connection and re-reads the whole source
+      if (liveDownloads >= maxLiveDownloads) {
+        res.setHeader('Retry-After', '30');
+        return res.status(503).json({ error: 'Too many downloads are being exported in another format, try again later' });
+      }
+      liveDownloads++;
+      try {
+        return await streamLiveDownload(req, res, job, representation);
+      } finally {
+        liveDownloads--;
       }
     }
-  });
 
-  // Helper functions
-  async function handleCsvDownload(res, compression, columns) {
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    await sendStoredFile(res, next, job.outputPath, exportId, representation);
+  }));
 
-    let outputStream = res;
-    if (compression === 'gzip') {
-      res.setHeader('Content-Encoding', 'gzip');
-      outputStream = zlib.createGzip();
-      outputStream.pipe(res);
+  // GET /exports/:exportId/schema - XML Schema (XSD) of an XML export,
+  // from the current types of its columns
+  router.get('/:exportId/schema', asyncHandler(async (req, res) => {
+    const job = await jobRepository.get(req.params.exportId);
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+    if (job.format !== 'xml') {
+      return res.status(404).json({ error: 'Only xml exports have an XML schema' });
     }
 
-    const client = await pool.connect();
+    const sourceName = (job.source || DEFAULT_SOURCE).name;
+    const columnTypes = {};
     try {
-      await streamToCSV(client, columns, outputStream);
-    } finally {
-      client.release();
+      const columnCatalog = await sourceCatalog.columns(sourceName);
+      for (const col of job.columns) {
+        // Only plain columns are known to be NOT NULL
+        const column = columnCatalog.get(col.source);
+        columnTypes[col.target] = {
+          dataType: compileColumnSource(col.source, columnCatalog).dataType,
+          nullable: !column || column.nullable,
+        };
+      }
+    } catch (err) {
+      if (err instanceof RelationNotFoundError) {
+        return res.status(410).json({ error: `Source "${sourceName}" no longer exists` });
+      }
+      if (err instanceof ColumnExpressionError) {
+        return res.status(410).json({ error: err.message });
+      }
+      console.error('Column catalog unavailable:', err);
+      return res.status(503).json({ error: 'Column catalog unavailable, try again later' });
+    }
+
+    const { xmlOptions, valueFormat } = job.options || {};
+    const schema = buildXmlSchema(job.columns, columnTypes, xmlOptions, valueFormat);
+    res.type('application/xml; charset=utf-8').status(200).send(schema);
+  }));
+
+  // GET /exports/:exportId/manifest - Part files of a split export, with
+  // their row counts, sizes and checksums
+  router.get('/:exportId/manifest', asyncHandler(async (req, res) => {
+    const { exportId } = req.params;
+
+    const job = await jobRepository.get(exportId);
+    if (rejectUnfinishedJob(res, job)) return;
+
+    if (!isPartedJob(job)) {
+      return res.status(404).json({ error: 'Export is not split into part files' });
     }
+
+    const manifest = await readManifest(job);
+    if (!manifest) {
+      return res.status(410).json({ error: 'Export file is no longer available' });
+    }
+
+    res.status(200).json({
+      ...manifest,
+      parts: manifest.parts.map(part => ({ ...part, download: `${req.baseUrl}/${exportId}/parts/${part.index}` })),
+    });
+  }));
+
+  // GET /exports/:exportId/parts/:index - Download one part file
+  router.get('/:exportId/parts/:index', asyncHandler(async (req, res, next) => {
+    const { exportId, index } = req.params;
+
+    const job = await jobRepository.get(exportId);
+    if (rejectUnfinishedJob(res, job)) return;
+
+    const manifest = isPartedJob(job) ? await readManifest(job) : null;
+    const part = manifest && manifest.parts.find(candidate => String(candidate.index) === index);
+    if (!part) {
+      return res.status(404).json({ error: 'Export part not found' });
+    }
+
+    await sendStoredFile(
+      res,
+      next,
+      path.join(job.outputPath, part.file),
+      `${exportId}-${part.index}`,
+      downloadRepresentation(job, part.index),
+    );
+  }));
+
+  // Helper functions
+  function serializeJob(job) {
+    const serialized = {
+      exportId: job.exportId,
+      format: job.format,
+      source: (job.source || DEFAULT_SOURCE).name,
+      orderBy: (job.source || DEFAULT_SOURCE).orderBy,
+      compression: job.compression,
+      ...job.options,
+      status: job.status,
+      rowsExported: job.rowsExported,
+      totalRows: job.totalRows,
+      percentage: job.percentage,
+      etaSeconds: job.etaSeconds,
+      outputSize: job.outputSize,
+      maxBufferedBytes: job.maxBufferedBytes,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+    };
+    // Where the next run of an incremental export starts
+    if (job.options && job.options.incremental) {
+      serialized.highWaterMark = job.highWaterMark || null;
+    }
+    return serialized;
   }
 
-  async function handleJsonDownload(res, compression, columns) {
-    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  // Sends 404 for missing jobs and 409 for unfinished ones; returns true
+  // when a response was sent
+  function rejectUnfinishedJob(res, job) {
+    if (!job) {
+      res.status(404).json({ error: 'Export job not found' });
+      return true;
+    }
 
-    let outputStream = res;
-    if (compression === 'gzip') {
-      res.setHeader('Content-Encoding', 'gzip');
-      outputStream = zlib.createGzip();
-      outputStream.pipe(res);
+    if (job.status !== 'completed') {
+      const errors = { failed: 'Export failed', cancelled: 'Export was cancelled' };
+      res.status(409).json({
+        error: errors[job.status] || 'Export is not ready yet',
+        job: serializeJob(job),
+      });
+      return true;
     }
+    return false;
+  }
 
-    const client = await pool.connect();
+  // Reads a split export's manifest; null once its files are gone
+  async function readManifest(job) {
     try {
-      await streamToJSON(client, columns, outputStream);
-    } finally {
-      client.release();
+      return JSON.parse(await fs.promises.readFile(path.join(job.outputPath, MANIFEST_FILE), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
     }
   }
 
-  async function handleXmlDownload(res, compression, columns) {
-    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
-
-    let outputStream = res;
-    if (compression === 'gzip') {
-      res.setHeader('Content-Encoding', 'gzip');
-      outputStream = zlib.createGzip();
-      outputStream.pipe(res);
+  // Describes how a stored export, or one of its parts, is served: stream
+  // codecs keep the format's type and name with a Content-Encoding, zip
+  // archives are served as application/zip
+  function downloadRepresentation(job, partIndex = null) {
+    const { contentType, extension } = getFormat(job.format);
+    const compression = job.compression ? COMPRESSIONS[job.compression] : null;
+    const filename = fileExtension => (partIndex === null
+      ? `export-${job.exportId}.${fileExtension}`
+      : `export-${job.exportId}-${partFileName(partIndex, fileExtension)}`);
+
+    if (compression && compression.contentType) {
+      return {
+        contentType: compression.contentType,
+        contentEncoding: null,
+        filename: filename(compression.extension),
+      };
     }
+    return {
+      contentType,
+      contentEncoding: compression ? compression.contentEncoding : null,
+      filename: filename(extension),
+    };
+  }
 
-    const client = await pool.connect();
+  // Sends a stored file with validators, leaving Range/If-Range (206 and
+  // 416), conditional GETs, Accept-Ranges and Content-Length to send
+  async function sendStoredFile(res, next, filePath, etagId, { contentType, contentEncoding, filename }) {
+    let stats;
     try {
-      await streamToXML(client, columns, outputStream);
-    } finally {
-      client.release();
+      stats = await fs.promises.stat(filePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return res.status(410).json({ error: 'Export file is no longer available' });
+      }
+      throw err;
+    }
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('ETag', storedFileETag(etagId, stats));
+    res.setHeader('Last-Modified', stats.mtime.toUTCString());
+    if (contentEncoding) {
+      // Ranges address the stored compressed bytes, so resumed downloads
+      // are stitched together before decompression
+      res.setHeader('Content-Encoding', contentEncoding);
+    }
+
+    res.sendFile(filePath, { lastModified: false, etag: false }, (err) => {
+      if (!err) return;
+      if (res.headersSent) {
+        if (err.code !== 'ECONNABORTED' && err.code !== 'ECONNRESET') {
+          console.error(`Error streaming export file ${filePath}:`, err);
+        }
+        return;
+      }
+
+      for (const header of ['Content-Type', 'Content-Disposition', 'Content-Encoding']) {
+        res.removeHeader(header);
+      }
+      if (err.status === 416) {
+        res.status(416).json({ error: 'Requested range not satisfiable' });
+      } else if (err.code === 'ENOENT') {
+        res.status(410).json({ error: 'Export file is no longer available' });
+      } else {
+        next(err);
+      }
+    });
+  }
+
+  // Picks the representation to download: the stored file whenever the
+  // request accepts it, the stored file in another encoding when only that
+  // differs, otherwise a format and encoding produced on the fly from the
+  // job's columns and filters; null when nothing is acceptable
+  function negotiateRepresentation(req, job, requestedFormat) {
+    const stored = downloadRepresentation(job);
+    if ((requestedFormat === undefined || requestedFormat === job.format)
+      && req.accepts(mediaType(stored.contentType))
+      && acceptsEncoding(req, stored.contentEncoding || 'identity')) {
+      return stored;
     }
+
+    // The job's own format and codec win ties
+    const formats = requestedFormat !== undefined
+      ? [requestedFormat]
+      : [job.format, ...formatNames().filter(format => format !== job.format)];
+    const accepted = req.accepts(formats.map(format => mediaType(getFormat(format).contentType)));
+    if (!accepted) return null;
+    const format = formats.find(candidate => mediaType(getFormat(candidate).contentType) === accepted);
+
+    const { contentType, extension, compressible } = getFormat(format);
+    const streamCodecs = Object.keys(COMPRESSIONS).filter(codec => COMPRESSIONS[codec].contentEncoding);
+    const encodings = compressible
+      ? [...new Set([...streamCodecs.filter(codec => codec === job.compression), 'identity', ...streamCodecs])]
+      : ['identity'];
+    const encoding = acceptsEncoding(req, encodings);
+    if (!encoding) return null;
+
+    const storedCodec = job.compression ? COMPRESSIONS[job.compression] : null;
+    return {
+      // The stored bytes can be decoded unless they are zip or zstd
+      transcoded: format === job.format && (!storedCodec || Boolean(storedCodec.createDecoder)),
+      live: true,
+      format,
+      compression: encoding === 'identity' ? null : encoding,
+      contentType,
+      contentEncoding: encoding === 'identity' ? null : COMPRESSIONS[encoding].contentEncoding,
+      filename: `export-${job.exportId}.${extension}`,
+    };
   }
 
-  async function handleParquetDownload(res, columns) {
-    res.setHeader('Content-Type', 'application/octet-stream');
+  // A request without Accept-Encoding accepts any encoding; this returns
+  // the first of `encodings` then, like req.acceptsEncodings does otherwise
+  function acceptsEncoding(req, encodings) {
+    if (req.headers['accept-encoding'] === undefined) {
+      return Array.isArray(encodings) ? encodings[0] : encodings;
+    }
+    return req.acceptsEncodings(encodings);
+  }
 
-    const tempFile = path.join(os.tmpdir(), `export-${uuidv4()}.parquet`);
+  function mediaType(contentType) {
+    return contentType.split(';')[0];
+  }
 
+  // Sends the stored file in another encoding, decoding and encoding it on
+  // the fly; the bytes are not stored, so no ranges or validators
+  async function sendTranscodedFile(res, job, {
+    compression, contentType, contentEncoding, filename,
+  }) {
     try {
-      const client = await pool.connect();
-      try {
-        await streamToParquet(client, columns, tempFile);
-      } finally {
-        client.release();
+      await fs.promises.stat(job.outputPath);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return res.status(410).json({ error: 'Export file is no longer available' });
       }
+      throw err;
+    }
 
-      // Stream the file to response
-      const fileStream = fs.createReadStream(tempFile, { highWaterMark: 64 * 1024 });
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Accept-Ranges', 'none');
+    if (contentEncoding) {
+      res.setHeader('Content-Encoding', contentEncoding);
+    }
 
-      return new Promise((resolve, reject) => {
-        fileStream.on('error', reject);
-        res.on('finish', () => {
-          fs.unlink(tempFile, (err) => {
-            if (err) console.error('Error cleaning up temp file:', err);
-            resolve();
-          });
-        });
+    const stages = [fs.createReadStream(job.outputPath)];
+    if (job.compression) {
+      stages.push(COMPRESSIONS[job.compression].createDecoder());
+    }
+    if (compression) {
+      stages.push(COMPRESSIONS[compression].createEncoder(defaultCompressionLevel(compression)));
+    }
+    try {
+      await pipeline(...stages, res);
+    } catch (err) {
+      // pipeline has destroyed the response; a client that went away is
+      // not an error
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`Error re-encoding export file ${job.outputPath}:`, err);
+      }
+    }
+  }
 
-        fileStream.pipe(res);
-      });
+  // Runs the export again straight into the response in the negotiated
+  // format and encoding; there is no stored file, so no ranges or validators
+  // The rows are read as they are now, not as the job exported them
+  async function streamLiveDownload(req, res, job, representation) {
+    const { format, compression, contentType, contentEncoding, filename } = representation;
+    const liveJob = {
+      ...job,
+      format,
+      compression,
+      // A level only applies to the codec it was chosen for
+      options: {
+        ...job.options,
+        compressionLevel: compression === job.compression ? (job.options || {}).compressionLevel : undefined,
+      },
+    };
+
+    // Stop reading from the database once the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Accept-Ranges', 'none');
+    if (contentEncoding) {
+      res.setHeader('Content-Encoding', contentEncoding);
+    }
+
+    try {
+      await streamExport(pool, liveJob, res, { signal: controller.signal });
     } catch (err) {
-      // Clean up temp file on error
-      fs.unlink(tempFile, (e) => {
-        if (e) console.error('Error cleaning up temp file:', e);
-      });
+      // The client went away: the writer was stopped or the response closed
+      if (err instanceof ExportCancelledError || err.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+      if (res.headersSent || res.destroyed) {
+        // Once the body has started, cutting the connection is the only way
+        // left to tell the client it is incomplete
+        console.error(`Error streaming export ${job.exportId} as ${format}:`, err);
+        res.destroy();
+        return;
+      }
+      for (const header of ['Content-Type', 'Content-Disposition', 'Content-Encoding', 'Accept-Ranges']) {
+        res.removeHeader(header);
+      }
       throw err;
     }
   }
 
+  // Stored files are written once under a .partial name and renamed when
+  // complete, so size and mtime identify their bytes and the ETag can be
+  // strong, as If-Range requires
+  function storedFileETag(id, stats) {
+    return `"${id}-${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  }
+
   return router;
 };
@@ -0,0 +1,97 @@
+const express = require('express');
+
+const {
+  WATERMARK_KEYS, validateWatermark, validateWatermarkColumn, validateWatermarkRange,
+} = require('../utils/incremental');
+const { RelationNotFoundError } = require('../utils/columnCatalog');
+
+// Forwards rejections from async route handlers to the error handler
+const asyncHandler = handler => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+const STREAM_NAME_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+module.exports = function (streamRepository, sourceCatalog) {
+  const router = express.Router();
+
+  // POST /streams - Create a named export stream
+  router.post('/', asyncHandler(async (req, res) => {
+    const {
+      name, source = sourceCatalog.defaultSource, key = 'id', watermark = null,
+    } = req.body;
+
+    if (typeof name !== 'string' || !STREAM_NAME_PATTERN.test(name)) {
+      return res.status(400).json({ error: 'name must be 1-100 letters, digits, "-" or "_"' });
+    }
+    if (!sourceCatalog.entryFor(source)) {
+      return res.status(400).json({ error: `source must be one of: ${sourceCatalog.names().join(', ')}` });
+    }
+    if (!Object.keys(WATERMARK_KEYS).includes(key)) {
+      return res.status(400).json({ error: `key must be one of: ${Object.keys(WATERMARK_KEYS).join(', ')}` });
+    }
+
+    // Every run of the stream follows this column of the source
+    let columnCatalog;
+    let orderBy;
+    try {
+      columnCatalog = await sourceCatalog.columns(source);
+      orderBy = await sourceCatalog.orderingKey(source);
+    } catch (err) {
+      if (err instanceof RelationNotFoundError) {
+        return res.status(400).json({ error: `Source "${source}" does not exist` });
+      }
+      console.error('Column catalog unavailable:', err);
+      return res.status(503).json({ error: 'Column catalog unavailable, try again later' });
+    }
+    const columnError = validateWatermarkColumn(key, source, columnCatalog, orderBy);
+    if (columnError) {
+      return res.status(400).json({ error: columnError });
+    }
+
+    if (watermark !== null) {
+      const watermarkError = validateWatermark(key, watermark, 'watermark')
+        || validateWatermarkRange(key, watermark, 'watermark', columnCatalog, orderBy);
+      if (watermarkError) {
+        return res.status(400).json({ error: watermarkError });
+      }
+    }
+
+    const stream = await streamRepository.create({
+      name,
+      source,
+      key,
+      watermark: watermark === null ? null : String(watermark),
+    });
+    if (!stream) {
+      return res.status(409).json({ error: `Export stream "${name}" already exists` });
+    }
+
+    res.status(201).json(stream);
+  }));
+
+  // GET /streams - List export streams
+  router.get('/', asyncHandler(async (req, res) => {
+    res.status(200).json({ streams: await streamRepository.list() });
+  }));
+
+  // GET /streams/:name - Stream and its current watermark
+  router.get('/:name', asyncHandler(async (req, res) => {
+    const stream = await streamRepository.get(req.params.name);
+    if (!stream) {
+      return res.status(404).json({ error: 'Export stream not found' });
+    }
+
+    res.status(200).json(stream);
+  }));
+
+  // DELETE /streams/:name - Forget a stream; its exports are kept
+  router.delete('/:name', asyncHandler(async (req, res) => {
+    const stream = await streamRepository.delete(req.params.name);
+    if (!stream) {
+      return res.status(404).json({ error: 'Export stream not found' });
+    }
+
+    res.status(204).end();
+  }));
+
+  return router;
+};
@@ -0,0 +1,138 @@
+const arrow = require('apache-arrow');
+const { describeColumns, toColumnValue, toUnscaledDecimal } = require('../utils/schemaInference');
+const { writeFormat } = require('./cursorReader');
+
+// Column type -> Arrow data type factory
+const ARROW_TYPES = {
+  string: () => new arrow.Utf8(),
+  json: () => new arrow.Utf8(),
+  int32: () => new arrow.Int32(),
+  int64: () => new arrow.Int64(),
+  double: () => new arrow.Float64(),
+  boolean: () => new arrow.Bool(),
+  date: () => new arrow.DateDay(),
+  timestamp: () => new arrow.TimestampMillisecond(),
+};
+
+// Widest decimal Arrow's Decimal128 holds; wider ones are exported as text
+const MAX_DECIMAL128_PRECISION = 38;
+
+/**
+ * Returns the Arrow data type of a described export column
+ */
+function arrowFieldType({ type, precision, scale }) {
+  if (type === 'decimal') {
+    return precision <= MAX_DECIMAL128_PRECISION ? new arrow.Decimal(scale, precision, 128) : new arrow.Utf8();
+  }
+  return ARROW_TYPES[type]();
+}
+
+/**
+ * Creates the Arrow schema from the described export columns
+ * (see describeColumns)
+ */
+function createArrowSchema(columns) {
+  return new arrow.Schema(columns.map(column => new arrow.Field(column.target, arrowFieldType(column), column.nullable)));
+}
+
+/**
+ * Converts an unscaled decimal into Decimal128's four little-endian 32-bit words
+ */
+function toDecimal128(unscaled) {
+  const words = new Uint32Array(4);
+  let remaining = BigInt.asUintN(128, unscaled);
+  for (let i = 0; i < 4; i++) {
+    words[i] = Number(remaining & 0xffffffffn);
+    remaining >>= 32n;
+  }
+  return words;
+}
+
+/**
+ * Converts a value to what the Arrow builder expects for the field's type
+ */
+function toArrowValue(value, column, dataType) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (column.type === 'decimal' && arrow.DataType.isDecimal(dataType)) {
+    return toDecimal128(toUnscaledDecimal(value, column.scale));
+  }
+  return toColumnValue(value, column.type);
+}
+
+/**
+ * Builds one Arrow record batch from a batch of database rows
+ */
+function toRecordBatch(schema, columns, rows) {
+  const children = columns.map((column, index) => {
+    const { type } = schema.fields[index];
+    const builder = arrow.makeBuilder({ type, nullValues: [null] });
+    for (const row of rows) {
+      builder.append(toArrowValue(row[column.source], column, type));
+    }
+    return builder.finish().flush();
+  });
+
+  const data = arrow.makeData({
+    type: new arrow.Struct(schema.fields),
+    length: rows.length,
+    nullCount: 0,
+    children,
+  });
+  return new arrow.RecordBatch(schema, data);
+}
+
+/**
+ * Opens an Arrow IPC stream on outputStream
+ * Every FETCH becomes one record batch written straight through
+ */
+async function openArrowWriter({
+  client, columnMap, outputStream, filters, source,
+}) {
+  // Arrow fields are fixed before the first batch, so they are typed from
+  // the query's result-set fields
+  const columns = await describeColumns(client, columnMap, filters, source);
+  const schema = createArrowSchema(columns);
+
+  const writer = new arrow.RecordBatchStreamWriter();
+  writer.toNodeStream().pipe(outputStream);
+  // Writes the schema message up front so empty exports are still readable
+  writer.reset(undefined, schema);
+
+  return {
+    writeRows(rows) {
+      writer.write(toRecordBatch(schema, columns, rows));
+    },
+    finish() {
+      // Writes the end-of-stream marker and ends outputStream
+      writer.finish();
+    },
+    abort() {
+      writer.abort();
+    },
+  };
+}
+
+// Arrow IPC is meant to be read without unpacking, so it is never compressed
+const ARROW_FORMAT = {
+  name: 'arrow',
+  label: 'Arrow',
+  contentType: 'application/vnd.apache.arrow.stream',
+  extension: 'arrows',
+  compressible: false,
+  open: openArrowWriter,
+};
+
+/**
+ * Streams data from database as an Arrow IPC stream
+ */
+function streamToArrow(client, columnMap, outputStream, options = {}) {
+  return writeFormat(ARROW_FORMAT, client, columnMap, outputStream, options);
+}
+
+module.exports = {
+  ARROW_FORMAT,
+  streamToArrow,
+  createArrowSchema,
+};
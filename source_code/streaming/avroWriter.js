@@ -0,0 +1,205 @@
+const avro = require('avsc');
+const {
+  decimalToBytes,
+  describeColumns,
+  toColumnValue,
+  toUnscaledDecimal,
+} = require('../utils/schemaInference');
+const { writeFormat } = require('./cursorReader');
+
+// Column type -> Avro type
+const AVRO_TYPES = {
+  string: 'string',
+  json: 'string',
+  int32: 'int',
+  int64: 'long',
+  double: 'double',
+  boolean: 'boolean',
+  date: { type: 'int', logicalType: 'date' },
+  timestamp: { type: 'long', logicalType: 'timestamp-millis' },
+};
+
+const MILLIS_PER_DAY = 86400000;
+
+// Avro longs as BigInts, so BIGINT ids keep all 64 bits
+// Only plain "long" references resolve to it; timestamp-millis stays a
+// regular long holding a JavaScript number
+const BIGINT_LONG_TYPE = avro.types.LongType.__with({
+  fromBuffer: buffer => buffer.readBigInt64LE(),
+  toBuffer: (value) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigInt64LE(value);
+    return buffer;
+  },
+  fromJSON: BigInt,
+  toJSON: Number,
+  isValid: value => typeof value === 'bigint',
+  compare: (a, b) => (a === b ? 0 : (a < b ? -1 : 1)),
+});
+
+/**
+ * Logical type that encodes values as its underlying type unchanged
+ * avsc drops logical type annotations it has no implementation for, so this
+ * keeps decimal, date and timestamp-millis (with precision and scale) in the
+ * schema written to the file header
+ */
+class AnnotatedLogicalType extends avro.types.LogicalType {
+  constructor(schema, opts) {
+    super(schema, opts);
+    this.precision = schema.precision;
+    this.scale = schema.scale;
+  }
+
+  _fromValue(value) {
+    return value;
+  }
+
+  _toValue(value) {
+    return value;
+  }
+
+  _export(schema) {
+    if (this.precision !== undefined) {
+      Object.assign(schema, { precision: this.precision, scale: this.scale });
+    }
+  }
+}
+
+const LOGICAL_TYPES = {
+  decimal: AnnotatedLogicalType,
+  date: AnnotatedLogicalType,
+  'timestamp-millis': AnnotatedLogicalType,
+};
+
+/**
+ * Turns a target name into a valid, unique Avro field name
+ * Avro names must match [A-Za-z_][A-Za-z0-9_]*
+ */
+function toAvroFieldName(target, usedNames) {
+  let name = target.replace(/[^A-Za-z0-9_]/g, '_');
+  if (!/^[A-Za-z_]/.test(name)) {
+    name = `_${name}`;
+  }
+
+  let unique = name;
+  for (let suffix = 2; usedNames.has(unique); suffix++) {
+    unique = `${name}_${suffix}`;
+  }
+  usedNames.add(unique);
+  return unique;
+}
+
+/**
+ * Returns the Avro type of a described export column
+ */
+function avroFieldType({ type, precision, scale, nullable }) {
+  const fieldType = type === 'decimal'
+    ? { type: 'bytes', logicalType: 'decimal', precision, scale }
+    : AVRO_TYPES[type];
+  return nullable ? ['null', fieldType] : fieldType;
+}
+
+/**
+ * Creates the Avro record type from the described export columns
+ * (see describeColumns)
+ * Returns { type, fields } where fields maps columns to Avro field names
+ */
+function createAvroSchema(columns) {
+  const usedNames = new Set();
+  const fields = columns.map(column => ({
+    ...column,
+    name: toAvroFieldName(column.target, usedNames),
+  }));
+
+  const type = avro.Type.forSchema({
+    type: 'record',
+    name: 'ExportRecord',
+    fields: fields.map(field => ({
+      name: field.name,
+      type: avroFieldType(field),
+      ...(field.nullable ? { default: null } : {}),
+      // Keep the requested name when it had to be sanitized
+      ...(field.name !== field.target ? { doc: field.target } : {}),
+    })),
+  }, { registry: { long: BIGINT_LONG_TYPE }, logicalTypes: LOGICAL_TYPES });
+
+  return { type, fields };
+}
+
+/**
+ * Converts a value to its Avro representation for the column's type
+ */
+function toAvroValue(value, column) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (column.type) {
+    case 'decimal':
+      return decimalToBytes(toUnscaledDecimal(value, column.scale));
+    case 'date':
+      return toColumnValue(value, 'date').getTime() / MILLIS_PER_DAY;
+    case 'timestamp':
+      return toColumnValue(value, 'timestamp').getTime();
+    default:
+      return toColumnValue(value, column.type);
+  }
+}
+
+/**
+ * Opens an Avro object container file on outputStream
+ * Blocks are deflate-compressed as they fill up
+ */
+async function openAvroEncoder({
+  client, columnMap, outputStream, filters, source,
+}) {
+  // The container header embeds the record schema, so it is built from the
+  // column types before any row is read
+  const { type, fields } = createAvroSchema(await describeColumns(client, columnMap, filters, source));
+
+  const encoder = new avro.streams.BlockEncoder(type, { codec: 'deflate' });
+  encoder.pipe(outputStream);
+
+  return {
+    writeRows(rows) {
+      for (const row of rows) {
+        const record = {};
+        for (const field of fields) {
+          record[field.name] = toAvroValue(row[field.source], field);
+        }
+        encoder.write(record);
+      }
+    },
+    finish() {
+      // Flushes the last block; the pipe then ends outputStream
+      encoder.end();
+    },
+    abort() {
+      encoder.unpipe(outputStream);
+      encoder.destroy();
+    },
+  };
+}
+
+const AVRO_FORMAT = {
+  name: 'avro',
+  label: 'Avro',
+  contentType: 'application/avro',
+  extension: 'avro',
+  compressible: false,
+  open: openAvroEncoder,
+};
+
+/**
+ * Streams data from database to an Avro object container file
+ */
+function streamToAvro(client, columnMap, outputStream, options = {}) {
+  return writeFormat(AVRO_FORMAT, client, columnMap, outputStream, options);
+}
+
+module.exports = {
+  AVRO_FORMAT,
+  BIGINT_LONG_TYPE,
+  streamToAvro,
+  createAvroSchema,
+};
@@ -1,72 +1,85 @@
+const { writeToString } = require('fast-csv');
+const { writeFormat } = require('./cursorReader');
+const { resolveCsvOptions } = require('../utils/csvOptions');
+const { NumberText } = require('../utils/valueFormat');
+
 /**
- * Streams CSV data from database to response
- * Handles nested JSONB by serializing as JSON strings
- * Uses cursor-based batching for memory efficiency
+ * Renders one value as the text of a CSV field
+ * NULL becomes the null representation and timestamps ISO 8601; nested
+ * JSONB is serialized as JSON, or written as NULL when csvOptions.jsonb
+ * is "null"
  */
-async function streamToCSV(client, columnMap, outputStream, batchSize = 10000) {
-  const columnList = columnMap.map(col => col.source).join(', ');
-
-  // Write header
-  const headerLine = columnMap.map(col => col.target).join(',') + '\n';
-  outputStream.write(headerLine);
-
-  try {
-    await client.query('BEGIN');
-    await client.query(`DECLARE csv_cursor CURSOR FOR SELECT ${columnList} FROM records ORDER BY id`);
-
-    let totalRows = 0;
-    let hasMore = true;
-
-    while (hasMore) {
-      const result = await client.query(`FETCH ${batchSize} FROM csv_cursor`);
-      const rows = result.rows;
-
-      if (rows.length === 0) {
-        hasMore = false;
-        break;
-      }
-
-      let csvBatch = '';
-      for (const row of rows) {
-        const csvLine = columnMap
-          .map(({ source, target }) => {
-            let value = row[source];
-            if (value && typeof value === 'object') {
-              value = JSON.stringify(value);
-            } else {
-              value = value !== null ? String(value) : '';
-            }
+function toCSVField(value, { nullValue, jsonb }) {
+  if (value === null || value === undefined) {
+    return nullValue;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value !== 'object' || value instanceof NumberText) {
+    return String(value);
+  }
+  if (jsonb === 'null') {
+    return nullValue;
+  }
+  return JSON.stringify(value, null, jsonb === 'pretty' ? 2 : undefined);
+}
 
-            // Escape CSV values
-            if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-              return `"${value.replace(/"/g, '""')}"`;
-            }
-            return value;
-          })
-          .join(',');
+/**
+ * Opens the encoder for the job's csvOptions
+ * fast-csv formats each batch; fields holding the delimiter, the quote
+ * character or a line break (CR or LF) are quoted, and every field with
+ * quoteAll. The header and BOM are written up front, so an export
+ * without rows still has them
+ */
+async function openCSVEncoder({ columnMap, outputStream, options }) {
+  const csvOptions = resolveCsvOptions(options.csvOptions);
+  const dialect = {
+    delimiter: csvOptions.delimiter,
+    quote: csvOptions.quote,
+    quoteColumns: csvOptions.quoteAll,
+    rowDelimiter: csvOptions.lineTerminator,
+    includeEndRowDelimiter: true,
+  };
 
-        csvBatch += csvLine + '\n';
-        totalRows++;
-      }
+  let prolog = csvOptions.bom ? '\ufeff' : '';
+  if (csvOptions.header) {
+    prolog += await writeToString([columnMap.map(col => col.target)], dialect);
+  }
+  if (prolog) outputStream.write(prolog);
 
-      outputStream.write(csvBatch);
-    }
+  return {
+    async writeRows(rows) {
+      const lines = rows.map(row => columnMap.map(({ source }) => toCSVField(row[source], csvOptions)));
+      outputStream.write(await writeToString(lines, dialect));
+    },
+    finish() {
+      outputStream.end();
+    },
+  };
+}
 
-    await client.query('CLOSE csv_cursor');
-    await client.query('COMMIT');
+const CSV_FORMAT = {
+  name: 'csv',
+  label: 'CSV',
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  compressible: true,
+  formatsValues: true,
+  open: openCSVEncoder,
+};
 
-    outputStream.end();
-    console.log(`CSV export completed. Total rows: ${totalRows}`);
-  } catch (error) {
-    try {
-      await client.query('ROLLBACK');
-    } catch (rollbackErr) {
-      // Ignore rollback errors
-    }
-    throw error;
-  }
+/**
+ * Streams CSV data from database to response
+ * Handles nested JSONB by serializing as JSON strings
+ * Uses cursor-based batching for memory efficiency
+ * options.csvOptions sets the dialect (see utils/csvOptions.js)
+ */
+function streamToCSV(client, columnMap, outputStream, options = {}) {
+  return writeFormat(CSV_FORMAT, client, columnMap, outputStream, options);
 }
 
 module.exports = {
+  CSV_FORMAT,
   streamToCSV,
 };
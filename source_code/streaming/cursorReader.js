@@ -0,0 +1,142 @@
+const { buildSelectQuery } = require('../utils/query');
+const { throwIfCancelled } = require('../utils/cancellation');
+const { drainIfNeeded } = require('../utils/backpressure');
+const { createValueFormatter } = require('../utils/valueFormat');
+
+// Rows per FETCH unless the format or the job says otherwise
+const DEFAULT_BATCH_SIZE = 10000;
+
+/**
+ * Reads an export's rows through a server-side cursor
+ * Runs BEGIN, DECLARE and one FETCH per batch until the cursor is empty,
+ * then CLOSE and COMMIT. A read left early, by an error on either side or
+ * by cancellation, closes the cursor and rolls back instead
+ * Yields { rows, fields } for every non-empty batch
+ */
+async function* readCursor(client, columnMap, {
+  cursorName, batchSize = DEFAULT_BATCH_SIZE, filters = null, source, signal = null,
+}) {
+  const query = buildSelectQuery(columnMap, filters, { source });
+  let committed = false;
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`DECLARE ${cursorName} CURSOR FOR ${query.text}`, query.values);
+
+    for (;;) {
+      throwIfCancelled(signal);
+      const result = await client.query(`FETCH ${batchSize} FROM ${cursorName}`);
+      if (result.rows.length === 0) break;
+      yield { rows: result.rows, fields: result.fields || [] };
+    }
+
+    await client.query(`CLOSE ${cursorName}`);
+    await client.query('COMMIT');
+    committed = true;
+  } finally {
+    if (!committed) {
+      try {
+        await client.query(`CLOSE ${cursorName}`);
+      } catch (closeErr) {
+        // Cursor may not be open, or the transaction is already aborted
+      }
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        // Ignore rollback errors
+      }
+    }
+  }
+}
+
+// Format names may hold "-", which an unquoted SQL identifier cannot
+function cursorName(format) {
+  return `${format.name.replace(/\W/g, '_')}_cursor`;
+}
+
+/**
+ * Encoder for formats that render each row as text (see formats.js)
+ * The prolog is written up front, each batch as one chunk and the epilog
+ * when the output ends
+ */
+function createTextEncoder(format, context) {
+  const { outputStream } = context;
+  let index = 0;
+
+  const prolog = format.prolog ? format.prolog(context) : '';
+  if (prolog) outputStream.write(prolog);
+
+  return {
+    writeRows(rows) {
+      let chunk = '';
+      for (const row of rows) {
+        chunk += format.row(row, index, context);
+        index++;
+      }
+      outputStream.write(chunk);
+    },
+    finish() {
+      const epilog = format.epilog ? format.epilog(context) : '';
+      if (epilog) outputStream.write(epilog);
+      outputStream.end();
+    },
+  };
+}
+
+/**
+ * Exports the rows of columnMap into outputStream in a registered format
+ * The cursor fetches the next batch only once the output has drained, so
+ * a slow consumer holds it back instead of the export piling up in memory
+ * Options: batchSize, filters, source, signal (stops between batches with
+ * ExportCancelledError), onProgress(rowsExported) after every batch,
+ * bufferStats (see backpressure.js) and the job's format settings
+ * Formats registered with formatsValues get their rows formatted by the
+ * job's valueFormat first (see valueFormat.js)
+ * Returns the number of rows exported
+ */
+async function writeFormat(format, client, columnMap, outputStream, options = {}) {
+  const {
+    batchSize = format.batchSize || DEFAULT_BATCH_SIZE,
+    filters = null,
+    onProgress = null,
+    signal = null,
+    source,
+    bufferStats = null,
+  } = options;
+
+  const context = {
+    client, columnMap, outputStream, options, filters, source,
+  };
+  const encoder = format.open ? await format.open(context) : createTextEncoder(format, context);
+  const formatter = format.formatsValues && options.valueFormat
+    ? createValueFormatter(columnMap, options.valueFormat)
+    : null;
+
+  let totalRows = 0;
+  try {
+    const batches = readCursor(client, columnMap, {
+      cursorName: cursorName(format), batchSize, filters, source, signal,
+    });
+    for await (const { rows, fields } of batches) {
+      await encoder.writeRows(formatter ? formatter.formatRows(rows, fields) : rows, fields);
+      totalRows += rows.length;
+      await drainIfNeeded(outputStream, { signal, stats: bufferStats });
+      if (onProgress) onProgress(totalRows);
+    }
+
+    await encoder.finish();
+  } catch (err) {
+    // The caller discards the incomplete output
+    if (encoder.abort) encoder.abort();
+    throw err;
+  }
+
+  console.log(`${format.label} export completed. Total rows: ${totalRows}`);
+  return totalRows;
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  readCursor,
+  writeFormat,
+};
@@ -0,0 +1,157 @@
+const path = require('path');
+
+const { writeFormat } = require('./cursorReader');
+const { CSV_FORMAT } = require('./csvWriter');
+const { JSON_FORMAT } = require('./jsonWriter');
+const { NDJSON_FORMAT } = require('./ndjsonWriter');
+const { XML_FORMAT } = require('./xmlWriter');
+const { PARQUET_FORMAT } = require('./parquetWriter');
+const { XLSX_FORMAT } = require('./xlsxWriter');
+const { AVRO_FORMAT } = require('./avroWriter');
+const { ARROW_FORMAT } = require('./arrowWriter');
+
+/**
+ * Registry of export formats
+ * A format describes its output and how rows are rendered; the shared
+ * cursor reader (cursorReader.js) does the querying, batching,
+ * backpressure and cancellation for all of them:
+ *
+ *   {
+ *     name: 'tsv',                    // request `format`, [a-z][a-z0-9_-]*
+ *     label: 'TSV',                   // for logs; defaults to the name
+ *     contentType: 'text/tab-separated-values; charset=utf-8',
+ *     extension: 'tsv',               // of stored and downloaded files
+ *     compressible: true,             // whether `compression` applies
+ *     formatsValues: true,            // optional, whether `valueFormat` applies
+ *     batchSize: 10000,               // optional rows per FETCH
+ *     prolog(context) {},             // optional text written first
+ *     row(row, index, context) {},    // text of one row
+ *     epilog(context) {},             // optional text written last
+ *   }
+ *
+ * Formats that are not rendered row by row as text implement
+ * open(context) instead of prolog/row/epilog, returning an encoder with
+ * writeRows(rows, fields), finish() and an optional abort(); they write
+ * to context.outputStream themselves and must end it in finish()
+ * context holds client, columnMap, outputStream, filters, source and the
+ * job's options
+ */
+
+const FORMAT_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const EXTENSION_PATTERN = /^[a-z0-9]+$/;
+
+// Format name -> registered format, in registration order
+const formats = new Map();
+
+/**
+ * Returns why a format cannot be registered, or null
+ */
+function validateFormat(format) {
+  if (!format || typeof format !== 'object') {
+    return 'a format must be an object';
+  }
+  const { name } = format;
+  if (typeof name !== 'string' || !FORMAT_NAME_PATTERN.test(name)) {
+    return 'name must be lowercase letters, digits, "-" or "_", starting with a letter';
+  }
+  if (formats.has(name)) {
+    return `format "${name}" is already registered`;
+  }
+  if (typeof format.contentType !== 'string' || !format.contentType.includes('/')) {
+    return `${name}: contentType must be a media type`;
+  }
+  if (typeof format.extension !== 'string' || !EXTENSION_PATTERN.test(format.extension)) {
+    return `${name}: extension must be lowercase letters and digits`;
+  }
+  if (typeof format.compressible !== 'boolean') {
+    return `${name}: compressible must be a boolean`;
+  }
+  if (format.formatsValues !== undefined && typeof format.formatsValues !== 'boolean') {
+    return `${name}: formatsValues must be a boolean`;
+  }
+  if (format.batchSize !== undefined && !(Number.isSafeInteger(format.batchSize) && format.batchSize > 0)) {
+    return `${name}: batchSize must be a positive integer`;
+  }
+  if (typeof format.open !== 'function' && typeof format.row !== 'function') {
+    return `${name}: either row() or open() must be implemented`;
+  }
+  for (const hook of ['prolog', 'epilog']) {
+    if (format[hook] !== undefined && typeof format[hook] !== 'function') {
+      return `${name}: ${hook} must be a function`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Adds a format to the registry, making it available to exports,
+ * downloads and the benchmark
+ * Throws when the format is invalid or its name is taken
+ * Returns the registered format, with writer(client, columnMap,
+ * outputStream, options) bound to it
+ */
+function registerFormat(format) {
+  const error = validateFormat(format);
+  if (error) {
+    throw new Error(`Cannot register export format: ${error}`);
+  }
+
+  const registered = { label: format.name, ...format };
+  registered.writer = (client, columnMap, outputStream, options) => (
+    writeFormat(registered, client, columnMap, outputStream, options)
+  );
+  formats.set(format.name, registered);
+  return registered;
+}
+
+/**
+ * Returns a registered format, or null
+ */
+function getFormat(name) {
+  return formats.get(name) || null;
+}
+
+/**
+ * Names of the registered formats, in registration order
+ */
+function formatNames() {
+  return [...formats.keys()];
+}
+
+/**
+ * Registers the formats exported by third-party modules
+ * `spec` is a comma-separated list of module names or paths (relative to
+ * baseDir), as in EXPORT_FORMAT_MODULES; each module exports a format or
+ * an array of formats
+ * Returns the names registered
+ */
+function loadFormatModules(spec, baseDir = process.cwd()) {
+  const names = [];
+  for (const entry of (spec || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const modulePath = entry.startsWith('.') ? path.resolve(baseDir, entry) : entry;
+    const exported = require(modulePath);
+    for (const format of Array.isArray(exported) ? exported : [exported]) {
+      names.push(registerFormat(format).name);
+    }
+  }
+  return names;
+}
+
+[
+  CSV_FORMAT,
+  JSON_FORMAT,
+  NDJSON_FORMAT,
+  XML_FORMAT,
+  PARQUET_FORMAT,
+  XLSX_FORMAT,
+  AVRO_FORMAT,
+  ARROW_FORMAT,
+].forEach(registerFormat);
+
+module.exports = {
+  formatNames,
+  getFormat,
+  loadFormatModules,
+  registerFormat,
+  validateFormat,
+};
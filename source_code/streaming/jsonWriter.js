@@ -1,62 +1,48 @@
+const { writeFormat } = require('./cursorReader');
+const { NumberText } = require('../utils/valueFormat');
+
 /**
- * Streams JSON array data from database to response
- * Uses cursor-based batching for memory efficiency
+ * Serializes one row as a JSON object keyed by target column
+ * Formatted numbers (see valueFormat) are written as number tokens from
+ * their exact text, which JSON.stringify cannot do
  */
-async function streamToJSON(client, columnMap, outputStream, batchSize = 10000) {
-  const columnList = columnMap.map(col => col.source).join(', ');
-
-  outputStream.write('[');
-
-  try {
-    await client.query('BEGIN');
-    await client.query(`DECLARE json_cursor CURSOR FOR SELECT ${columnList} FROM records ORDER BY id`);
-
-    let firstRow = true;
-    let totalRows = 0;
-    let hasMore = true;
-
-    while (hasMore) {
-      const result = await client.query(`FETCH ${batchSize} FROM json_cursor`);
-      const rows = result.rows;
-
-      if (rows.length === 0) {
-        hasMore = false;
-        break;
-      }
-
-      let jsonBatch = '';
-      for (const row of rows) {
-        const jsonObj = {};
-        columnMap.forEach(({ source, target }) => {
-          jsonObj[target] = row[source];
-        });
-
-        const prefix = firstRow ? '' : ',';
-        firstRow = false;
-
-        jsonBatch += prefix + JSON.stringify(jsonObj);
-        totalRows++;
-      }
-
-      outputStream.write(jsonBatch);
-    }
+function toJSONRecord(row, columnMap) {
+  const jsonObj = {};
+  columnMap.forEach(({ source, target }) => {
+    jsonObj[target] = row[source];
+  });
+
+  const members = Object.entries(jsonObj).filter(([, value]) => value !== undefined);
+  if (!members.some(([, value]) => value instanceof NumberText)) {
+    return JSON.stringify(jsonObj);
+  }
+  return `{${members
+    .map(([key, value]) => `${JSON.stringify(key)}:${value instanceof NumberText ? value.text : JSON.stringify(value)}`)
+    .join(',')}}`;
+}
 
-    await client.query('CLOSE json_cursor');
-    await client.query('COMMIT');
+const JSON_FORMAT = {
+  name: 'json',
+  label: 'JSON',
+  contentType: 'application/json; charset=utf-8',
+  extension: 'json',
+  compressible: true,
+  formatsValues: true,
+  prolog: () => '[',
+  row: (row, index, { columnMap }) => (index === 0 ? '' : ',') + toJSONRecord(row, columnMap),
+  epilog: () => ']',
+};
 
-    outputStream.write(']');
-    outputStream.end();
-    console.log(`JSON export completed. Total rows: ${totalRows}`);
-  } catch (error) {
-    try {
-      await client.query('ROLLBACK');
-    } catch (rollbackErr) {
-      // Ignore rollback errors
-    }
-    throw error;
-  }
+/**
+ * Streams JSON array data from database to response
+ * Uses cursor-based batching for memory efficiency
+ */
+function streamToJSON(client, columnMap, outputStream, options = {}) {
+  return writeFormat(JSON_FORMAT, client, columnMap, outputStream, options);
 }
 
 module.exports = {
+  JSON_FORMAT,
   streamToJSON,
+  toJSONRecord,
 };
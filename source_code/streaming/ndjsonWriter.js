@@ -0,0 +1,27 @@
+const { writeFormat } = require('./cursorReader');
+const { toJSONRecord } = require('./jsonWriter');
+
+const NDJSON_FORMAT = {
+  name: 'ndjson',
+  label: 'NDJSON',
+  contentType: 'application/x-ndjson; charset=utf-8',
+  extension: 'ndjson',
+  compressible: true,
+  formatsValues: true,
+  // JSON.stringify escapes newlines inside strings, so each record stays
+  // on a single line
+  row: (row, index, { columnMap }) => `${toJSONRecord(row, columnMap)}\n`,
+};
+
+/**
+ * Streams newline-delimited JSON (JSON Lines) from database to response
+ * One object per line, so consumers can process records as they arrive
+ */
+function streamToNDJSON(client, columnMap, outputStream, options = {}) {
+  return writeFormat(NDJSON_FORMAT, client, columnMap, outputStream, options);
+}
+
+module.exports = {
+  NDJSON_FORMAT,
+  streamToNDJSON,
+};
@@ -1,114 +1,233 @@
-const parquet = require('parquetjs');
-const { Writable } = require('stream');
+const parquet = require('@dsnp/parquetjs');
+const { buildSelectQuery } = require('../utils/query');
+const {
+  decimalByteLength,
+  decimalToBytes,
+  describeColumns,
+  toColumnValue,
+  toUnscaledDecimal,
+} = require('../utils/schemaInference');
+const {
+  DEFAULT_SAMPLE_ROWS,
+  conformToShape,
+  inferShape,
+  parseSubSchema,
+} = require('../utils/nestedSchema');
+const { PARQUET_CODECS, resolveParquetOptions } = require('../utils/parquetOptions');
+const { NumberText, columnSettings, formattedColumnType } = require('../utils/valueFormat');
+const { registerParquetZstd } = require('../utils/parquetZstd');
+const { writeFormat } = require('./cursorReader');
+
+// parquetjs has no zstd codec; this fails loudly here if the pinned
+// version's internals ever change (see parquetZstd)
+registerParquetZstd();
+
+// Column type -> Parquet logical type
+const PARQUET_TYPES = {
+  string: 'UTF8',
+  json: 'JSON',
+  int32: 'INT32',
+  int64: 'INT64',
+  double: 'DOUBLE',
+  boolean: 'BOOLEAN',
+  date: 'DATE',
+  timestamp: 'TIMESTAMP_MICROS',
+};
+
+// Nested leaf type -> Parquet logical type
+const NESTED_PARQUET_TYPES = {
+  string: 'UTF8',
+  int64: 'INT64',
+  double: 'DOUBLE',
+  boolean: 'BOOLEAN',
+};
 
 /**
- * Creates Parquet schema based on column map and sample data
+ * Returns the Parquet field definition of a nested shape (see nestedSchema)
+ * Lists are repeated fields; everything else is OPTIONAL, since JSON
+ * values can always be missing
  */
-function createParquetSchema(columnMap, sampleData = {}) {
-  const schemaObject = {};
-  const schemaType = {};
-
-  // Define schema based on columnMap
-  // We need to infer types from sample data
-  columnMap.forEach(({ source, target }) => {
-    // Default to string, but try to infer from sample data
-    let type = 'UTF8'; // parquetjs uses 'UTF8' for strings
-
-    if (source in sampleData) {
-      const value = sampleData[source];
-      if (typeof value === 'number') {
-        if (Number.isInteger(value)) {
-          type = 'INT64';
-        } else {
-          type = 'DOUBLE';
-        }
-      } else if (typeof value === 'boolean') {
-        type = 'BOOLEAN';
-      } else if (value instanceof Date) {
-        type = 'TIMESTAMP_MILLIS';
+function nestedParquetField(shape, compression) {
+  switch (shape.kind) {
+    case 'leaf':
+      return { type: NESTED_PARQUET_TYPES[shape.type], optional: true, compression };
+    case 'list': {
+      const { optional, ...element } = nestedParquetField(shape.element, compression);
+      return { ...element, repeated: true };
+    }
+    default: {
+      const fields = {};
+      for (const [key, fieldShape] of Object.entries(shape.fields)) {
+        fields[key] = nestedParquetField(fieldShape, compression);
       }
+      return { fields, optional: true };
+    }
+  }
+}
+
+/**
+ * Resolves the nested shape of every column requesting nested output,
+ * from its sub-schema or by sampling rows
+ */
+async function resolveNestedShapes(client, columnMap, columns, filters, source) {
+  for (const [index, column] of columns.entries()) {
+    const { nested } = columnMap[index];
+    if (!nested) continue;
+
+    if (column.type !== 'json') {
+      throw new Error(`Nested output needs a json or jsonb column, "${column.source}" is not one`);
     }
 
-    schemaObject[target] = { type };
+    if (nested.schema) {
+      column.shape = parseSubSchema(nested.schema);
+    } else {
+      const sampleRows = nested.sampleRows || DEFAULT_SAMPLE_ROWS;
+      const query = buildSelectQuery([column], filters, { limit: sampleRows, source });
+      const result = await client.query(query.text, query.values);
+      column.shape = inferShape(result.rows.map(row => row[column.source]));
+    }
+  }
+}
+
+/**
+ * Creates the Parquet schema from the described export columns
+ * (see describeColumns); nullable columns are OPTIONAL and columns with
+ * a nested shape become groups and repeated fields
+ * Compression and encodings come from the effective parquetOptions, as
+ * parquetjs sets them per column
+ */
+function createParquetSchema(columns, parquetOptions = resolveParquetOptions()) {
+  const compression = PARQUET_CODECS[parquetOptions.compression];
+  const schemaObject = {};
+
+  columns.forEach(({ target, type, precision, scale, nullable, shape }) => {
+    if (shape) {
+      schemaObject[target] = nestedParquetField(shape, compression);
+      return;
+    }
+    // Decimals are fixed-length two's complement, written from the exact
+    // unscaled value rather than through a floating point number
+    const field = type === 'decimal'
+      ? { type: 'DECIMAL', precision, scale, typeLength: decimalByteLength(precision), optional: nullable, compression }
+      : { type: PARQUET_TYPES[type], optional: nullable, compression };
+
+    const { encoding } = parquetOptions.columns[target] || {};
+    if (encoding === 'RLE') {
+      if (type !== 'boolean') {
+        throw new Error(`RLE encoding is only supported for boolean columns, "${target}" is ${type}`);
+      }
+      // parquetjs takes the RLE bit width from typeLength
+      Object.assign(field, { encoding, typeLength: 1 });
+    }
+    schemaObject[target] = field;
   });
 
   return new parquet.ParquetSchema(schemaObject);
 }
 
 /**
- * Streams data from database to Parquet file
- * Uses parquetjs's row-based writing API
+ * Converts a value to what parquetjs expects for the column's type
+ * Nested values that do not fit the column's shape are counted in stats
  */
-async function streamToParquet(client, columnMap, outputPath, batchSize = 1000) {
-  const columnList = columnMap.map(col => col.source).join(', ');
-
-  // First, fetch one row to infer schema
-  const sampleResult = await client.query(`SELECT ${columnList} FROM records LIMIT 1`);
-  const sampleData = sampleResult.rows[0] || {};
-
-  // Create schema
-  const schema = createParquetSchema(columnMap, sampleData);
-
-  // Create parquet writer
-  const writer = await parquet.ParquetWriter.openFile(schema, outputPath, {
-    compression: 'SNAPPY',
-    rowGroupSize: 10000,
-    pageSize: 1024,
-    useDataPageV2: false,
-    enableDict: true, // Enable dictionary encoding for memory efficiency
-  });
+function toParquetValue(value, column, stats) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (column.shape) {
+    return conformToShape(value, column.shape, stats);
+  }
+  // Formatted numbers (see valueFormat) are written from their exact text
+  if (value instanceof NumberText) {
+    return toParquetValue(value.text, column, stats);
+  }
+
+  switch (column.type) {
+    case 'json':
+      // The JSON type serializes the value itself
+      return value;
+    case 'decimal':
+      return decimalToBytes(toUnscaledDecimal(value, column.scale), decimalByteLength(column.precision));
+    default:
+      return toColumnValue(value, column.type);
+  }
+}
 
-  return new Promise(async (resolve, reject) => {
-    try {
-      const query = `DECLARE parquet_cursor CURSOR FOR SELECT ${columnList} FROM records ORDER BY id`;
-      await client.query('BEGIN');
-      await client.query(query);
-
-      let rowCount = 0;
-      let hasMore = true;
-
-      while (hasMore) {
-        const result = await client.query(`FETCH ${batchSize} FROM parquet_cursor`);
-        
-        if (result.rows.length === 0) {
-          hasMore = false;
-        } else {
-          for (const row of result.rows) {
-            const parquetRow = {};
-            columnMap.forEach(({ source, target }) => {
-              let value = row[source];
-              // For nested objects, store as JSON string in Parquet
-              if (value && typeof value === 'object') {
-                parquetRow[target] = JSON.stringify(value);
-              } else {
-                parquetRow[target] = value;
-              }
-            });
-
-            await writer.appendRow(parquetRow);
-            rowCount++;
-          }
-        }
+/**
+ * Opens a Parquet writer on outputStream; rows are buffered one row group
+ * at a time and each completed row group is written straight through,
+ * followed by the footer at the end; a failed export gets no footer
+ * Writer settings come from options.parquetOptions (see parquetOptions)
+ */
+async function openParquetWriter({
+  client, columnMap, outputStream, options, filters, source,
+}) {
+  const parquetOptions = resolveParquetOptions(options.parquetOptions);
+
+  // Derive the schema from the result-set column types
+  const columns = await describeColumns(client, columnMap, filters, source);
+  await resolveNestedShapes(client, columnMap, columns, filters, source);
+  // Formatted values change the column's type, e.g. epoch timestamps
+  if (options.valueFormat) {
+    columns.forEach((column) => {
+      if (!column.shape) {
+        column.type = formattedColumnType(column.type, columnSettings(options.valueFormat, column.target));
       }
-
-      await client.query('CLOSE parquet_cursor');
-      await client.query('COMMIT');
+    });
+  }
+  const schema = createParquetSchema(columns, parquetOptions);
+
+  // Writes the magic header to outputStream; close() ends it
+  // pageSize and rowGroupSize count rows
+  const writer = await parquet.ParquetWriter.openStream(schema, outputStream, {
+    rowGroupSize: parquetOptions.rowGroupSize,
+    pageSize: parquetOptions.pageSize,
+    useDataPageV2: parquetOptions.dataPageV2,
+  });
+  const stats = { mismatches: 0 };
+
+  return {
+    async writeRows(rows) {
+      for (const row of rows) {
+        const parquetRow = {};
+        columns.forEach((column) => {
+          parquetRow[column.target] = toParquetValue(row[column.source], column, stats);
+        });
+
+        // Resolves once a completed row group has been written out
+        await writer.appendRow(parquetRow);
+      }
+    },
+    async finish() {
+      // Writes the last row group and the footer, then ends outputStream
       await writer.close();
-      console.log(`Parquet export completed. Total rows: ${rowCount}`);
-      resolve();
-
-    } catch (err) {
-      try {
-        await client.query('ROLLBACK');
-      } catch (rollbackErr) {
-        // Ignore rollback errors
+      if (stats.mismatches > 0) {
+        console.warn(`Parquet export left out ${stats.mismatches} nested values that did not match the schema`);
       }
-      reject(err);
-    }
-  });
+    },
+  };
+}
+
+// Pages are compressed inside the file (parquetOptions.compression)
+const PARQUET_FORMAT = {
+  name: 'parquet',
+  label: 'Parquet',
+  contentType: 'application/octet-stream',
+  extension: 'parquet',
+  compressible: false,
+  formatsValues: true,
+  batchSize: 1000,
+  open: openParquetWriter,
+};
+
+/**
+ * Streams data from database as a Parquet file
+ */
+function streamToParquet(client, columnMap, outputStream, options = {}) {
+  return writeFormat(PARQUET_FORMAT, client, columnMap, outputStream, options);
 }
 
 module.exports = {
+  PARQUET_FORMAT,
   streamToParquet,
   createParquetSchema,
 };
@@ -0,0 +1,136 @@
+const ExcelJS = require('exceljs');
+const { writeFormat } = require('./cursorReader');
+
+// Excel's hard limit, including the header row
+const MAX_SHEET_ROWS = 1048576;
+
+// pg returns these as strings to avoid losing precision
+const NUMERIC_TYPE_OIDS = new Set([
+  20, // int8
+  1700, // numeric
+]);
+
+// pg returns these as Date objects; value is the cell number format
+const DATE_FORMATS = {
+  1082: 'yyyy-mm-dd', // date
+  1114: 'yyyy-mm-dd hh:mm:ss', // timestamp
+  1184: 'yyyy-mm-dd hh:mm:ss', // timestamptz
+};
+
+// Excel keeps 15 significant digits; longer numbers (IDs, exact decimals)
+// stay text so they are not silently rounded
+const MAX_EXCEL_DIGITS = 15;
+
+/**
+ * Converts a column value into a typed cell value, using the column's
+ * PostgreSQL type OID from the cursor's result fields
+ */
+function toCellValue(value, dataTypeID) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (NUMERIC_TYPE_OIDS.has(dataTypeID)) {
+    const digits = value.replace(/\D/g, '').replace(/^0+/, '');
+    const number = Number(value);
+    return digits.length <= MAX_EXCEL_DIGITS && Number.isFinite(number) ? number : value;
+  }
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Opens a streaming workbook on outputStream, starting a new worksheet
+ * whenever one reaches Excel's row limit, or the job's maxRowsPerSheet
+ * (validated by the export route; both count the header row)
+ */
+function openWorkbook({ columnMap, outputStream, options }) {
+  const { maxRowsPerSheet = MAX_SHEET_ROWS } = options;
+  const rowsPerSheet = Math.min(maxRowsPerSheet, MAX_SHEET_ROWS) - 1;
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: outputStream,
+    useStyles: true,
+    useSharedStrings: false,
+  });
+
+  let sheet = null;
+  let sheetCount = 0;
+  let sheetRows = 0;
+
+  const addSheet = () => {
+    if (sheet) sheet.commit();
+    sheetCount++;
+    sheetRows = 0;
+    sheet = workbook.addWorksheet(sheetCount === 1 ? 'Export' : `Export ${sheetCount}`, {
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+
+    const header = sheet.addRow(columnMap.map(({ target }) => target));
+    header.font = { bold: true };
+    header.commit();
+  };
+
+  addSheet();
+
+  return {
+    writeRows(rows, fields) {
+      const typeOids = {};
+      for (const field of fields) {
+        typeOids[field.name] = field.dataTypeID;
+      }
+
+      for (const row of rows) {
+        if (sheetRows === rowsPerSheet) {
+          addSheet();
+        }
+
+        const sheetRow = sheet.addRow(columnMap.map(({ source }) => toCellValue(row[source], typeOids[source])));
+        columnMap.forEach(({ source }, index) => {
+          const numFmt = DATE_FORMATS[typeOids[source]];
+          if (numFmt && row[source] !== null) {
+            sheetRow.getCell(index + 1).numFmt = numFmt;
+          }
+        });
+        sheetRow.commit();
+        sheetRows++;
+      }
+    },
+    async finish() {
+      sheet.commit();
+      // Writes the workbook parts, finalizes the zip and ends outputStream
+      await workbook.commit();
+    },
+    abort() {
+      workbook.zip.abort();
+    },
+  };
+}
+
+// Already a zip container, so never compressed again
+const XLSX_FORMAT = {
+  name: 'xlsx',
+  label: 'XLSX',
+  contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  extension: 'xlsx',
+  compressible: false,
+  open: openWorkbook,
+};
+
+/**
+ * Streams rows into an Excel workbook without holding it in memory
+ * Rows are committed to the zip as they are written
+ */
+function streamToXLSX(client, columnMap, outputStream, options = {}) {
+  return writeFormat(XLSX_FORMAT, client, columnMap, outputStream, options);
+}
+
+module.exports = {
+  MAX_SHEET_ROWS,
+  XLSX_FORMAT,
+  streamToXLSX,
+};
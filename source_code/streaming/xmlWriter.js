@@ -1,80 +1,104 @@
-/**
- * Streams XML data from database to response
- * Uses cursor-based batching for memory efficiency
- */
-async function streamToXML(client, columnMap, outputStream, batchSize = 10000) {
-  const columnList = columnMap.map(col => col.source).join(', ');
+const { writeFormat } = require('./cursorReader');
+const { encodeXmlName } = require('../utils/xmlNames');
+const { createXmlLayout, resolveXmlOptions } = require('../utils/xmlOptions');
+const { NumberText } = require('../utils/valueFormat');
 
-  outputStream.write('<?xml version="1.0" encoding="UTF-8"?>\n<records>\n');
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
 
-  try {
-    await client.query('BEGIN');
-    await client.query(`DECLARE xml_cursor CURSOR FOR SELECT ${columnList} FROM records ORDER BY id`);
+// Characters XML 1.0 allows neither as text nor as character references:
+// C0 controls other than tab, LF and CR, U+FFFE, U+FFFF and unpaired
+// surrogates. They are dropped from values
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDFFF]/gu;
 
-    let totalRows = 0;
-    let hasMore = true;
-
-    while (hasMore) {
-      const result = await client.query(`FETCH ${batchSize} FROM xml_cursor`);
-      const rows = result.rows;
+/**
+ * Opens the encoder for the job's xmlOptions (see utils/xmlOptions.js)
+ * The XML declaration and the root element's start tag, with its
+ * namespace declarations, are written up front
+ */
+function openXMLEncoder({ columnMap, outputStream, options }) {
+  const layout = createXmlLayout(columnMap, resolveXmlOptions(options.xmlOptions));
+  const { namespace, namespacePrefix, nulls } = layout.options;
 
-      if (rows.length === 0) {
-        hasMore = false;
-        break;
-      }
+  let declarations = '';
+  if (namespace) {
+    declarations += ` ${namespacePrefix ? `xmlns:${namespacePrefix}` : 'xmlns'}="${escapeXml(namespace)}"`;
+  }
+  if (nulls === 'nil') {
+    declarations += ` xmlns:xsi="${XSI_NAMESPACE}"`;
+  }
+  outputStream.write(`<?xml version="1.0" encoding="UTF-8"?>\n<${layout.root}${declarations}>\n`);
 
-      let xmlBatch = '';
+  return {
+    writeRows(rows) {
+      let chunk = '';
       for (const row of rows) {
-        const recordXml = buildXmlRecord(columnMap, row);
-        xmlBatch += recordXml + '\n';
-        totalRows++;
+        chunk += `${buildXmlRecord(columnMap, row, layout)}\n`;
       }
+      outputStream.write(chunk);
+    },
+    finish() {
+      outputStream.end(`</${layout.root}>`);
+    },
+  };
+}
 
-      outputStream.write(xmlBatch);
-    }
+const XML_FORMAT = {
+  name: 'xml',
+  label: 'XML',
+  contentType: 'application/xml; charset=utf-8',
+  extension: 'xml',
+  compressible: true,
+  formatsValues: true,
+  open: openXMLEncoder,
+};
 
-    await client.query('CLOSE xml_cursor');
-    await client.query('COMMIT');
-
-    outputStream.write('</records>');
-    outputStream.end();
-    console.log(`XML export completed. Total rows: ${totalRows}`);
-  } catch (error) {
-    try {
-      await client.query('ROLLBACK');
-    } catch (rollbackErr) {
-      // Ignore rollback errors
-    }
-    throw error;
-  }
+/**
+ * Streams XML data from database to response
+ * Uses cursor-based batching for memory efficiency
+ * options.xmlOptions sets element names, namespace, attribute columns,
+ * CDATA and how NULL is written
+ */
+function streamToXML(client, columnMap, outputStream, options = {}) {
+  return writeFormat(XML_FORMAT, client, columnMap, outputStream, options);
 }
 
 /**
  * Converts a JavaScript object to XML elements
  * Handles nested objects
+ * layout defaults to the <records><record> document of element columns
  */
-function buildXmlRecord(columnMap, row) {
-  let xml = '<record>';
+function buildXmlRecord(columnMap, row, layout = createXmlLayout(columnMap, resolveXmlOptions())) {
+  let xml = `<${layout.row}`;
+  for (const { source, name } of layout.attributes) {
+    const value = row[source];
+    if (value !== null && value !== undefined) {
+      xml += ` ${name}="${escapeXmlAttribute(toXmlText(value))}"`;
+    }
+  }
+  xml += '>';
 
-  for (const { source, target } of columnMap) {
+  for (const { source, name, cdata } of layout.elements) {
     const value = row[source];
     if (value === null || value === undefined) {
-      xml += `<${target}/>`;
-    } else if (typeof value === 'object') {
-      xml += objectToXml(value, target);
+      xml += layout.options.nulls === 'nil' ? `<${name} xsi:nil="true"/>` : `<${name}/>`;
+    } else if (isNested(value)) {
+      xml += objectToXml(value, name, layout.qualify);
     } else {
-      xml += `<${target}>${escapeXml(String(value))}</${target}>`;
+      const text = toXmlText(value);
+      xml += `<${name}>${cdata ? toCdata(text) : escapeXml(text)}</${name}>`;
     }
   }
 
-  xml += '</record>';
+  xml += `</${layout.row}>`;
   return xml;
 }
 
 /**
  * Converts a nested object to XML elements
+ * Keys are encoded into valid XML names and passed through qualify, which
+ * adds the document's namespace prefix
  */
-function objectToXml(obj, elementName) {
+function objectToXml(obj, elementName, qualify = name => name) {
   if (obj === null || obj === undefined) {
     return `<${elementName}/>`;
   }
@@ -82,21 +106,23 @@ function objectToXml(obj, elementName) {
   let xml = `<${elementName}>`;
 
   if (Array.isArray(obj)) {
+    const itemName = qualify('item');
     for (const item of obj) {
-      if (typeof item === 'object') {
-        xml += objectToXml(item, 'item');
+      if (item !== null && typeof item === 'object') {
+        xml += objectToXml(item, itemName, qualify);
       } else {
-        xml += `<item>${escapeXml(String(item))}</item>`;
+        xml += item === null ? `<${itemName}/>` : `<${itemName}>${escapeXml(String(item))}</${itemName}>`;
       }
     }
   } else {
     for (const [key, val] of Object.entries(obj)) {
+      const keyName = qualify(encodeXmlName(key));
       if (val === null || val === undefined) {
-        xml += `<${key}/>`;
+        xml += `<${keyName}/>`;
       } else if (typeof val === 'object') {
-        xml += objectToXml(val, key);
+        xml += objectToXml(val, keyName, qualify);
       } else {
-        xml += `<${key}>${escapeXml(String(val))}</${key}>`;
+        xml += `<${keyName}>${escapeXml(String(val))}</${keyName}>`;
       }
     }
   }
@@ -105,11 +131,30 @@ function objectToXml(obj, elementName) {
   return xml;
 }
 
+// JSONB values, as opposed to timestamps and formatted numbers
+function isNested(value) {
+  return typeof value === 'object' && !(value instanceof Date) && !(value instanceof NumberText);
+}
+
+// Timestamps as ISO 8601, which the schema's xs:dateTime accepts
+function toXmlText(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+/**
+ * Wraps text in a CDATA section, splitting it where the text itself holds
+ * the "]]>" terminator
+ */
+function toCdata(text) {
+  return `<![CDATA[${text.replace(INVALID_XML_CHARS, '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
 /**
- * Escapes XML special characters
+ * Escapes XML special characters and drops the characters XML cannot hold
  */
 function escapeXml(str) {
   return str
+    .replace(INVALID_XML_CHARS, '')
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;')
@@ -117,7 +162,16 @@ function escapeXml(str) {
     .replace(/'/g, '&apos;');
 }
 
+// Parsers normalize whitespace in attribute values unless it is escaped
+function escapeXmlAttribute(str) {
+  return escapeXml(str)
+    .replace(/\t/g, '&#9;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;');
+}
+
 module.exports = {
+  XML_FORMAT,
   streamToXML,
   buildXmlRecord,
   objectToXml,
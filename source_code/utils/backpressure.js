@@ -0,0 +1,87 @@
+const { ExportCancelledError } = require('./cancellation');
+
+/**
+ * Output backpressure
+ * Writers wait for their output stream to drain before fetching the next
+ * batch, so a slow consumer holds the cursor back instead of the export
+ * piling up in memory. Waiting ends early when the export is cancelled or
+ * the output is closed underneath it (a client that went away)
+ */
+
+/**
+ * Highest number of bytes an export left buffered in its output streams
+ * Shared by every writer run of an export (part files, partitions)
+ */
+class BufferStats {
+  constructor() {
+    this.maxBufferedBytes = 0;
+    this.drainWaits = 0;
+  }
+
+  record(stream) {
+    if (stream.writableLength > this.maxBufferedBytes) {
+      this.maxBufferedBytes = stream.writableLength;
+    }
+  }
+}
+
+// The error a write fails with once its stream has closed without one
+function outputClosedError() {
+  const err = new Error('Output stream closed before the export finished');
+  err.code = 'ERR_STREAM_PREMATURE_CLOSE';
+  return err;
+}
+
+/**
+ * Resolves once `stream` emits drain
+ * Rejects with the stream's error, or ERR_STREAM_PREMATURE_CLOSE when it
+ * closes first, and with ExportCancelledError when `signal` aborts
+ */
+function waitForDrain(stream, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (stream.destroyed) {
+      reject(stream.errored || outputClosedError());
+      return;
+    }
+    if (signal && signal.aborted) {
+      reject(new ExportCancelledError());
+      return;
+    }
+
+    const settle = (callback, value) => {
+      stream.off('drain', onDrain);
+      stream.off('error', onError);
+      stream.off('close', onClose);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+    const onDrain = () => settle(resolve);
+    const onError = err => settle(reject, err);
+    const onClose = () => settle(reject, stream.errored || outputClosedError());
+    const onAbort = () => settle(reject, new ExportCancelledError());
+
+    stream.on('drain', onDrain);
+    stream.on('error', onError);
+    stream.on('close', onClose);
+    if (signal) signal.addEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Waits for `stream` to drain if its buffer is over its highWaterMark
+ * Writers that pipe an encoder into their output call this between
+ * batches; `stats` records the bytes buffered at that point
+ */
+async function drainIfNeeded(stream, { signal = null, stats = null } = {}) {
+  if (stats) stats.record(stream);
+  if (stream.writableNeedDrain || stream.destroyed) {
+    if (stats) stats.drainWaits += 1;
+    await waitForDrain(stream, signal);
+  }
+}
+
+module.exports = {
+  BufferStats,
+  drainIfNeeded,
+  waitForDrain,
+};
@@ -2,10 +2,11 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
-const { streamToParquet } = require('../streaming/parquetWriter');
-const { streamToCSV } = require('../streaming/csvWriter');
-const { streamToJSON } = require('../streaming/jsonWriter');
-const { streamToXML } = require('../streaming/xmlWriter');
+const { finished } = require('stream/promises');
+const { formatNames, getFormat } = require('../streaming/formats');
+const { runExport } = require('../jobs/exportRunner');
+const { removeStoredFile } = require('./storage');
+const { MAX_PARALLEL_PARTITIONS } = require('./parallelExport');
 
 // Column mapping for benchmark
 const BENCHMARK_COLUMNS = [
@@ -16,6 +17,25 @@ const BENCHMARK_COLUMNS = [
   { source: 'metadata', target: 'metadata' },
 ];
 
+// Partitions of the parallel exports in the throughput comparison, when the
+// pool has room for them
+const BENCHMARK_PARTITIONS = 4;
+
+/**
+ * Read paths compared for throughput: one cursor, then both parallel
+ * outputs with `partitions` partitions, or the cursor alone below 2
+ */
+function throughputModes(partitions) {
+  const modes = [{ mode: 'single-cursor', parallel: null }];
+  if (partitions >= 2) {
+    modes.push(
+      { mode: 'parallel-ordered', parallel: { partitions, output: 'ordered' } },
+      { mode: 'parallel-files', parallel: { partitions, output: 'files' } },
+    );
+  }
+  return modes;
+}
+
 /**
  * Captures peak memory usage for a process
  */
@@ -46,10 +66,12 @@ class MemoryMonitor {
 }
 
 /**
- * Exports CSV and measures performance
+ * Exports the benchmark columns in a registered format to a temp file and
+ * measures performance
  */
-async function benchmarkCSV(pool) {
-  const tempFile = path.join(os.tmpdir(), `benchmark-${uuidv4()}.csv`);
+async function benchmarkFormat(pool, formatName) {
+  const { extension, writer } = getFormat(formatName);
+  const tempFile = path.join(os.tmpdir(), `benchmark-${uuidv4()}.${extension}`);
   const monitor = new MemoryMonitor();
   const startTime = Date.now();
 
@@ -59,7 +81,8 @@ async function benchmarkCSV(pool) {
     const client = await pool.connect();
     try {
       const output = fs.createWriteStream(tempFile, { highWaterMark: 64 * 1024 });
-      await streamToCSV(client, BENCHMARK_COLUMNS, output);
+      await writer(client, BENCHMARK_COLUMNS, output);
+      await finished(output);
     } finally {
       client.release();
     }
@@ -73,7 +96,7 @@ async function benchmarkCSV(pool) {
     });
 
     return {
-      format: 'csv',
+      format: formatName,
       durationSeconds: parseFloat(duration.toFixed(2)),
       fileSizeBytes: fileSize,
       peakMemoryMB: parseFloat(peakMemory.toFixed(2)),
@@ -88,142 +111,68 @@ async function benchmarkCSV(pool) {
 }
 
 /**
- * Exports JSON and measures performance
+ * Exports CSV through the job runner once per read path and compares
+ * throughput against the single cursor
+ * Parallel paths use at most `maxPartitions` partitions, the limit
+ * exports get from maxParallelPartitions, and are skipped below 2
+ * Runs one export at a time so the paths do not compete for the database
  */
-async function benchmarkJSON(pool) {
-  const tempFile = path.join(os.tmpdir(), `benchmark-${uuidv4()}.json`);
-  const monitor = new MemoryMonitor();
-  const startTime = Date.now();
-
-  monitor.start();
-
-  try {
-    const client = await pool.connect();
-    try {
-      const output = fs.createWriteStream(tempFile, { highWaterMark: 64 * 1024 });
-      await streamToJSON(client, BENCHMARK_COLUMNS, output);
-    } finally {
-      client.release();
-    }
-
-    const peakMemory = monitor.stop();
-    const duration = (Date.now() - startTime) / 1000;
-    const fileSize = fs.statSync(tempFile).size;
-
-    fs.unlink(tempFile, (err) => {
-      if (err) console.error('Error deleting temp file:', err);
-    });
-
-    return {
-      format: 'json',
-      durationSeconds: parseFloat(duration.toFixed(2)),
-      fileSizeBytes: fileSize,
-      peakMemoryMB: parseFloat(peakMemory.toFixed(2)),
+async function benchmarkThroughput(pool, maxPartitions = MAX_PARALLEL_PARTITIONS) {
+  const partitions = Math.min(BENCHMARK_PARTITIONS, maxPartitions);
+  const modes = throughputModes(partitions);
+  const results = [];
+
+  for (const { mode, parallel } of modes) {
+    const job = {
+      exportId: `benchmark-${uuidv4()}`,
+      format: 'csv',
+      columns: BENCHMARK_COLUMNS,
+      compression: null,
+      filters: null,
+      options: parallel ? { parallel } : null,
     };
-  } catch (err) {
-    monitor.stop();
-    if (fs.existsSync(tempFile)) {
-      fs.unlinkSync(tempFile);
-    }
-    throw err;
-  }
-}
-
-/**
- * Exports XML and measures performance
- */
-async function benchmarkXML(pool) {
-  const tempFile = path.join(os.tmpdir(), `benchmark-${uuidv4()}.xml`);
-  const monitor = new MemoryMonitor();
-  const startTime = Date.now();
-
-  monitor.start();
-
-  try {
-    const client = await pool.connect();
-    try {
-      const output = fs.createWriteStream(tempFile, { highWaterMark: 64 * 1024 });
-      await streamToXML(client, BENCHMARK_COLUMNS, output);
-    } finally {
-      client.release();
-    }
-
-    const peakMemory = monitor.stop();
+    const startTime = Date.now();
+    const { outputPath, rowsExported } = await runExport(pool, job);
     const duration = (Date.now() - startTime) / 1000;
-    const fileSize = fs.statSync(tempFile).size;
-
-    fs.unlink(tempFile, (err) => {
-      if (err) console.error('Error deleting temp file:', err);
-    });
+    await removeStoredFile(outputPath);
 
-    return {
-      format: 'xml',
+    results.push({
+      mode,
       durationSeconds: parseFloat(duration.toFixed(2)),
-      fileSizeBytes: fileSize,
-      peakMemoryMB: parseFloat(peakMemory.toFixed(2)),
-    };
-  } catch (err) {
-    monitor.stop();
-    if (fs.existsSync(tempFile)) {
-      fs.unlinkSync(tempFile);
-    }
-    throw err;
-  }
-}
-
-/**
- * Exports Parquet and measures performance
- */
-async function benchmarkParquet(pool) {
-  const tempFile = path.join(os.tmpdir(), `benchmark-${uuidv4()}.parquet`);
-  const monitor = new MemoryMonitor();
-  const startTime = Date.now();
-
-  monitor.start();
-
-  try {
-    const client = await pool.connect();
-    try {
-      await streamToParquet(client, BENCHMARK_COLUMNS, tempFile);
-    } finally {
-      client.release();
-    }
-
-    const peakMemory = monitor.stop();
-    const duration = (Date.now() - startTime) / 1000;
-    const fileSize = fs.statSync(tempFile).size;
-
-    fs.unlink(tempFile, (err) => {
-      if (err) console.error('Error deleting temp file:', err);
+      rowsPerSecond: Math.round(rowsExported / duration),
     });
-
-    return {
-      format: 'parquet',
-      durationSeconds: parseFloat(duration.toFixed(2)),
-      fileSizeBytes: fileSize,
-      peakMemoryMB: parseFloat(peakMemory.toFixed(2)),
-    };
-  } catch (err) {
-    monitor.stop();
-    if (fs.existsSync(tempFile)) {
-      fs.unlinkSync(tempFile);
-    }
-    throw err;
   }
+
+  const baseline = results[0].durationSeconds;
+  return {
+    partitions: modes.length > 1 ? partitions : null,
+    results: results.map(result => ({
+      ...result,
+      speedup: parseFloat((baseline / result.durationSeconds).toFixed(2)),
+    })),
+  };
 }
 
 /**
- * Runs all benchmarks
+ * Runs all benchmarks: every registered format, then the read paths with
+ * at most `maxPartitions` partitions
+ * Formats run one at a time, so each has a pool connection and its peak
+ * memory is its own
  */
-async function runBenchmark(pool) {
+async function runBenchmark(pool, maxPartitions) {
   console.log('Starting benchmarks...');
 
   try {
-    const results = await Promise.all([benchmarkCSV(pool), benchmarkJSON(pool), benchmarkXML(pool), benchmarkParquet(pool)]);
+    const results = [];
+    for (const formatName of formatNames()) {
+      results.push(await benchmarkFormat(pool, formatName));
+    }
+    const throughput = await benchmarkThroughput(pool, maxPartitions);
 
     return {
       datasetRowCount: 10000000,
       results,
+      throughput,
     };
   } catch (err) {
     console.error('Benchmark error:', err);
@@ -233,8 +182,6 @@ async function runBenchmark(pool) {
 
 module.exports = {
   runBenchmark,
-  benchmarkCSV,
-  benchmarkJSON,
-  benchmarkXML,
-  benchmarkParquet,
+  benchmarkFormat,
+  benchmarkThroughput,
 };
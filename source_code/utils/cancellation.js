@@ -0,0 +1,23 @@
+/**
+ * Raised inside a writer when its export has been cancelled
+ */
+class ExportCancelledError extends Error {
+  constructor(message = 'Export cancelled') {
+    super(message);
+    this.name = 'ExportCancelledError';
+  }
+}
+
+/**
+ * Throws ExportCancelledError if the abort signal has fired
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new ExportCancelledError();
+  }
+}
+
+module.exports = {
+  ExportCancelledError,
+  throwIfCancelled,
+};
@@ -0,0 +1,101 @@
+class RelationNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RelationNotFoundError';
+  }
+}
+
+/**
+ * Catalog of the exportable columns of a table or view
+ * Introspected from information_schema so column mappings can be checked
+ * against the real relation before any SQL is generated
+ * Without a schema name the relation is looked up in the current schema
+ */
+class ColumnCatalog {
+  constructor(pool, tableName = 'records', schemaName = null) {
+    this.pool = pool;
+    this.tableName = tableName;
+    this.schemaName = schemaName;
+    this.columns = new Map();
+    this.loading = null;
+  }
+
+  /**
+   * Loads column metadata from information_schema
+   * Throws RelationNotFoundError when the relation does not exist
+   */
+  async load() {
+    const values = [this.tableName];
+    let schemaCondition = 'table_schema = current_schema()';
+    if (this.schemaName) {
+      values.push(this.schemaName);
+      schemaCondition = 'table_schema = $2';
+    }
+
+    const result = await this.pool.query(
+      `SELECT column_name, data_type, is_nullable, numeric_precision, numeric_scale
+         FROM information_schema.columns
+        WHERE ${schemaCondition} AND table_name = $1
+        ORDER BY ordinal_position`,
+      values,
+    );
+
+    if (result.rows.length === 0) {
+      const name = this.schemaName ? `${this.schemaName}.${this.tableName}` : this.tableName;
+      throw new RelationNotFoundError(`Table "${name}" not found or has no columns`);
+    }
+
+    const columns = new Map();
+    for (const row of result.rows) {
+      columns.set(row.column_name, {
+        name: row.column_name,
+        dataType: row.data_type,
+        nullable: row.is_nullable === 'YES',
+        precision: row.numeric_precision,
+        scale: row.numeric_scale,
+      });
+    }
+
+    this.columns = columns;
+    return this;
+  }
+
+  /**
+   * Loads the catalog once, sharing the in-flight load between callers
+   * A failed load is retried on the next call
+   */
+  async ensureLoaded() {
+    if (this.isLoaded()) {
+      return this;
+    }
+
+    if (!this.loading) {
+      this.loading = this.load().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  isLoaded() {
+    return this.columns.size > 0;
+  }
+
+  has(name) {
+    return this.columns.has(name);
+  }
+
+  get(name) {
+    return this.columns.get(name);
+  }
+
+  names() {
+    return [...this.columns.keys()];
+  }
+}
+
+module.exports = {
+  ColumnCatalog,
+  RelationNotFoundError,
+};
@@ -0,0 +1,300 @@
+const { quoteIdentifier, quoteLiteral } = require('./sql');
+
+/**
+ * Column sources may be:
+ *   - a column name:           value
+ *   - a JSONB path:            metadata.region, metadata.tags[0]
+ *   - a cast:                  value::text, cast(metadata.amount as numeric)
+ *   - a whitelisted function:  round(value, 2), date_trunc('day', created_at),
+ *                              coalesce(metadata.region, 'Unknown')
+ * Sources are parsed and re-emitted as SQL, never interpolated verbatim.
+ */
+
+// PostgreSQL truncates identifiers (and so column aliases) beyond this length
+const MAX_SOURCE_BYTES = 63;
+
+// Cast target -> [SQL type, information_schema data type]
+const CAST_TYPES = {
+  text: ['text', 'text'],
+  varchar: ['text', 'text'],
+  smallint: ['smallint', 'smallint'],
+  int: ['integer', 'integer'],
+  integer: ['integer', 'integer'],
+  bigint: ['bigint', 'bigint'],
+  numeric: ['numeric', 'numeric'],
+  decimal: ['numeric', 'numeric'],
+  real: ['real', 'real'],
+  float: ['double precision', 'double precision'],
+  boolean: ['boolean', 'boolean'],
+  bool: ['boolean', 'boolean'],
+  date: ['date', 'date'],
+  timestamp: ['timestamp', 'timestamp without time zone'],
+  timestamptz: ['timestamptz', 'timestamp with time zone'],
+  jsonb: ['jsonb', 'jsonb'],
+};
+
+const DATE_TRUNC_UNITS = [
+  'microseconds', 'milliseconds', 'second', 'minute', 'hour', 'day',
+  'week', 'month', 'quarter', 'year', 'decade', 'century', 'millennium',
+];
+
+const ROUNDING_FUNCTIONS = ['round', 'trunc', 'floor', 'ceil'];
+const FUNCTIONS = [...ROUNDING_FUNCTIONS, 'date_trunc', 'coalesce', 'cast'];
+
+class ColumnExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ColumnExpressionError';
+  }
+}
+
+/**
+ * Recursive-descent parser producing a small expression tree
+ */
+class ExpressionParser {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+  }
+
+  fail(message) {
+    throw new ColumnExpressionError(`${message} in column source "${this.source}" at position ${this.pos}`);
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.source.length && /\s/.test(this.source[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  match(pattern) {
+    this.skipWhitespace();
+    pattern.lastIndex = this.pos;
+    const result = pattern.exec(this.source);
+    if (!result) {
+      return null;
+    }
+    this.pos += result[0].length;
+    return result;
+  }
+
+  expect(pattern, description) {
+    const result = this.match(pattern);
+    if (!result) {
+      this.fail(`Expected ${description}`);
+    }
+    return result;
+  }
+
+  parse() {
+    const node = this.parseExpression();
+    this.skipWhitespace();
+    if (this.pos < this.source.length) {
+      this.fail('Unexpected input');
+    }
+    return node;
+  }
+
+  parseExpression() {
+    let node = this.parsePrimary();
+    while (this.match(/::/y)) {
+      node = { kind: 'cast', expression: node, castType: this.parseType() };
+    }
+    return node;
+  }
+
+  parseType() {
+    const name = this.expect(/[A-Za-z]+/y, 'a type name')[0].toLowerCase();
+    if (!CAST_TYPES[name]) {
+      this.fail(`Unsupported cast type "${name}". Must be one of: ${Object.keys(CAST_TYPES).join(', ')}`);
+    }
+
+    const type = { name, sql: CAST_TYPES[name][0], dataType: CAST_TYPES[name][1] };
+    if (type.sql === 'numeric') {
+      const modifier = this.match(/\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\)/y);
+      if (modifier) {
+        type.sql = modifier[2] !== undefined ? `numeric(${modifier[1]},${modifier[2]})` : `numeric(${modifier[1]})`;
+      }
+    }
+    return type;
+  }
+
+  parsePrimary() {
+    const string = this.match(/'((?:[^']|'')*)'/y);
+    if (string) {
+      return { kind: 'string', value: string[1].replace(/''/g, "'") };
+    }
+
+    const number = this.match(/-?\d+(?:\.\d+)?/y);
+    if (number) {
+      return { kind: 'number', value: number[0] };
+    }
+
+    const identifier = this.expect(/[A-Za-z_][A-Za-z0-9_]*/y, 'a column, function or literal')[0];
+
+    if (this.match(/\(/y)) {
+      return this.parseFunction(identifier.toLowerCase());
+    }
+
+    const path = [];
+    for (;;) {
+      if (this.match(/\./y)) {
+        path.push(this.expect(/[A-Za-z0-9_-]+/y, 'a JSON key')[0]);
+      } else if (this.match(/\[/y)) {
+        path.push(this.expect(/\d+/y, 'an array index')[0]);
+        this.expect(/\]/y, '"]"');
+      } else {
+        break;
+      }
+    }
+
+    return { kind: 'column', column: identifier, path };
+  }
+
+  parseFunction(name) {
+    if (!FUNCTIONS.includes(name)) {
+      this.fail(`Unsupported function "${name}". Must be one of: ${FUNCTIONS.join(', ')}`);
+    }
+
+    if (name === 'cast') {
+      const expression = this.parseExpression();
+      this.expect(/as\b/iy, '"AS"');
+      const castType = this.parseType();
+      this.expect(/\)/y, '")"');
+      return { kind: 'cast', expression, castType };
+    }
+
+    const args = [];
+    if (!this.match(/\)/y)) {
+      do {
+        args.push(this.parseExpression());
+      } while (this.match(/,/y));
+      this.expect(/\)/y, '")"');
+    }
+
+    return { kind: 'function', name, args };
+  }
+}
+
+/**
+ * Validates function arity and literal arguments
+ */
+function checkFunction(node) {
+  const { name, args } = node;
+
+  if (ROUNDING_FUNCTIONS.includes(name)) {
+    const maxArgs = ['round', 'trunc'].includes(name) ? 2 : 1;
+    if (args.length < 1 || args.length > maxArgs) {
+      throw new ColumnExpressionError(`${name}() takes ${maxArgs === 2 ? '1 or 2 arguments' : '1 argument'}`);
+    }
+    if (args.length === 2 && !(args[1].kind === 'number' && /^\d+$/.test(args[1].value))) {
+      throw new ColumnExpressionError(`${name}() precision must be a non-negative integer literal`);
+    }
+  } else if (name === 'date_trunc') {
+    if (args.length !== 2 || args[0].kind !== 'string') {
+      throw new ColumnExpressionError("date_trunc() takes a unit string and an expression, e.g. date_trunc('day', created_at)");
+    }
+    if (!DATE_TRUNC_UNITS.includes(args[0].value.toLowerCase())) {
+      throw new ColumnExpressionError(`Unsupported date_trunc unit "${args[0].value}". Must be one of: ${DATE_TRUNC_UNITS.join(', ')}`);
+    }
+  } else if (name === 'coalesce' && args.length < 2) {
+    throw new ColumnExpressionError('coalesce() takes at least 2 arguments');
+  }
+}
+
+/**
+ * Emits SQL for a parsed expression
+ * JSONB paths are emitted as jsonb at the top level (keeping JSON types) and
+ * as text inside casts and functions so they can be converted
+ */
+function compileNode(node, catalog, asText) {
+  switch (node.kind) {
+    case 'string':
+      return { sql: quoteLiteral(node.value), dataType: 'text' };
+
+    case 'number':
+      return { sql: node.value, dataType: 'numeric' };
+
+    case 'column': {
+      const column = catalog ? catalog.get(node.column) : null;
+      if (catalog && !column) {
+        throw new ColumnExpressionError(`Unknown column "${node.column}"`);
+      }
+
+      if (node.path.length === 0) {
+        return { sql: quoteIdentifier(node.column), dataType: column ? column.dataType : null };
+      }
+
+      if (column && column.dataType !== 'jsonb') {
+        throw new ColumnExpressionError(`JSON path used on non-jsonb column "${node.column}"`);
+      }
+
+      const pathLiteral = quoteLiteral(`{${node.path.join(',')}}`);
+      return asText
+        ? { sql: `(${quoteIdentifier(node.column)} #>> ${pathLiteral})`, dataType: 'text' }
+        : { sql: `(${quoteIdentifier(node.column)} #> ${pathLiteral})`, dataType: 'jsonb' };
+    }
+
+    case 'cast': {
+      const inner = compileNode(node.expression, catalog, true);
+      return { sql: `CAST(${inner.sql} AS ${node.castType.sql})`, dataType: node.castType.dataType };
+    }
+
+    case 'function': {
+      checkFunction(node);
+      const args = node.args.map(arg => compileNode(arg, catalog, true));
+
+      if (ROUNDING_FUNCTIONS.includes(node.name)) {
+        const precision = args[1] ? `, ${args[1].sql}` : '';
+        return { sql: `${node.name}(CAST(${args[0].sql} AS numeric)${precision})`, dataType: 'numeric' };
+      }
+
+      if (node.name === 'date_trunc') {
+        return {
+          sql: `date_trunc(${quoteLiteral(node.args[0].value.toLowerCase())}, CAST(${args[1].sql} AS timestamptz))`,
+          dataType: 'timestamp with time zone',
+        };
+      }
+
+      // coalesce takes the type of its first non-literal argument
+      const typed = args.find((arg, i) => !['string', 'number'].includes(node.args[i].kind));
+      return {
+        sql: `coalesce(${args.map(arg => arg.sql).join(', ')})`,
+        dataType: typed ? typed.dataType : args[0].dataType,
+      };
+    }
+
+    default:
+      throw new ColumnExpressionError(`Unsupported expression "${node.kind}"`);
+  }
+}
+
+/**
+ * Compiles a column source into SQL
+ * When a column catalog is given, referenced columns are checked against it
+ * Returns { sql, dataType }; throws ColumnExpressionError
+ */
+function compileColumnSource(source, catalog = null) {
+  if (Buffer.byteLength(source) > MAX_SOURCE_BYTES) {
+    throw new ColumnExpressionError(`Column source "${source}" is longer than ${MAX_SOURCE_BYTES} bytes`);
+  }
+
+  const node = new ExpressionParser(source).parse();
+  return compileNode(node, catalog, false);
+}
+
+/**
+ * Returns the select-list item for a column source
+ * Expressions are aliased to the source string so rows stay keyed by source
+ */
+function selectListItem(source) {
+  const { sql } = compileColumnSource(source);
+  return sql === quoteIdentifier(source) ? sql : `${sql} AS ${quoteIdentifier(source)}`;
+}
+
+module.exports = {
+  ColumnExpressionError,
+  compileColumnSource,
+  selectListItem,
+  CAST_TYPES,
+};
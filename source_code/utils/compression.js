@@ -0,0 +1,102 @@
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const { ZstdCompressStream } = require('./zstd');
+
+/**
+ * Compression modes for text exports
+ * The stream codecs are served with a matching Content-Encoding; zip wraps
+ * the export file in an archive and is served as application/zip
+ * Codecs with createDecoder can be read back as a stream, so stored files
+ * can be re-encoded on download
+ */
+const COMPRESSIONS = {
+  gzip: {
+    extension: 'gz',
+    contentEncoding: 'gzip',
+    levels: { min: 0, max: 9, default: 6 },
+    createEncoder: level => zlib.createGzip({ level }),
+    createDecoder: () => zlib.createGunzip(),
+  },
+  br: {
+    extension: 'br',
+    contentEncoding: 'br',
+    // Brotli's own default (11) is far too slow for large exports
+    levels: { min: 0, max: 11, default: 6 },
+    createEncoder: level => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } }),
+    createDecoder: () => zlib.createBrotliDecompress(),
+  },
+  deflate: {
+    extension: 'zz',
+    contentEncoding: 'deflate',
+    levels: { min: 0, max: 9, default: 6 },
+    // HTTP's deflate is the zlib format, not raw deflate
+    createEncoder: level => zlib.createDeflate({ level }),
+    createDecoder: () => zlib.createInflate(),
+  },
+  zstd: {
+    extension: 'zst',
+    contentEncoding: 'zstd',
+    levels: { min: 1, max: 19, default: 3 },
+    createEncoder: level => new ZstdCompressStream(level),
+  },
+  zip: {
+    extension: 'zip',
+    contentType: 'application/zip',
+    levels: { min: 0, max: 9, default: 6 },
+  },
+};
+
+/**
+ * Validates compression and compressionLevel from an export request
+ * Returns an error message, or null when they are valid
+ */
+function validateCompression(compression, level) {
+  if (compression && !Object.keys(COMPRESSIONS).includes(compression)) {
+    return `compression must be one of: ${Object.keys(COMPRESSIONS).join(', ')}`;
+  }
+
+  if (level !== undefined) {
+    if (!compression) {
+      return 'compressionLevel requires compression';
+    }
+    const { min, max } = COMPRESSIONS[compression].levels;
+    if (!Number.isInteger(level) || level < min || level > max) {
+      return `compressionLevel for ${compression} must be an integer between ${min} and ${max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the level used for a compression when none was requested
+ */
+function defaultCompressionLevel(compression) {
+  return COMPRESSIONS[compression].levels.default;
+}
+
+/**
+ * Creates the streams that compress an export
+ * The writer writes into `input`; `output` carries the compressed bytes
+ * For zip, the writer's output becomes the archive entry `entryName`
+ */
+function createCompressor(compression, { level = defaultCompressionLevel(compression), entryName } = {}) {
+  if (compression === 'zip') {
+    const input = new PassThrough();
+    const archive = archiver('zip', { zlib: { level } });
+    archive.append(input, { name: entryName });
+    // Failures surface as errors on the archive stream
+    archive.finalize().catch(() => {});
+    return { input, output: archive };
+  }
+
+  const encoder = COMPRESSIONS[compression].createEncoder(level);
+  return { input: encoder, output: encoder };
+}
+
+module.exports = {
+  COMPRESSIONS,
+  createCompressor,
+  defaultCompressionLevel,
+  validateCompression,
+};
@@ -0,0 +1,97 @@
+const { isPlainObject } = require('./validation');
+
+/**
+ * CSV dialect settings accepted as csvOptions on POST /exports
+ * Whatever a request leaves out is taken from DEFAULT_CSV_OPTIONS before the
+ * job is saved, so a retried job writes the same dialect
+ */
+
+// Single characters only; fast-csv builds its quoting patterns from them
+const CSV_DELIMITERS = [',', ';', '\t', '|', ':', ' '];
+const CSV_QUOTES = ['"', "'"];
+const CSV_LINE_TERMINATORS = ['\n', '\r\n'];
+
+// How JSONB values are written into a cell
+//   json   - compact JSON text
+//   pretty - JSON indented by two spaces, spanning several lines
+//   null   - the null representation, for tools that cannot take JSON
+const CSV_JSONB_MODES = ['json', 'pretty', 'null'];
+
+const MAX_NULL_VALUE_LENGTH = 32;
+
+const DEFAULT_CSV_OPTIONS = {
+  delimiter: ',',
+  quote: '"',
+  quoteAll: false,
+  lineTerminator: '\n',
+  bom: false,
+  header: true,
+  nullValue: '',
+  jsonb: 'json',
+};
+
+const BOOLEAN_KEYS = ['quoteAll', 'bom', 'header'];
+
+// Lists choices the way they are sent in JSON, so "\t" stays readable
+function describeChoices(choices) {
+  return choices.map(choice => JSON.stringify(choice)).join(', ');
+}
+
+/**
+ * Validates a csvOptions object from an export request
+ * Returns an error message, or null when the options are valid
+ */
+function validateCsvOptions(options) {
+  if (!isPlainObject(options)) {
+    return 'csvOptions must be an object';
+  }
+
+  const unknown = Object.keys(options).find(key => !Object.keys(DEFAULT_CSV_OPTIONS).includes(key));
+  if (unknown) {
+    return `Unknown csvOptions option "${unknown}"`;
+  }
+
+  const { delimiter, quote, lineTerminator, nullValue, jsonb } = options;
+
+  if (delimiter !== undefined && !CSV_DELIMITERS.includes(delimiter)) {
+    return `csvOptions.delimiter must be one of: ${describeChoices(CSV_DELIMITERS)}`;
+  }
+  if (quote !== undefined && !CSV_QUOTES.includes(quote)) {
+    return `csvOptions.quote must be one of: ${describeChoices(CSV_QUOTES)}`;
+  }
+  if (lineTerminator !== undefined && !CSV_LINE_TERMINATORS.includes(lineTerminator)) {
+    return `csvOptions.lineTerminator must be one of: ${describeChoices(CSV_LINE_TERMINATORS)}`;
+  }
+  const key = BOOLEAN_KEYS.find(name => options[name] !== undefined && typeof options[name] !== 'boolean');
+  if (key) {
+    return `csvOptions.${key} must be a boolean`;
+  }
+  if (nullValue !== undefined) {
+    if (typeof nullValue !== 'string' || nullValue.length > MAX_NULL_VALUE_LENGTH) {
+      return `csvOptions.nullValue must be a string of at most ${MAX_NULL_VALUE_LENGTH} characters`;
+    }
+    if (/[\r\n]/.test(nullValue)) {
+      return 'csvOptions.nullValue must not contain line breaks';
+    }
+  }
+  if (jsonb !== undefined && !CSV_JSONB_MODES.includes(jsonb)) {
+    return `csvOptions.jsonb must be one of: ${CSV_JSONB_MODES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Returns the effective settings of validated csvOptions, with the
+ * defaults filled in
+ */
+function resolveCsvOptions(options = {}) {
+  return { ...DEFAULT_CSV_OPTIONS, ...options };
+}
+
+module.exports = {
+  CSV_DELIMITERS,
+  CSV_JSONB_MODES,
+  DEFAULT_CSV_OPTIONS,
+  resolveCsvOptions,
+  validateCsvOptions,
+};
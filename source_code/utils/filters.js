@@ -0,0 +1,182 @@
+const { quoteIdentifier } = require('./sql');
+
+// Comparison operators accepted in a filter condition
+const COMPARISON_OPERATORS = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+};
+
+const FILTER_OPERATORS = [...Object.keys(COMPARISON_OPERATORS), 'in'];
+
+const COLUMN_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const JSON_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Splits a filter field into its column and JSONB path
+ * e.g. "metadata.category" -> { column: 'metadata', path: ['category'] }
+ */
+function parseFilterField(field) {
+  const [column, ...path] = field.split('.');
+
+  if (!COLUMN_NAME_PATTERN.test(column)) {
+    return null;
+  }
+  if (path.some(key => !JSON_KEY_PATTERN.test(key))) {
+    return null;
+  }
+
+  return { column, path };
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Normalizes the shorthand forms of a condition
+ * "Books" -> { eq: "Books" }, ["a", "b"] -> { in: ["a", "b"] }
+ */
+function normalizeCondition(condition) {
+  if (Array.isArray(condition)) {
+    return { in: condition };
+  }
+  if (condition === null || isScalar(condition)) {
+    return { eq: condition };
+  }
+  return condition;
+}
+
+// Operators that compare a whole json or jsonb value; the others need a
+// JSON path down to a scalar
+const WHOLE_JSON_OPERATORS = ['eq', 'ne'];
+
+/**
+ * Validates a filters object from an export request
+ * When a column catalog is given, filter columns must exist in it, JSONB
+ * paths may only be used on jsonb columns, and json or jsonb columns
+ * without a path only take eq and ne
+ * Returns an error message, or null when the filters are valid
+ */
+function validateFilters(filters, catalog = null) {
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    return 'filters must be an object keyed by column name';
+  }
+
+  for (const [field, rawCondition] of Object.entries(filters)) {
+    const parsed = parseFilterField(field);
+    if (!parsed) {
+      return `Invalid filter field "${field}"`;
+    }
+
+    let wholeJsonType = null;
+    if (catalog) {
+      const column = catalog.get(parsed.column);
+      if (!column) {
+        return `Unknown filter column "${parsed.column}"`;
+      }
+      if (parsed.path.length > 0 && column.dataType !== 'jsonb') {
+        return `Filter "${field}" uses a JSON path on non-jsonb column "${parsed.column}"`;
+      }
+      if (parsed.path.length === 0 && ['json', 'jsonb'].includes(column.dataType)) {
+        wholeJsonType = column.dataType;
+      }
+    }
+
+    const condition = normalizeCondition(rawCondition);
+    if (typeof condition !== 'object' || condition === null) {
+      return `Invalid condition for filter "${field}"`;
+    }
+
+    const operators = Object.keys(condition);
+    if (operators.length === 0) {
+      return `Filter "${field}" must specify at least one operator`;
+    }
+
+    for (const operator of operators) {
+      const operand = condition[operator];
+
+      if (!FILTER_OPERATORS.includes(operator)) {
+        return `Unknown operator "${operator}" for filter "${field}". Must be one of: ${FILTER_OPERATORS.join(', ')}`;
+      }
+      if (wholeJsonType && !WHOLE_JSON_OPERATORS.includes(operator)) {
+        return `Filter "${field}" operator "${operator}" needs a JSON path on ${wholeJsonType} column "${parsed.column}"; only eq and ne compare the whole value`;
+      }
+
+      if (operator === 'in') {
+        if (!Array.isArray(operand) || operand.length === 0 || !operand.every(isScalar)) {
+          return `Filter "${field}" operator "in" requires a non-empty array of values`;
+        }
+      } else if (operand === null) {
+        if (!['eq', 'ne'].includes(operator)) {
+          return `Filter "${field}" operator "${operator}" does not accept null`;
+        }
+      } else if (!isScalar(operand)) {
+        return `Filter "${field}" operator "${operator}" requires a string, number or boolean`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns the SQL cast applied to a JSONB path so it compares like the operand
+ */
+function jsonCastFor(operand) {
+  const sample = Array.isArray(operand) ? operand[0] : operand;
+  if (typeof sample === 'number') return '::numeric';
+  if (typeof sample === 'boolean') return '::boolean';
+  return '';
+}
+
+/**
+ * Compiles a validated filters object into a parameterized WHERE clause
+ * Conditions are combined with AND; placeholders continue after `values`
+ */
+function buildWhereClause(filters, values = []) {
+  const params = [...values];
+  const conditions = [];
+
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  for (const [field, rawCondition] of Object.entries(filters || {})) {
+    const { column, path } = parseFilterField(field);
+    const condition = normalizeCondition(rawCondition);
+
+    for (const [operator, operand] of Object.entries(condition)) {
+      let expression = quoteIdentifier(column);
+      if (path.length > 0) {
+        const pathParam = addParam(path);
+        expression = `(${expression} #>> ${pathParam}::text[])${jsonCastFor(operand)}`;
+      }
+
+      if (operand === null) {
+        conditions.push(`${expression} IS ${operator === 'eq' ? '' : 'NOT '}NULL`);
+      } else if (operator === 'in') {
+        conditions.push(`${expression} = ANY(${addParam(operand)})`);
+      } else {
+        conditions.push(`${expression} ${COMPARISON_OPERATORS[operator]} ${addParam(operand)}`);
+      }
+    }
+  }
+
+  return {
+    clause: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    values: params,
+  };
+}
+
+module.exports = {
+  FILTER_OPERATORS,
+  normalizeCondition,
+  validateFilters,
+  buildWhereClause,
+  parseFilterField,
+};
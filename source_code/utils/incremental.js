@@ -0,0 +1,176 @@
+const { buildWhereClause, normalizeCondition } = require('./filters');
+const { DEFAULT_SOURCE, sourceRelation } = require('./query');
+const { quoteIdentifier } = require('./sql');
+
+/**
+ * Incremental exports
+ * An incremental job reads only the rows past a watermark on one of the
+ * ordered keys below and records the high-water mark it reached, read in
+ * the same snapshot as its rows, so the next run can start there
+ */
+
+// information_schema types an ordering key can be range-split and
+// compared on as an integer -> the largest value the type holds
+const INTEGER_MAX = {
+  smallint: 32767n,
+  integer: 2147483647n,
+  bigint: 9223372036854775807n,
+};
+
+const INTEGER_TYPES = Object.keys(INTEGER_MAX);
+
+// Watermark key -> the source column it follows (id: the ordering key), and
+// the expression reading the column's highest value as text that
+// round-trips as a filter operand (microseconds included)
+const WATERMARK_KEYS = {
+  id: {
+    column: source => source.orderBy,
+    highest: column => `max(${column})::text`,
+  },
+  createdAt: {
+    column: () => 'created_at',
+    highest: column => `to_char(max(${column}) AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')`,
+  },
+};
+
+/**
+ * Returns the column of a source a watermark key follows
+ */
+function watermarkColumn(key, source = DEFAULT_SOURCE) {
+  return WATERMARK_KEYS[key].column(source);
+}
+
+/**
+ * Validates a watermark for a key
+ * Returns an error message, or null when it is valid
+ */
+function validateWatermark(key, value, name) {
+  if (key === 'id') {
+    const valid = (Number.isSafeInteger(value) && value >= 0)
+      || (typeof value === 'string' && /^\d{1,19}$/.test(value) && BigInt(value) <= INTEGER_MAX.bigint);
+    return valid ? null : `${name} must be a non-negative integer`;
+  }
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}([T ]|$)/.test(value) || Number.isNaN(Date.parse(value))) {
+    return `${name} must be an ISO 8601 timestamp`;
+  }
+  return null;
+}
+
+/**
+ * Returns the error for a key whose column the source lacks, or null
+ * columnCatalog and orderBy are the source's, as SourceCatalog reads them
+ * createdAt needs a timestamptz: its marks are UTC instants, which a
+ * timestamp without time zone cannot be compared with
+ */
+function validateWatermarkColumn(key, sourceName, columnCatalog, orderBy) {
+  if (key === 'id' && !(orderBy && columnCatalog.has(orderBy)
+    && INTEGER_TYPES.includes(columnCatalog.get(orderBy).dataType))) {
+    return `Incremental exports by id require an integer ordering key; "${orderBy}" is not one`;
+  }
+  if (key === 'createdAt' && !(columnCatalog.has('created_at')
+    && columnCatalog.get('created_at').dataType === 'timestamp with time zone')) {
+    return `Incremental exports by createdAt require a created_at timestamp with time zone column in source "${sourceName}"`;
+  }
+  return null;
+}
+
+/**
+ * Returns the error for an id watermark past the largest value of the
+ * ordering key's type, or null
+ * For a watermark validateWatermark and validateWatermarkColumn accept
+ */
+function validateWatermarkRange(key, value, name, columnCatalog, orderBy) {
+  if (key !== 'id') {
+    return null;
+  }
+  const { dataType } = columnCatalog.get(orderBy);
+  if (BigInt(value) > INTEGER_MAX[dataType]) {
+    return `${name} must be at most ${INTEGER_MAX[dataType]} for the ${dataType} ordering key "${orderBy}"`;
+  }
+  return null;
+}
+
+/**
+ * Returns the error for filters that would clash with the watermark
+ * conditions on the key's column, or null
+ * The watermark sets gt on the column, and lte once a job has reached its
+ * high-water mark
+ */
+function validateWatermarkFilters(filters, key, source = DEFAULT_SOURCE) {
+  const column = watermarkColumn(key, source);
+  if (!filters || filters[column] === undefined) {
+    return null;
+  }
+  const condition = normalizeCondition(filters[column]);
+  if (condition.gt !== undefined || condition.lte !== undefined) {
+    return `filters on "${column}" cannot use gt or lte in an incremental export`;
+  }
+  return null;
+}
+
+/**
+ * Returns a job's filters narrowed to the rows of its watermark window:
+ * past `since` and, once known, up to the high-water mark
+ */
+function incrementalFilters(filters, incremental, { source = DEFAULT_SOURCE, highWaterMark = null } = {}) {
+  if (!incremental || (incremental.since === null && highWaterMark === null)) {
+    return filters;
+  }
+
+  const column = watermarkColumn(incremental.key, source);
+  const condition = filters && filters[column] !== undefined ? { ...normalizeCondition(filters[column]) } : {};
+  if (incremental.since !== null) condition.gt = incremental.since;
+  if (highWaterMark !== null) condition.lte = highWaterMark;
+  return { ...filters, [column]: condition };
+}
+
+/**
+ * Reads the highest value of a watermark key among the filtered rows
+ * Returns it as text, or null when no row matches
+ */
+async function readHighWaterMark(client, key, filters, source = DEFAULT_SOURCE) {
+  const { clause, values } = buildWhereClause(filters);
+  const highest = WATERMARK_KEYS[key].highest(quoteIdentifier(watermarkColumn(key, source)));
+  const result = await client.query(
+    `SELECT ${highest} AS high_water_mark FROM ${sourceRelation(source)}${clause}`,
+    values,
+  );
+  return result.rows[0].high_water_mark;
+}
+
+/**
+ * Client wrapper that reads an incremental export's high-water mark in the
+ * writer's own transaction: BEGIN starts a REPEATABLE READ transaction and
+ * reads it first, so the cursor sees exactly the rows up to it
+ */
+class HighWaterMarkClient {
+  constructor(client, key, filters, source = DEFAULT_SOURCE) {
+    this.client = client;
+    this.key = key;
+    this.filters = filters;
+    this.source = source;
+    this.highWaterMark = null;
+  }
+
+  async query(text, values) {
+    if (text === 'BEGIN') {
+      const result = await this.client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+      this.highWaterMark = await readHighWaterMark(this.client, this.key, this.filters, this.source);
+      return result;
+    }
+    return this.client.query(text, values);
+  }
+}
+
+module.exports = {
+  HighWaterMarkClient,
+  INTEGER_TYPES,
+  WATERMARK_KEYS,
+  incrementalFilters,
+  readHighWaterMark,
+  validateWatermark,
+  validateWatermarkColumn,
+  validateWatermarkFilters,
+  validateWatermarkRange,
+  watermarkColumn,
+};
@@ -0,0 +1,282 @@
+const { isPlainObject } = require('./validation');
+
+/**
+ * Shapes of JSONB values, for writing them as nested Parquet columns
+ * A shape is one of:
+ *   { kind: 'leaf', type }          type is one of NESTED_LEAF_TYPES
+ *   { kind: 'group', fields }       fields maps object keys to shapes
+ *   { kind: 'list', element }       a JSON array of element shapes
+ * Shapes come from a user-supplied sub-schema or are inferred from sampled
+ * values. Anything without one consistent shape falls back to a string leaf
+ * holding the value as JSON text.
+ */
+
+const NESTED_LEAF_TYPES = ['string', 'int64', 'double', 'boolean'];
+
+// Rows sampled to infer a shape when no sub-schema is given
+const DEFAULT_SAMPLE_ROWS = 1000;
+const MAX_SAMPLE_ROWS = 100000;
+
+const STRING_SHAPE = Object.freeze({ kind: 'leaf', type: 'string' });
+
+/**
+ * Object keys Parquet can hold as field names
+ * parquetjs joins field paths with commas, so keys containing one cannot
+ * be read back
+ */
+function isFieldName(key) {
+  return key.length > 0 && !key.includes(',');
+}
+
+/**
+ * Validates a sub-schema: a leaf type name, a one-element array for a list,
+ * or an object of field sub-schemas
+ * Returns an error message, or null when the sub-schema is valid
+ */
+function subSchemaError(schema, path) {
+  if (typeof schema === 'string') {
+    return NESTED_LEAF_TYPES.includes(schema)
+      ? null
+      : `${path}: unknown type "${schema}". Must be one of: ${NESTED_LEAF_TYPES.join(', ')}`;
+  }
+
+  if (Array.isArray(schema)) {
+    if (schema.length !== 1) {
+      return `${path}: a list must have exactly one element schema`;
+    }
+    if (Array.isArray(schema[0])) {
+      return `${path}: lists of lists are not supported`;
+    }
+    return subSchemaError(schema[0], `${path}[]`);
+  }
+
+  if (isPlainObject(schema)) {
+    const keys = Object.keys(schema);
+    if (keys.length === 0) {
+      return `${path}: an object must have at least one field`;
+    }
+    for (const key of keys) {
+      if (!isFieldName(key)) {
+        return `${path}: field names must be non-empty and must not contain commas`;
+      }
+      const error = subSchemaError(schema[key], `${path}.${key}`);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  return `${path}: must be a type name, a one-element array or an object`;
+}
+
+/**
+ * Validates the nested option of an export column:
+ *   true                 infer the shape from DEFAULT_SAMPLE_ROWS rows
+ *   { sampleRows: n }    infer the shape from n rows
+ *   { schema: {...} }    use the given sub-schema
+ * Returns an error message, or null when the option is valid
+ */
+function validateNestedOption(nested) {
+  if (nested === true) {
+    return null;
+  }
+  if (!isPlainObject(nested)) {
+    return 'nested must be true or an object with sampleRows or schema';
+  }
+
+  const unknown = Object.keys(nested).filter(key => !['sampleRows', 'schema'].includes(key));
+  if (unknown.length > 0) {
+    return `Unknown nested option "${unknown[0]}"`;
+  }
+  if (nested.schema !== undefined && nested.sampleRows !== undefined) {
+    return 'nested takes either sampleRows or schema, not both';
+  }
+
+  if (nested.sampleRows !== undefined) {
+    const { sampleRows } = nested;
+    if (!Number.isInteger(sampleRows) || sampleRows < 1 || sampleRows > MAX_SAMPLE_ROWS) {
+      return `nested.sampleRows must be an integer between 1 and ${MAX_SAMPLE_ROWS}`;
+    }
+  }
+
+  if (nested.schema !== undefined) {
+    return subSchemaError(nested.schema, 'nested.schema');
+  }
+  return null;
+}
+
+/**
+ * Converts a validated sub-schema into a shape
+ */
+function parseSubSchema(schema) {
+  if (typeof schema === 'string') {
+    return { kind: 'leaf', type: schema };
+  }
+  if (Array.isArray(schema)) {
+    return { kind: 'list', element: parseSubSchema(schema[0]) };
+  }
+
+  const fields = {};
+  for (const [key, fieldSchema] of Object.entries(schema)) {
+    fields[key] = parseSubSchema(fieldSchema);
+  }
+  return { kind: 'group', fields };
+}
+
+/**
+ * Merges two shapes seen for the same value
+ * null means nothing is known yet; conflicting shapes become a string
+ */
+function mergeShapes(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  if (a.kind !== b.kind) {
+    return STRING_SHAPE;
+  }
+
+  switch (a.kind) {
+    case 'leaf':
+      if (a.type === b.type) return a;
+      // Integers and fractions in the same field are all doubles
+      if (['int64', 'double'].includes(a.type) && ['int64', 'double'].includes(b.type)) {
+        return { kind: 'leaf', type: 'double' };
+      }
+      return STRING_SHAPE;
+    case 'list':
+      return { kind: 'list', element: mergeShapes(a.element, b.element) };
+    default: {
+      const fields = { ...a.fields };
+      for (const [key, shape] of Object.entries(b.fields)) {
+        fields[key] = mergeShapes(fields[key], shape);
+      }
+      return { kind: 'group', fields };
+    }
+  }
+}
+
+/**
+ * Returns the shape of a single JSON value, or null for null
+ */
+function shapeOfValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      return { kind: 'leaf', type: 'boolean' };
+    case 'number':
+      return { kind: 'leaf', type: Number.isSafeInteger(value) ? 'int64' : 'double' };
+    case 'string':
+      return STRING_SHAPE;
+    default:
+      break;
+  }
+
+  if (Array.isArray(value)) {
+    return { kind: 'list', element: value.map(shapeOfValue).reduce(mergeShapes, null) };
+  }
+
+  if (!Object.keys(value).every(isFieldName)) {
+    return STRING_SHAPE;
+  }
+  const fields = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    fields[key] = shapeOfValue(fieldValue);
+  }
+  return { kind: 'group', fields };
+}
+
+/**
+ * Replaces what Parquet cannot represent with string leaves: fields that
+ * were only ever null, objects without fields and lists of lists
+ */
+function finalizeShape(shape) {
+  if (!shape) {
+    return STRING_SHAPE;
+  }
+
+  switch (shape.kind) {
+    case 'leaf':
+      return shape;
+    case 'list': {
+      const element = finalizeShape(shape.element);
+      return element.kind === 'list' ? STRING_SHAPE : { kind: 'list', element };
+    }
+    default: {
+      const keys = Object.keys(shape.fields);
+      if (keys.length === 0) {
+        return STRING_SHAPE;
+      }
+      const fields = {};
+      for (const key of keys) {
+        fields[key] = finalizeShape(shape.fields[key]);
+      }
+      return { kind: 'group', fields };
+    }
+  }
+}
+
+/**
+ * Infers one shape covering all the sampled values
+ */
+function inferShape(values) {
+  return finalizeShape(values.map(shapeOfValue).reduce(mergeShapes, null));
+}
+
+/**
+ * Converts a JSON value to fit a shape, with int64 leaves as BigInt
+ * Values (and object keys) that do not fit are left out and counted in
+ * stats.mismatches; list elements that are left out are dropped
+ */
+function conformToShape(value, shape, stats) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const mismatch = () => {
+    stats.mismatches++;
+    return null;
+  };
+
+  switch (shape.kind) {
+    case 'leaf':
+      switch (shape.type) {
+        case 'string':
+          return typeof value === 'string' ? value : JSON.stringify(value);
+        case 'int64':
+          return Number.isInteger(value) ? BigInt(value) : mismatch();
+        case 'double':
+          return typeof value === 'number' ? value : mismatch();
+        default:
+          return typeof value === 'boolean' ? value : mismatch();
+      }
+
+    case 'list':
+      if (!Array.isArray(value)) return mismatch();
+      return value
+        .map(element => conformToShape(element, shape.element, stats))
+        .filter(element => element !== null);
+
+    default: {
+      if (!isPlainObject(value)) return mismatch();
+      const result = {};
+      for (const [key, fieldShape] of Object.entries(shape.fields)) {
+        result[key] = conformToShape(value[key], fieldShape, stats);
+      }
+      stats.mismatches += Object.keys(value).filter(key => !shape.fields[key]).length;
+      return result;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_SAMPLE_ROWS,
+  MAX_SAMPLE_ROWS,
+  NESTED_LEAF_TYPES,
+  conformToShape,
+  inferShape,
+  isFieldName,
+  parseSubSchema,
+  validateNestedOption,
+};
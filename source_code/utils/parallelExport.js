@@ -0,0 +1,217 @@
+const { normalizeCondition } = require('./filters');
+const { DEFAULT_SOURCE } = require('./query');
+const { quoteLiteral } = require('./sql');
+
+/**
+ * Parallel range-partitioned exports
+ * The keyspace of the source's (integer) ordering key is split into
+ * ranges, each read on its own pool client
+ * inside one snapshot exported by the job's own connection, so all
+ * partitions see the same data as a single cursor would
+ */
+
+// Each partition holds a pool client, on top of the one exporting the snapshot
+const MAX_PARALLEL_PARTITIONS = 8;
+
+// Connections kept free for the job and stream repositories: API requests,
+// progress updates and heartbeats
+const RESERVED_CONNECTIONS = 1;
+
+// ordered: one file, partitions written in id order by one writer
+// files: one part file per partition, written concurrently
+const PARALLEL_OUTPUTS = ['ordered', 'files'];
+
+/**
+ * Most partitions a job may use with a pool of `poolMax` connections
+ * Every one of the `concurrency` running jobs holds its own connection,
+ * each of up to `maxLiveDownloads` live downloads one more, and
+ * RESERVED_CONNECTIONS stay free; the partitions of one parallel job at a
+ * time take the rest (the export runner queues the others)
+ * Without a known pool size, MAX_PARALLEL_PARTITIONS
+ */
+function maxParallelPartitions(poolMax, concurrency = 1, maxLiveDownloads = 0) {
+  if (!Number.isInteger(poolMax)) {
+    return MAX_PARALLEL_PARTITIONS;
+  }
+  return Math.min(MAX_PARALLEL_PARTITIONS, poolMax - concurrency - maxLiveDownloads - RESERVED_CONNECTIONS);
+}
+
+/**
+ * Validates a parallel option from an export request
+ * maxPartitions is the limit from maxParallelPartitions
+ * Returns an error message, or null when it is valid
+ */
+function validateParallelOption(parallel, maxPartitions = MAX_PARALLEL_PARTITIONS) {
+  if (parallel === null || typeof parallel !== 'object' || Array.isArray(parallel)) {
+    return 'parallel must be an object';
+  }
+
+  const unknown = Object.keys(parallel).find(key => !['partitions', 'output'].includes(key));
+  if (unknown) {
+    return `Unknown parallel option "${unknown}"`;
+  }
+
+  const { partitions, output } = parallel;
+  if (maxPartitions < 2) {
+    return 'parallel exports need a connection pool with room for at least 2 partitions; raise POSTGRES_POOL_MAX';
+  }
+  if (!Number.isInteger(partitions) || partitions < 2 || partitions > maxPartitions) {
+    return `parallel.partitions must be an integer between 2 and ${maxPartitions}`;
+  }
+  if (output !== undefined && !PARALLEL_OUTPUTS.includes(output)) {
+    return `parallel.output must be one of: ${PARALLEL_OUTPUTS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Returns the effective settings of a validated parallel option
+ */
+function resolveParallelOption(parallel) {
+  return { output: 'ordered', ...parallel };
+}
+
+/**
+ * Splits the keys from min to max (bigint, as text) into at most
+ * `partitions` contiguous ranges of equal width, as { gte, lt } bounds
+ */
+function idRanges(min, max, partitions) {
+  const low = BigInt(min);
+  const high = BigInt(max) + 1n;
+  const count = BigInt(partitions);
+  const width = (high - low + count - 1n) / count;
+
+  const ranges = [];
+  for (let start = low; start < high; start += width) {
+    const end = start + width < high ? start + width : high;
+    ranges.push({ gte: start.toString(), lt: end.toString() });
+  }
+  return ranges;
+}
+
+/**
+ * Restricts validated filters to one range of the ordering key
+ * The ranges lie within the bounds of the filtered rows, so they imply any
+ * gte/lt the filters already put on the key and may replace them
+ */
+function partitionFilters(filters, range, source = DEFAULT_SOURCE) {
+  const key = source.orderBy;
+  const condition = filters && filters[key] !== undefined ? normalizeCondition(filters[key]) : {};
+  return { ...filters, [key]: { ...condition, gte: range.gte, lt: range.lt } };
+}
+
+/**
+ * Client wrapper whose transactions import an exported snapshot: a
+ * writer's BEGIN starts a read-only REPEATABLE READ transaction on it
+ */
+class SnapshotClient {
+  constructor(client, snapshotId) {
+    this.client = client;
+    this.snapshotId = snapshotId;
+  }
+
+  async query(text, values) {
+    if (text === 'BEGIN') {
+      await this.client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+      return this.client.query(`SET TRANSACTION SNAPSHOT ${quoteLiteral(this.snapshotId)}`);
+    }
+    return this.client.query(text, values);
+  }
+}
+
+/**
+ * Client wrapper that feeds one writer the rows of every partition in
+ * partition (id) order, while each partition reads its own cursor on its
+ * own connection one batch ahead
+ * The writer's BEGIN and DECLARE open all partitions' cursors, each over
+ * its own query; FETCH serves the current partition's next batch; CLOSE,
+ * COMMIT and ROLLBACK apply to every partition. Other statements run on
+ * `client`, the connection holding the exported snapshot
+ */
+class OrderedPartitionClient {
+  constructor(client, partitions) {
+    this.client = client;
+    this.partitions = partitions.map(({ client: partitionClient, query }) => ({
+      client: partitionClient,
+      query,
+      ahead: null,
+    }));
+    this.cursor = null;
+    this.current = 0;
+  }
+
+  async query(text, values) {
+    if (text === 'BEGIN') {
+      await this.onEveryPartition(partition => partition.client.query('BEGIN'));
+      return { rows: [] };
+    }
+
+    const declare = /^DECLARE (\w+) CURSOR FOR /.exec(text);
+    if (declare) {
+      this.cursor = declare[1];
+      await this.onEveryPartition(partition => partition.client.query(
+        `DECLARE ${this.cursor} CURSOR FOR ${partition.query.text}`,
+        partition.query.values,
+      ));
+      return { rows: [] };
+    }
+
+    const fetch = /^FETCH (\d+) FROM \w+$/.exec(text);
+    if (fetch) {
+      return this.fetch(Number(fetch[1]));
+    }
+
+    if (/^CLOSE \w+$/.test(text) || text === 'COMMIT') {
+      await this.onEveryPartition(partition => partition.client.query(text));
+      return { rows: [] };
+    }
+
+    if (text === 'ROLLBACK') {
+      await Promise.allSettled(this.partitions.map(partition => partition.client.query('ROLLBACK')));
+      return { rows: [] };
+    }
+
+    return this.client.query(text, values);
+  }
+
+  onEveryPartition(statement) {
+    return Promise.all(this.partitions.map(statement));
+  }
+
+  // Starts reading a partition's next batch; failures surface when the
+  // batch is consumed
+  readAhead(partition, count) {
+    partition.ahead = partition.client.query(`FETCH ${count} FROM ${this.cursor}`);
+    partition.ahead.catch(() => {});
+  }
+
+  async fetch(count) {
+    // The first FETCH starts every partition reading
+    for (const partition of this.partitions) {
+      if (!partition.ahead) this.readAhead(partition, count);
+    }
+
+    while (this.current < this.partitions.length) {
+      const partition = this.partitions[this.current];
+      const result = await partition.ahead;
+      if (result.rows.length > 0) {
+        this.readAhead(partition, count);
+        return result;
+      }
+      this.current++;
+    }
+    return { rows: [] };
+  }
+}
+
+module.exports = {
+  MAX_PARALLEL_PARTITIONS,
+  OrderedPartitionClient,
+  PARALLEL_OUTPUTS,
+  SnapshotClient,
+  idRanges,
+  maxParallelPartitions,
+  partitionFilters,
+  resolveParallelOption,
+  validateParallelOption,
+};
@@ -0,0 +1,134 @@
+const { isPlainObject } = require('./validation');
+
+/**
+ * Parquet writer settings accepted as parquetOptions on POST /exports
+ * The job stores them completed with DEFAULT_PARQUET_OPTIONS; jobs created
+ * without any get the defaults when the writer opens
+ */
+
+// Codec name in the API -> parquetjs compression method
+const PARQUET_CODECS = {
+  none: 'UNCOMPRESSED',
+  snappy: 'SNAPPY',
+  gzip: 'GZIP',
+  brotli: 'BROTLI',
+  zstd: 'ZSTD',
+};
+
+const PARQUET_ENCODINGS = ['PLAIN', 'RLE'];
+
+// Row groups are buffered in memory until full, so their size is capped
+const MAX_ROW_GROUP_SIZE = 100000;
+
+const DEFAULT_PARQUET_OPTIONS = {
+  compression: 'snappy',
+  rowGroupSize: 10000,
+  pageSize: 1024,
+  dataPageV2: false,
+};
+
+const OPTION_KEYS = [...Object.keys(DEFAULT_PARQUET_OPTIONS), 'columns'];
+const COLUMN_OPTION_KEYS = ['encoding', 'dictionary'];
+
+function isCount(value, max) {
+  return Number.isInteger(value) && value >= 1 && value <= max;
+}
+
+/**
+ * Validates the per-column settings, keyed by target column name
+ * columnTypes maps each target to its information_schema data type
+ */
+function columnOptionsError(columns, columnTypes) {
+  if (!isPlainObject(columns)) {
+    return 'parquetOptions.columns must be an object keyed by target column name';
+  }
+
+  for (const [target, settings] of Object.entries(columns)) {
+    if (!Object.prototype.hasOwnProperty.call(columnTypes, target)) {
+      return `parquetOptions.columns: unknown target column "${target}"`;
+    }
+    if (!isPlainObject(settings)) {
+      return `parquetOptions.columns.${target} must be an object`;
+    }
+
+    const unknown = Object.keys(settings).find(key => !COLUMN_OPTION_KEYS.includes(key));
+    if (unknown) {
+      return `Unknown parquetOptions.columns.${target} option "${unknown}"`;
+    }
+
+    if (settings.dictionary !== undefined) {
+      if (typeof settings.dictionary !== 'boolean') {
+        return `parquetOptions.columns.${target}.dictionary must be a boolean`;
+      }
+      // parquetjs can read dictionary pages but not write them
+      if (settings.dictionary) {
+        return `parquetOptions.columns.${target}.dictionary: dictionary encoding is not supported by the Parquet writer`;
+      }
+    }
+
+    if (settings.encoding !== undefined) {
+      if (!PARQUET_ENCODINGS.includes(settings.encoding)) {
+        return `parquetOptions.columns.${target}.encoding must be one of: ${PARQUET_ENCODINGS.join(', ')}`;
+      }
+      if (settings.encoding === 'RLE' && columnTypes[target] !== 'boolean') {
+        return `parquetOptions.columns.${target}.encoding: RLE is only supported for boolean columns`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates a parquetOptions object from an export request
+ * Returns an error message, or null when the options are valid
+ */
+function validateParquetOptions(options, columnTypes = {}) {
+  if (!isPlainObject(options)) {
+    return 'parquetOptions must be an object';
+  }
+
+  const unknown = Object.keys(options).find(key => !OPTION_KEYS.includes(key));
+  if (unknown) {
+    return `Unknown parquetOptions option "${unknown}"`;
+  }
+
+  const { compression, rowGroupSize, pageSize, dataPageV2, columns } = options;
+
+  if (compression !== undefined && !Object.keys(PARQUET_CODECS).includes(compression)) {
+    return `parquetOptions.compression must be one of: ${Object.keys(PARQUET_CODECS).join(', ')}`;
+  }
+  if (rowGroupSize !== undefined && !isCount(rowGroupSize, MAX_ROW_GROUP_SIZE)) {
+    return `parquetOptions.rowGroupSize must be an integer between 1 and ${MAX_ROW_GROUP_SIZE}`;
+  }
+  if (pageSize !== undefined && !isCount(pageSize, MAX_ROW_GROUP_SIZE)) {
+    return `parquetOptions.pageSize must be an integer between 1 and ${MAX_ROW_GROUP_SIZE}`;
+  }
+  if (dataPageV2 !== undefined && typeof dataPageV2 !== 'boolean') {
+    return 'parquetOptions.dataPageV2 must be a boolean';
+  }
+  if (columns !== undefined) {
+    return columnOptionsError(columns, columnTypes);
+  }
+  return null;
+}
+
+/**
+ * Returns the effective settings of validated parquetOptions, with the
+ * defaults filled in
+ */
+function resolveParquetOptions(options = {}) {
+  return {
+    ...DEFAULT_PARQUET_OPTIONS,
+    ...options,
+    columns: { ...(options && options.columns) },
+  };
+}
+
+module.exports = {
+  DEFAULT_PARQUET_OPTIONS,
+  MAX_ROW_GROUP_SIZE,
+  PARQUET_CODECS,
+  PARQUET_ENCODINGS,
+  resolveParquetOptions,
+  validateParquetOptions,
+};
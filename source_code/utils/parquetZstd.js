@@ -0,0 +1,42 @@
+const parquet = require('@dsnp/parquetjs');
+const { PARQUET_COMPRESSION_METHODS } = require('@dsnp/parquetjs/dist/lib/compression');
+const { zstdCompress, zstdDecompress } = require('./zstd');
+
+/**
+ * Zstandard pages for Parquet files
+ * @dsnp/parquetjs has no zstd codec and no API to add one. Its schema,
+ * writer and reader all look codecs up in the internal
+ * PARQUET_COMPRESSION_METHODS table, so ZSTD is added to that table. This
+ * relies on the internals of the exact version package.json pins (1.8.4);
+ * check it again when upgrading
+ */
+
+/**
+ * Adds ZSTD to a parquetjs codec table, unless parquetjs has one already
+ * Throws when the table does not look the way 1.8.4 lays it out, or when
+ * the schema still rejects ZSTD afterwards, so an upgrade that moves the
+ * internals fails when the Parquet writer loads rather than on an export
+ */
+function registerParquetZstd(methods = PARQUET_COMPRESSION_METHODS) {
+  const { GZIP } = methods || {};
+  if (!GZIP || typeof GZIP.deflate !== 'function' || typeof GZIP.inflate !== 'function') {
+    throw new Error('@dsnp/parquetjs codec table not found; the zstd codec needs the internals of version 1.8.4');
+  }
+
+  if (!methods.ZSTD) {
+    methods.ZSTD = {
+      deflate: value => zstdCompress(value),
+      inflate: value => zstdDecompress(value),
+    };
+  }
+
+  try {
+    new parquet.ParquetSchema({ value: { type: 'UTF8', compression: 'ZSTD' } });
+  } catch (err) {
+    throw new Error(`@dsnp/parquetjs does not accept the registered zstd codec: ${err.message || err}`);
+  }
+}
+
+module.exports = {
+  registerParquetZstd,
+};
@@ -0,0 +1,138 @@
+// Rows handed to a writer per FETCH while a byte limit applies and no
+// bytes per row are known yet
+const BYTE_LIMIT_FETCH_ROWS = 100;
+
+/**
+ * Client wrapper that splits one cursor over several writer runs, one per
+ * part file
+ * The first part's BEGIN and DECLARE reach the database; later parts'
+ * BEGIN, DECLARE, CLOSE and COMMIT are absorbed so every part reads on from
+ * the same cursor and snapshot. FETCH ends a part (returns no rows) once it
+ * holds maxRows rows or its output reached maxBytes; rows fetched past the
+ * boundary are kept for the next part. finish() closes the cursor and
+ * commits; other statements, ROLLBACK included, pass straight through
+ */
+class PartCursorClient {
+  constructor(client, { maxRows = null, maxBytes = null } = {}) {
+    this.client = client;
+    this.maxRows = maxRows;
+    this.maxBytes = maxBytes;
+    this.cursor = null;
+    this.inTransaction = false;
+    this.buffered = [];
+    this.fields = [];
+    this.fetchSize = BYTE_LIMIT_FETCH_ROWS;
+    this.exhausted = false;
+    this.partRows = 0;
+    this.partBytes = () => 0;
+    this.bytesPerRow = null;
+  }
+
+  /**
+   * Starts a part; partBytes returns the bytes written to it so far
+   */
+  startPart(partBytes) {
+    if (this.partRows > 0 && this.partBytes() > 0) {
+      this.bytesPerRow = this.partBytes() / this.partRows;
+    }
+    this.partRows = 0;
+    this.partBytes = partBytes;
+  }
+
+  async query(text, values) {
+    if (text === 'BEGIN') {
+      if (this.inTransaction) return { rows: [] };
+      this.inTransaction = true;
+      return this.client.query(text, values);
+    }
+
+    const declare = /^DECLARE (\w+) CURSOR FOR /.exec(text);
+    if (declare) {
+      if (this.cursor) return { rows: [] };
+      this.cursor = declare[1];
+      return this.client.query(text, values);
+    }
+
+    const fetch = /^FETCH (\d+) FROM \w+$/.exec(text);
+    if (fetch) {
+      return { rows: await this.fetch(Number(fetch[1])), fields: this.fields };
+    }
+
+    if (/^CLOSE \w+$/.test(text) || text === 'COMMIT') {
+      return { rows: [] };
+    }
+
+    if (text === 'ROLLBACK') {
+      this.inTransaction = false;
+      this.cursor = null;
+    }
+    return this.client.query(text, values);
+  }
+
+  async fetch(count) {
+    if (this.partFull()) return [];
+
+    this.fetchSize = count;
+    if (this.buffered.length === 0) {
+      await this.fetchBatch();
+    }
+
+    let take = count;
+    if (this.maxRows) take = Math.min(take, this.maxRows - this.partRows);
+    if (this.maxBytes) take = Math.min(take, this.rowsUntilByteLimit());
+
+    const rows = this.buffered.splice(0, take);
+    this.partRows += rows.length;
+    return rows;
+  }
+
+  async fetchBatch() {
+    if (this.exhausted) return;
+    const result = await this.client.query(`FETCH ${this.fetchSize} FROM ${this.cursor}`);
+    this.buffered = result.rows;
+    this.fields = result.fields || this.fields;
+    this.exhausted = result.rows.length === 0;
+  }
+
+  // Hands out half of the rows estimated to fit, from the bytes per row of
+  // this part so far or of the previous one, so parts close within about a
+  // row of maxBytes even when row sizes drift. Output held back by a
+  // compressor or a row group buffer is not counted yet, so such parts may
+  // end past maxBytes
+  rowsUntilByteLimit() {
+    const bytes = this.partBytes();
+    const bytesPerRow = this.partRows > 0 && bytes > 0 ? bytes / this.partRows : this.bytesPerRow;
+    if (!bytesPerRow) return BYTE_LIMIT_FETCH_ROWS;
+    return Math.max(1, Math.floor((this.maxBytes - bytes) / bytesPerRow / 2));
+  }
+
+  partFull() {
+    return (this.maxRows && this.partRows >= this.maxRows)
+      || (this.maxBytes && this.partBytes() >= this.maxBytes);
+  }
+
+  /**
+   * Whether rows are left for another part; reads ahead one batch if needed
+   */
+  async hasMoreRows() {
+    if (this.buffered.length === 0) {
+      await this.fetchBatch();
+    }
+    return this.buffered.length > 0;
+  }
+
+  /**
+   * Closes the cursor and commits once the last part has been written
+   */
+  async finish() {
+    await this.client.query(`CLOSE ${this.cursor}`);
+    await this.client.query('COMMIT');
+    this.inTransaction = false;
+    this.cursor = null;
+  }
+}
+
+module.exports = {
+  BYTE_LIMIT_FETCH_ROWS,
+  PartCursorClient,
+};
@@ -0,0 +1,63 @@
+const { buildWhereClause } = require('./filters');
+const { selectListItem } = require('./columnExpressions');
+const { quoteIdentifier } = require('./sql');
+
+// The table exported by jobs that name no source, and its ordering key
+const DEFAULT_SOURCE = { name: 'records', orderBy: 'id' };
+
+/**
+ * Returns the quoted relation of a source, e.g. "analytics"."events"
+ * Source names are validated against the allowlist (see sourceCatalog)
+ */
+function sourceRelation(source) {
+  return source.name.split('.').map(quoteIdentifier).join('.');
+}
+
+/**
+ * Builds the parameterized SELECT used by the streaming writers, reading
+ * `source` in the order of its ordering key
+ * Returns { text, values } ready for client.query
+ */
+function buildSelectQuery(columnMap, filters, { limit, source = DEFAULT_SOURCE } = {}) {
+  const columnList = columnMap.map(col => selectListItem(col.source)).join(', ');
+  const { clause, values } = buildWhereClause(filters);
+
+  let text = `SELECT ${columnList} FROM ${sourceRelation(source)}${clause} ORDER BY ${quoteIdentifier(source.orderBy)}`;
+  if (limit !== undefined) {
+    text += ` LIMIT ${Number(limit)}`;
+  }
+
+  return { text, values };
+}
+
+/**
+ * Builds the query for the lowest and highest ordering key a filtered
+ * export reads, as text since keys may be bigint; both are null when no
+ * row matches
+ */
+function buildKeyBoundsQuery(filters, source = DEFAULT_SOURCE) {
+  const { clause, values } = buildWhereClause(filters);
+  const key = quoteIdentifier(source.orderBy);
+  return {
+    text: `SELECT min(${key})::text AS min, max(${key})::text AS max FROM ${sourceRelation(source)}${clause}`,
+    values,
+  };
+}
+
+/**
+ * Estimates the number of rows a query returns from the planner's statistics
+ * Much cheaper than COUNT(*) on a large table; accuracy follows ANALYZE
+ */
+async function estimateRowCount(client, query) {
+  const result = await client.query(`EXPLAIN (FORMAT JSON) ${query.text}`, query.values);
+  const plan = result.rows[0]['QUERY PLAN'][0].Plan;
+  return Math.round(plan['Plan Rows']);
+}
+
+module.exports = {
+  DEFAULT_SOURCE,
+  buildKeyBoundsQuery,
+  buildSelectQuery,
+  estimateRowCount,
+  sourceRelation,
+};
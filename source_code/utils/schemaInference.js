@@ -0,0 +1,171 @@
+const { DEFAULT_SOURCE, buildSelectQuery } = require('./query');
+
+/**
+ * Format-neutral column types shared by the binary writers
+ * Each writer maps these onto its own schema types
+ */
+const COLUMN_TYPES = ['string', 'json', 'int32', 'int64', 'double', 'decimal', 'boolean', 'date', 'timestamp'];
+
+// PostgreSQL type OID -> column type; anything else is exported as a string
+const TYPE_OIDS = {
+  16: 'boolean', // bool
+  20: 'int64', // int8
+  21: 'int32', // int2
+  23: 'int32', // int4
+  114: 'json', // json
+  700: 'double', // float4
+  701: 'double', // float8
+  1082: 'date', // date
+  1114: 'timestamp', // timestamp
+  1184: 'timestamp', // timestamptz
+  1700: 'decimal', // numeric
+  3802: 'json', // jsonb
+};
+
+/**
+ * Decodes the precision and scale of a numeric(p, s) type modifier
+ * Returns null for unconstrained numeric, which has no fixed scale
+ */
+function decodeNumericTypmod(typmod) {
+  if (typmod < 4) {
+    return null;
+  }
+  const precision = ((typmod - 4) >> 16) & 0xffff;
+  const scale = (typmod - 4) & 0xffff;
+  return scale <= precision ? { precision, scale } : null;
+}
+
+/**
+ * Maps a result-set field (dataTypeID and dataTypeModifier) to a column type
+ */
+function columnTypeFromField(field) {
+  const type = TYPE_OIDS[field.dataTypeID] || 'string';
+
+  if (type === 'decimal') {
+    const numeric = decodeNumericTypmod(field.dataTypeModifier);
+    // Without a declared scale the values cannot be stored as fixed-point
+    return numeric ? { type, ...numeric } : { type: 'string' };
+  }
+  return { type };
+}
+
+/**
+ * Describes the exported columns from the result-set fields of the export
+ * query, without fetching any rows
+ * Columns are nullable unless they are plain table columns declared NOT NULL
+ * Returns [{ source, target, type, precision?, scale?, nullable }] in column order
+ */
+async function describeColumns(client, columnMap, filters = null, source = DEFAULT_SOURCE) {
+  const query = buildSelectQuery(columnMap, filters, { limit: 0, source });
+  const { fields } = await client.query(query.text, query.values);
+
+  const tableIds = [...new Set(fields.filter(field => field.tableID).map(field => field.tableID))];
+  const notNull = new Set();
+  if (tableIds.length > 0) {
+    const result = await client.query(
+      'SELECT attrelid, attnum FROM pg_attribute WHERE attnotnull AND attrelid = ANY($1::oid[])',
+      [tableIds],
+    );
+    for (const { attrelid, attnum } of result.rows) {
+      notNull.add(`${attrelid}:${attnum}`);
+    }
+  }
+
+  return columnMap.map(({ source, target }, index) => {
+    const field = fields[index];
+    return {
+      source,
+      target,
+      ...columnTypeFromField(field),
+      nullable: !(field.tableID && notNull.has(`${field.tableID}:${field.columnID}`)),
+    };
+  });
+}
+
+/**
+ * Converts a value as returned by pg to the JavaScript representation of its
+ * column type
+ * int64 becomes a BigInt, decimal stays an exact string, json a JSON string
+ */
+function toColumnValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (type) {
+    case 'int32':
+    case 'double':
+      return Number(value);
+    case 'int64':
+      return BigInt(value);
+    case 'decimal':
+      return String(value);
+    case 'boolean':
+      return Boolean(value);
+    case 'date':
+      if (!(value instanceof Date)) return new Date(value);
+      // pg parses dates as local midnight; keep the calendar day in UTC
+      return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+    case 'timestamp':
+      return value instanceof Date ? value : new Date(value);
+    case 'json':
+      return JSON.stringify(value);
+    default:
+      if (value instanceof Date) return value.toISOString();
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+/**
+ * Converts a decimal string to its unscaled integer, e.g. "12.50" at
+ * scale 3 becomes 12500n
+ */
+function toUnscaledDecimal(value, scale) {
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(String(value));
+  if (!match) {
+    throw new Error(`Cannot store "${value}" as a fixed-point decimal`);
+  }
+  const [, sign, integer, fraction = ''] = match;
+  return BigInt(`${sign}${integer || '0'}${fraction.padEnd(scale, '0').slice(0, scale)}`);
+}
+
+/**
+ * Encodes an unscaled decimal as big-endian two's complement bytes, as
+ * Parquet and Avro store decimals
+ * Uses the fewest bytes possible, or sign-extends to byteLength
+ */
+function decimalToBytes(unscaled, byteLength = 0) {
+  const bytes = [];
+  let remaining = unscaled;
+  do {
+    bytes.unshift(Number(BigInt.asUintN(8, remaining)));
+    remaining >>= 8n;
+  } while (
+    !(remaining === 0n && (bytes[0] & 0x80) === 0)
+    && !(remaining === -1n && (bytes[0] & 0x80) !== 0)
+  );
+  while (bytes.length < byteLength) {
+    bytes.unshift(unscaled < 0n ? 0xff : 0x00);
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Returns the number of bytes a two's complement decimal of the given
+ * precision needs
+ */
+function decimalByteLength(precision) {
+  return Math.ceil((precision * Math.log2(10) + 1) / 8);
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  TYPE_OIDS,
+  columnTypeFromField,
+  decimalByteLength,
+  decimalToBytes,
+  decodeNumericTypmod,
+  describeColumns,
+  toColumnValue,
+  toUnscaledDecimal,
+};
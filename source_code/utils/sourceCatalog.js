@@ -0,0 +1,128 @@
+const { ColumnCatalog } = require('./columnCatalog');
+const { sourceRelation } = require('./query');
+
+/**
+ * Exportable tables and views
+ * Sources come from an allowlist of comma-separated entries: a table or
+ * view (`orders`), a schema-qualified one (`analytics.events`) or every
+ * relation of a schema (`analytics.*`), each optionally followed by the
+ * ordering key its cursor reads in (`orders:order_id`). Sources without a
+ * configured key are read in the order of their single-column primary key
+ */
+
+// Exported when EXPORT_SOURCES is not set
+const DEFAULT_SOURCES = 'records:id';
+
+const NAME_PART_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Splits a source name into { schema, table }; null when malformed
+function parseSourceName(name) {
+  const parts = name.split('.');
+  if (parts.length > 2 || !parts.every(part => NAME_PART_PATTERN.test(part))) {
+    return null;
+  }
+  return parts.length === 2 ? { schema: parts[0], table: parts[1] } : { schema: null, table: parts[0] };
+}
+
+/**
+ * Parses an EXPORT_SOURCES allowlist into [{ name, schema, table, orderBy }]
+ * `table` is '*' for whole-schema entries
+ * Throws on malformed entries
+ */
+function parseSourceAllowlist(spec) {
+  const entries = spec.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const [name, orderBy = null, ...rest] = entry.split(':');
+    const wildcard = /^([A-Za-z_][A-Za-z0-9_]*)\.\*$/.exec(name);
+    const parsed = wildcard ? { schema: wildcard[1], table: '*' } : parseSourceName(name);
+
+    if (!parsed || rest.length > 0 || (orderBy !== null && !NAME_PART_PATTERN.test(orderBy))) {
+      throw new Error(`Invalid export source "${entry}"`);
+    }
+    return { name, ...parsed, orderBy };
+  });
+
+  if (entries.length === 0) {
+    throw new Error('No export sources configured');
+  }
+  return entries;
+}
+
+/**
+ * Allowlisted export sources, with a column catalog and ordering key for
+ * each, loaded on first use
+ * The first entry naming a single relation is exported when a request
+ * names no source
+ */
+class SourceCatalog {
+  constructor(pool, allowlist = process.env.EXPORT_SOURCES || DEFAULT_SOURCES) {
+    this.pool = pool;
+    this.entries = parseSourceAllowlist(allowlist);
+    this.catalogs = new Map();
+    this.orderingKeys = new Map();
+
+    const first = this.entries.find(entry => entry.table !== '*');
+    this.defaultSource = first ? first.name : null;
+  }
+
+  /**
+   * Returns the allowlist entry covering a source name, or null when the
+   * source is not allowed
+   */
+  entryFor(name) {
+    const parsed = typeof name === 'string' ? parseSourceName(name) : null;
+    if (!parsed) {
+      return null;
+    }
+    return this.entries.find(entry => entry.name === name)
+      || this.entries.find(entry => entry.table === '*' && parsed.schema === entry.schema)
+      || null;
+  }
+
+  /**
+   * Allowlist entries as configured, for error messages
+   */
+  names() {
+    return this.entries.map(entry => entry.name);
+  }
+
+  /**
+   * Returns the loaded column catalog of an allowed source
+   * Throws RelationNotFoundError when the relation does not exist
+   */
+  async columns(name) {
+    if (!this.catalogs.has(name)) {
+      const { schema, table } = parseSourceName(name);
+      this.catalogs.set(name, new ColumnCatalog(this.pool, table, schema));
+    }
+    return this.catalogs.get(name).ensureLoaded();
+  }
+
+  /**
+   * Returns the ordering key of an allowed source: the configured one,
+   * else its single-column primary key, else null (views have none)
+   */
+  async orderingKey(name) {
+    const { orderBy } = this.entryFor(name);
+    if (orderBy) {
+      return orderBy;
+    }
+
+    if (!this.orderingKeys.has(name)) {
+      const result = await this.pool.query(
+        `SELECT a.attname AS column_name
+           FROM pg_index i
+           JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+          WHERE i.indisprimary AND i.indrelid = $1::regclass`,
+        [sourceRelation({ name })],
+      );
+      this.orderingKeys.set(name, result.rows.length === 1 ? result.rows[0].column_name : null);
+    }
+    return this.orderingKeys.get(name);
+  }
+}
+
+module.exports = {
+  DEFAULT_SOURCES,
+  SourceCatalog,
+  parseSourceAllowlist,
+};
@@ -0,0 +1,19 @@
+/**
+ * Quotes an SQL identifier, doubling any embedded double quotes
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quotes an SQL string literal, doubling any embedded single quotes
+ * Relies on standard_conforming_strings (the PostgreSQL default)
+ */
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+module.exports = {
+  quoteIdentifier,
+  quoteLiteral,
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Directory where finished exports are materialized
+const STORAGE_DIR = process.env.EXPORT_STORAGE_DIR || path.join(os.tmpdir(), 'exports');
+
+// Jobs are refused while the storage area has less free space than this;
+// 0 disables the check
+const MIN_FREE_BYTES = process.env.EXPORT_MIN_FREE_BYTES !== undefined
+  ? Number(process.env.EXPORT_MIN_FREE_BYTES)
+  : 1024 * 1024 * 1024;
+
+// Lists the parts of a split export, next to them in its directory
+const MANIFEST_FILE = 'manifest.json';
+
+class InsufficientStorageError extends Error {
+  constructor(freeBytes) {
+    super(`Not enough free space for exports: ${freeBytes} bytes free, ${MIN_FREE_BYTES} required`);
+    this.name = 'InsufficientStorageError';
+    this.freeBytes = freeBytes;
+  }
+}
+
+/**
+ * Creates the storage directory if it does not exist yet
+ */
+async function ensureStorageDir() {
+  await fs.promises.mkdir(STORAGE_DIR, { recursive: true });
+  return STORAGE_DIR;
+}
+
+/**
+ * Returns the bytes available to this process in the storage area
+ */
+async function freeStorageBytes() {
+  await ensureStorageDir();
+  const { bavail, bsize } = await fs.promises.statfs(STORAGE_DIR);
+  return bavail * bsize;
+}
+
+/**
+ * Throws InsufficientStorageError when free space in the storage area is
+ * below EXPORT_MIN_FREE_BYTES
+ */
+async function ensureFreeSpace() {
+  if (MIN_FREE_BYTES <= 0) {
+    return;
+  }
+  const freeBytes = await freeStorageBytes();
+  if (freeBytes < MIN_FREE_BYTES) {
+    throw new InsufficientStorageError(freeBytes);
+  }
+}
+
+/**
+ * Returns the storage path for an export's output file
+ */
+function exportFilePath(exportId, extension) {
+  return path.join(STORAGE_DIR, `export-${exportId}.${extension}`);
+}
+
+/**
+ * Returns the storage directory for an export split into part files
+ */
+function exportDirPath(exportId) {
+  return path.join(STORAGE_DIR, `export-${exportId}`);
+}
+
+/**
+ * Returns the file name of a part inside an export's directory
+ */
+function partFileName(index, extension) {
+  return `part-${String(index).padStart(5, '0')}.${extension}`;
+}
+
+/**
+ * Removes a stored file or part directory, ignoring ones already gone
+ */
+async function removeStoredFile(filePath) {
+  await fs.promises.rm(filePath, { recursive: true, force: true });
+}
+
+module.exports = {
+  InsufficientStorageError,
+  MANIFEST_FILE,
+  MIN_FREE_BYTES,
+  STORAGE_DIR,
+  ensureFreeSpace,
+  ensureStorageDir,
+  freeStorageBytes,
+  exportDirPath,
+  exportFilePath,
+  partFileName,
+  removeStoredFile,
+};
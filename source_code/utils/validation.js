@@ -0,0 +1,14 @@
+/**
+ * Checks shared by the validators of export request options
+ */
+
+/**
+ * Whether a parsed JSON value is an object, rather than null or an array
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  isPlainObject,
+};
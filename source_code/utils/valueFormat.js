@@ -0,0 +1,423 @@
+const { TYPE_OIDS } = require('./schemaInference');
+const { isPlainObject } = require('./validation');
+
+/**
+ * Value formatting settings accepted as valueFormat on POST /exports
+ * They apply to formats registered with formatsValues (CSV, JSON, NDJSON,
+ * XML and Parquet): the cursor reader formats every batch before the
+ * writer sees it, so all of them render a setting the same way
+ *
+ *   timestamps - "iso", "epoch" (seconds), "epochMillis" or a pattern of
+ *                yyyy MM dd HH mm ss SSS XXX and 'quoted' text
+ *   timezone   - IANA time zone timestamps are written in, default UTC
+ *   decimals   - digits after the decimal point of non-integer numbers,
+ *                rounded half away from zero
+ *   numbers    - "native", "number" or "string"
+ *   booleans   - "native", "number" (1 and 0) or [trueText, falseText]
+ *
+ * Settings that are not given leave values as each format writes them by
+ * default. columns overrides them per target column
+ */
+
+const TIMESTAMP_MODES = ['iso', 'epoch', 'epochMillis'];
+const NUMBER_MODES = ['native', 'number', 'string'];
+const BOOLEAN_MODES = ['native', 'number'];
+
+const SETTING_KEYS = ['timestamps', 'timezone', 'decimals', 'numbers', 'booleans'];
+const MAX_DECIMALS = 38;
+const MAX_PATTERN_LENGTH = 64;
+const MAX_BOOLEAN_TEXT_LENGTH = 32;
+
+const PATTERN_TOKEN = /yyyy|MM|dd|HH|mm|ss|SSS|XXX|'[^']*'|[A-Za-z]/g;
+const PATTERN_FIELDS = ['yyyy', 'MM', 'dd', 'HH', 'mm', 'ss', 'SSS', 'XXX'];
+
+/**
+ * A number rendered from its exact decimal text
+ * Writers print it as is: JSON as a number token rather than a string,
+ * text formats and Parquet through toString()
+ */
+class NumberText {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Splits a timestamp pattern into field tokens and literal text
+ * Returns null when the pattern holds a letter that is not a field
+ */
+function parsePattern(pattern) {
+  const parts = [];
+  let last = 0;
+  for (const match of pattern.matchAll(PATTERN_TOKEN)) {
+    if (match.index > last) parts.push({ literal: pattern.slice(last, match.index) });
+    const [token] = match;
+    if (token.startsWith("'")) {
+      parts.push({ literal: token.slice(1, -1) });
+    } else if (PATTERN_FIELDS.includes(token)) {
+      parts.push({ field: token });
+    } else {
+      return null;
+    }
+    last = match.index + token.length;
+  }
+  if (last < pattern.length) parts.push({ literal: pattern.slice(last) });
+  return parts;
+}
+
+function isTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Validates one level of settings (the export's or a column's)
+ * Returns an error message, or null
+ */
+function settingsError(settings, prefix) {
+  const { timestamps, timezone, decimals, numbers, booleans } = settings;
+
+  if (timestamps !== undefined && !TIMESTAMP_MODES.includes(timestamps)) {
+    const pattern = typeof timestamps === 'string' && timestamps.length <= MAX_PATTERN_LENGTH
+      ? parsePattern(timestamps)
+      : null;
+    if (!pattern || !pattern.some(part => part.field)) {
+      return `${prefix}.timestamps must be one of: ${TIMESTAMP_MODES.join(', ')}, or a pattern of `
+        + `${PATTERN_FIELDS.join(' ')} and 'quoted' text`;
+    }
+  }
+  if (timezone !== undefined && (typeof timezone !== 'string' || !isTimeZone(timezone))) {
+    return `${prefix}.timezone must be an IANA time zone such as "Europe/Berlin"`;
+  }
+  if (decimals !== undefined && decimals !== null
+    && !(Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DECIMALS)) {
+    return `${prefix}.decimals must be an integer between 0 and ${MAX_DECIMALS}, or null`;
+  }
+  if (numbers !== undefined && !NUMBER_MODES.includes(numbers)) {
+    return `${prefix}.numbers must be one of: ${NUMBER_MODES.join(', ')}`;
+  }
+  if (booleans !== undefined && !BOOLEAN_MODES.includes(booleans)) {
+    const pair = Array.isArray(booleans) && booleans.length === 2
+      && booleans.every(text => typeof text === 'string' && text.length <= MAX_BOOLEAN_TEXT_LENGTH)
+      && booleans[0] !== booleans[1];
+    if (!pair) {
+      return `${prefix}.booleans must be one of: ${BOOLEAN_MODES.join(', ')}, or two different texts [true, false]`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates a valueFormat object from an export request
+ * columnMap is the request's columns
+ * Returns an error message, or null when the settings are valid
+ */
+function validateValueFormat(options, columnMap = []) {
+  if (!isPlainObject(options)) {
+    return 'valueFormat must be an object';
+  }
+
+  const unknown = Object.keys(options).find(key => ![...SETTING_KEYS, 'columns'].includes(key));
+  if (unknown) {
+    return `Unknown valueFormat option "${unknown}"`;
+  }
+  const error = settingsError(options, 'valueFormat');
+  if (error || options.columns === undefined) {
+    return error;
+  }
+
+  if (!isPlainObject(options.columns)) {
+    return 'valueFormat.columns must be an object keyed by target column name';
+  }
+  for (const [target, settings] of Object.entries(options.columns)) {
+    const column = columnMap.find(col => col.target === target);
+    if (!column) {
+      return `valueFormat.columns: unknown target column "${target}"`;
+    }
+    if (!isPlainObject(settings)) {
+      return `valueFormat.columns.${target} must be an object`;
+    }
+    const unknownSetting = Object.keys(settings).find(key => !SETTING_KEYS.includes(key));
+    if (unknownSetting) {
+      return `Unknown valueFormat.columns.${target} option "${unknownSetting}"`;
+    }
+    const columnError = settingsError(settings, `valueFormat.columns.${target}`);
+    if (columnError) {
+      return columnError;
+    }
+    // Rows are keyed by source, so a source holds one formatted value
+    if (columnMap.some(col => col.source === column.source && col.target !== target)) {
+      return `valueFormat.columns.${target}: source "${column.source}" is exported by another column too`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the validated valueFormat as recorded on the job
+ * Only the settings given are recorded, since the others keep each
+ * format's own rendering
+ */
+function resolveValueFormat(options = {}) {
+  return { ...options, columns: { ...(options && options.columns) } };
+}
+
+/**
+ * Settings of one target column: the export's, overridden by the column's
+ */
+function columnSettings(valueFormat, target) {
+  const { columns = {}, ...exportSettings } = valueFormat || {};
+  return { ...exportSettings, ...columns[target] };
+}
+
+/**
+ * Rounds decimal text to `places` digits after the point, half away from
+ * zero, padding with zeros; other text (NaN, Infinity) is left alone
+ */
+function roundDecimal(text, places) {
+  const match = /^(-?)(\d+)(?:\.(\d*))?$/.exec(text);
+  if (!match) {
+    return text;
+  }
+  const [, sign, integer, fraction = ''] = match;
+
+  let digits = BigInt(`${integer}${fraction.padEnd(places, '0').slice(0, places)}`);
+  if (fraction.length > places && fraction[places] >= '5') {
+    digits += 1n;
+  }
+  const padded = digits.toString().padStart(places + 1, '0');
+  const rounded = places > 0 ? `${padded.slice(0, -places)}.${padded.slice(-places)}` : padded;
+  return digits === 0n ? rounded : `${sign}${rounded}`;
+}
+
+// Exact decimal text of a number as returned by pg (string or number)
+function decimalText(value) {
+  const text = String(value);
+  return /e/i.test(text) && Number.isFinite(value) ? Number(value).toFixed(20).replace(/\.?0+$/, '') : text;
+}
+
+/**
+ * Date and time fields of an instant in a time zone, with its UTC offset
+ * in minutes
+ */
+function zonedFields(date, timeFormat) {
+  const fields = {};
+  for (const { type, value } of timeFormat.formatToParts(date)) {
+    fields[type] = value;
+  }
+  const wallClock = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  const offset = Math.round((wallClock - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+  return {
+    yyyy: fields.year,
+    MM: fields.month,
+    dd: fields.day,
+    HH: fields.hour,
+    mm: fields.minute,
+    ss: fields.second,
+    SSS: String(date.getUTCMilliseconds()).padStart(3, '0'),
+    offset,
+  };
+}
+
+function formatOffset(minutes) {
+  if (minutes === 0) {
+    return 'Z';
+  }
+  const abs = Math.abs(minutes);
+  const hours = String(Math.floor(abs / 60)).padStart(2, '0');
+  return `${minutes < 0 ? '-' : '+'}${hours}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Fields of a calendar day; pg reads dates as local midnight
+function dayFields(date) {
+  return {
+    yyyy: String(date.getFullYear()).padStart(4, '0'),
+    MM: String(date.getMonth() + 1).padStart(2, '0'),
+    dd: String(date.getDate()).padStart(2, '0'),
+    HH: '00',
+    mm: '00',
+    ss: '00',
+    SSS: '000',
+    offset: 0,
+  };
+}
+
+function fillPattern(parts, fields) {
+  return parts.map(part => {
+    if (part.literal !== undefined) return part.literal;
+    return part.field === 'XXX' ? formatOffset(fields.offset) : fields[part.field];
+  }).join('');
+}
+
+/**
+ * Returns the function formatting the values of a date or timestamp
+ * column, or null when its settings leave them alone
+ */
+function timestampFormatter({ timestamps, timezone }, isDate) {
+  if (timestamps === undefined && timezone === undefined) {
+    return null;
+  }
+  const mode = timestamps === undefined ? 'iso' : timestamps;
+
+  if (mode === 'epoch' || mode === 'epochMillis') {
+    const scale = mode === 'epoch' ? 1000 : 1;
+    return (date) => {
+      const millis = isDate ? Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) : date.getTime();
+      return millis / scale;
+    };
+  }
+
+  const parts = mode === 'iso'
+    ? parsePattern(isDate ? 'yyyy-MM-dd' : "yyyy-MM-dd'T'HH:mm:ss.SSSXXX")
+    : parsePattern(mode);
+  if (isDate) {
+    return date => fillPattern(parts, dayFields(date));
+  }
+  const timeFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+  return date => fillPattern(parts, zonedFields(date, timeFormat));
+}
+
+/**
+ * Returns the function formatting the values of a numeric column, or
+ * null when its settings leave them alone
+ * Integers have no decimals to round
+ */
+function numberFormatter({ decimals: places = null, numbers = 'native' }, isInteger) {
+  const decimals = isInteger ? null : places;
+  if (decimals === null && numbers === 'native') {
+    return null;
+  }
+  return (value) => {
+    let text = decimalText(value);
+    if (decimals !== null) text = roundDecimal(text, decimals);
+
+    const finite = /^-?\d/.test(text);
+    if (numbers === 'string' || !finite) return text;
+    // Native numbers stay numbers; pg returns bigint and numeric as text
+    if (numbers === 'native' && typeof value === 'string') return text;
+    return new NumberText(text);
+  };
+}
+
+function booleanFormatter({ booleans = 'native' }) {
+  if (booleans === 'native') {
+    return null;
+  }
+  if (booleans === 'number') {
+    return value => (value ? 1 : 0);
+  }
+  return value => (value ? booleans[0] : booleans[1]);
+}
+
+// Column type (see schemaInference) of a result field, or of the first
+// non-NULL value when the driver gave no field
+function valueType(field, rows, source) {
+  if (field && TYPE_OIDS[field.dataTypeID]) {
+    return TYPE_OIDS[field.dataTypeID];
+  }
+  const row = rows.find(candidate => candidate[source] !== null && candidate[source] !== undefined);
+  const value = row && row[source];
+  if (value instanceof Date) return 'timestamp';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return 'double';
+  return 'string';
+}
+
+function formatterFor(type, settings) {
+  switch (type) {
+    case 'date':
+    case 'timestamp':
+      return timestampFormatter(settings, type === 'date');
+    case 'int32':
+    case 'int64':
+      return numberFormatter(settings, true);
+    case 'double':
+    case 'decimal':
+      return numberFormatter(settings, false);
+    case 'boolean':
+      return booleanFormatter(settings);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Creates the formatter of an export's batches
+ * formatRows(rows, fields) returns the rows with the values of formatted
+ * columns replaced; column types come from the result fields of the
+ * first batch (or its values)
+ */
+function createValueFormatter(columnMap, valueFormat) {
+  let formatters = null;
+
+  return {
+    formatRows(rows, fields = []) {
+      if (!formatters) {
+        formatters = columnMap.map(({ source, target }, index) => {
+          const field = fields.find(candidate => candidate.name === source) || fields[index];
+          const format = formatterFor(valueType(field, rows, source), columnSettings(valueFormat, target));
+          return format && { source, format };
+        }).filter(Boolean);
+      }
+      if (formatters.length === 0) {
+        return rows;
+      }
+
+      return rows.map((row) => {
+        const formatted = { ...row };
+        for (const { source, format } of formatters) {
+          const value = row[source];
+          if (value !== null && value !== undefined) formatted[source] = format(value);
+        }
+        return formatted;
+      });
+    },
+  };
+}
+
+/**
+ * Column type (see schemaInference) a column of `type` is written as with
+ * its settings, for writers with typed schemas
+ */
+function formattedColumnType(type, settings) {
+  if (!formatterFor(type, settings)) {
+    return type;
+  }
+  switch (type) {
+    case 'date':
+    case 'timestamp':
+      if (settings.timestamps === 'epoch') return 'double';
+      return settings.timestamps === 'epochMillis' ? 'int64' : 'string';
+    case 'boolean':
+      return settings.booleans === 'number' ? 'int32' : 'string';
+    default:
+      return settings.numbers === 'string' ? 'string' : type;
+  }
+}
+
+module.exports = {
+  NumberText,
+  columnSettings,
+  createValueFormatter,
+  formattedColumnType,
+  resolveValueFormat,
+  roundDecimal,
+  validateValueFormat,
+};
@@ -0,0 +1,65 @@
+/**
+ * XML names for column targets and JSONB keys
+ * Names that are not valid XML names (NCNames: no colons, not starting
+ * with a digit, "-" or "." and without spaces or punctuation) are encoded
+ * the way .NET's XmlConvert.EncodeName does: every offending character
+ * becomes _xHHHH_ (_xHHHHHHHH_ above U+FFFF), its code point in hex, so
+ * "1st name" is written as _x0031_st_x0020_name. An underscore followed by
+ * "x" is encoded too, which makes the mapping reversible (decodeXmlName)
+ */
+
+const NAME_START_CHAR = /[\p{L}_]/u;
+const NAME_CHAR = /[\p{L}\p{M}\p{N}._-]/u;
+const ENCODED_CHAR = /_x([0-9A-F]{4}|[0-9A-F]{8})_/g;
+
+// Stands for the empty name, which no encoding of a character produces
+const EMPTY_NAME = '_x_';
+
+/**
+ * Whether `name` can be used as an element or attribute name as is
+ */
+function isXmlName(name) {
+  if (typeof name !== 'string' || name.length === 0) {
+    return false;
+  }
+  const chars = [...name];
+  return NAME_START_CHAR.test(chars[0]) && chars.slice(1).every(char => NAME_CHAR.test(char));
+}
+
+function encodeChar(char) {
+  const hex = char.codePointAt(0).toString(16).toUpperCase();
+  return `_x${hex.padStart(hex.length > 4 ? 8 : 4, '0')}_`;
+}
+
+/**
+ * Returns `name` as a valid XML name, unchanged when it already is one
+ */
+function encodeXmlName(name) {
+  if (name === '') {
+    return EMPTY_NAME;
+  }
+  const chars = [...name];
+  return chars.map((char, i) => {
+    if (char === '_' && chars[i + 1] === 'x') {
+      return encodeChar(char);
+    }
+    const valid = i === 0 ? NAME_START_CHAR.test(char) : NAME_CHAR.test(char);
+    return valid ? char : encodeChar(char);
+  }).join('');
+}
+
+/**
+ * Returns the original name of an encoded XML name
+ */
+function decodeXmlName(name) {
+  if (name === EMPTY_NAME) {
+    return '';
+  }
+  return name.replace(ENCODED_CHAR, (match, hex) => String.fromCodePoint(parseInt(hex, 16)));
+}
+
+module.exports = {
+  decodeXmlName,
+  encodeXmlName,
+  isXmlName,
+};
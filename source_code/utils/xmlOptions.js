@@ -0,0 +1,188 @@
+const { encodeXmlName, isXmlName } = require('./xmlNames');
+const { isPlainObject } = require('./validation');
+
+/**
+ * XML document settings accepted as xmlOptions on POST /exports
+ * The job keeps them with the defaults merged in; the XSD served for the job
+ * is built from that same copy, so it always matches the document
+ */
+
+// How NULL is written for element columns; attribute columns leave the
+// attribute out
+//   empty - an empty element, <name/>
+//   nil   - <name xsi:nil="true"/>, which the schema declares nillable
+const XML_NULL_MODES = ['empty', 'nil'];
+
+const XML_COLUMN_MODES = ['element', 'attribute'];
+
+const MAX_NAMESPACE_LENGTH = 2048;
+
+const DEFAULT_XML_OPTIONS = {
+  rootElement: 'records',
+  rowElement: 'record',
+  namespace: null,
+  namespacePrefix: null,
+  cdata: false,
+  nulls: 'empty',
+};
+
+const OPTION_KEYS = [...Object.keys(DEFAULT_XML_OPTIONS), 'columns'];
+const COLUMN_OPTION_KEYS = ['as', 'cdata'];
+
+/**
+ * Validates the per-column settings, keyed by target column name
+ * columnTypes maps each target to its information_schema data type, and
+ * targets lists the export's column targets in order, repeats included
+ */
+function columnOptionsError(columns, columnTypes, targets) {
+  if (!isPlainObject(columns)) {
+    return 'xmlOptions.columns must be an object keyed by target column name';
+  }
+
+  for (const [target, settings] of Object.entries(columns)) {
+    if (!Object.prototype.hasOwnProperty.call(columnTypes, target)) {
+      return `xmlOptions.columns: unknown target column "${target}"`;
+    }
+    if (!isPlainObject(settings)) {
+      return `xmlOptions.columns.${target} must be an object`;
+    }
+
+    const unknown = Object.keys(settings).find(key => !COLUMN_OPTION_KEYS.includes(key));
+    if (unknown) {
+      return `Unknown xmlOptions.columns.${target} option "${unknown}"`;
+    }
+
+    if (settings.as !== undefined && !XML_COLUMN_MODES.includes(settings.as)) {
+      return `xmlOptions.columns.${target}.as must be one of: ${XML_COLUMN_MODES.join(', ')}`;
+    }
+    if (settings.cdata !== undefined && typeof settings.cdata !== 'boolean') {
+      return `xmlOptions.columns.${target}.cdata must be a boolean`;
+    }
+    if (settings.as === 'attribute') {
+      if (['json', 'jsonb'].includes(columnTypes[target])) {
+        return `xmlOptions.columns.${target}: json and jsonb columns cannot be attributes`;
+      }
+      if (settings.cdata) {
+        return `xmlOptions.columns.${target}: attributes cannot hold CDATA`;
+      }
+    }
+  }
+
+  // A row element cannot carry two attributes of the same name
+  const attributeNames = targets
+    .filter(target => columns[target] && columns[target].as === 'attribute')
+    .map(encodeXmlName);
+  const duplicate = attributeNames.find((name, i) => attributeNames.indexOf(name) !== i);
+  if (duplicate) {
+    return `xmlOptions.columns: more than one attribute column would be named "${duplicate}"`;
+  }
+  return null;
+}
+
+/**
+ * Validates an xmlOptions object from an export request
+ * Returns an error message, or null when the options are valid
+ * targets are the export's column targets (see columnOptionsError)
+ */
+function validateXmlOptions(options, columnTypes = {}, targets = Object.keys(columnTypes)) {
+  if (!isPlainObject(options)) {
+    return 'xmlOptions must be an object';
+  }
+
+  const unknown = Object.keys(options).find(key => !OPTION_KEYS.includes(key));
+  if (unknown) {
+    return `Unknown xmlOptions option "${unknown}"`;
+  }
+
+  const {
+    rootElement, rowElement, namespace, namespacePrefix, cdata, nulls, columns,
+  } = options;
+
+  for (const [name, value] of Object.entries({ rootElement, rowElement })) {
+    if (value !== undefined && !isXmlName(value)) {
+      return `xmlOptions.${name} must be a valid XML name without a prefix`;
+    }
+  }
+  if (namespace !== undefined && namespace !== null) {
+    if (typeof namespace !== 'string' || namespace.length === 0 || namespace.length > MAX_NAMESPACE_LENGTH
+      || /\s/.test(namespace)) {
+      return `xmlOptions.namespace must be a URI of at most ${MAX_NAMESPACE_LENGTH} characters`;
+    }
+  }
+  if (namespacePrefix !== undefined && namespacePrefix !== null) {
+    if (!isXmlName(namespacePrefix) || namespacePrefix.toLowerCase().startsWith('xml')) {
+      return 'xmlOptions.namespacePrefix must be a valid XML name not starting with "xml"';
+    }
+    if (!namespace) {
+      return 'xmlOptions.namespacePrefix requires xmlOptions.namespace';
+    }
+  }
+  if (cdata !== undefined && typeof cdata !== 'boolean') {
+    return 'xmlOptions.cdata must be a boolean';
+  }
+  if (nulls !== undefined && !XML_NULL_MODES.includes(nulls)) {
+    return `xmlOptions.nulls must be one of: ${XML_NULL_MODES.join(', ')}`;
+  }
+  if (columns !== undefined) {
+    return columnOptionsError(columns, columnTypes, targets);
+  }
+  return null;
+}
+
+/**
+ * Returns the effective settings of validated xmlOptions, with the
+ * defaults filled in
+ */
+function resolveXmlOptions(options = {}) {
+  return {
+    ...DEFAULT_XML_OPTIONS,
+    ...options,
+    columns: { ...(options && options.columns) },
+  };
+}
+
+/**
+ * Names of the document's elements and attributes for a column map and
+ * resolved xmlOptions, shared by the XML writer and its schema
+ * Element names carry the namespace prefix, if any; attributes are
+ * unqualified. Column targets are encoded into valid XML names
+ */
+function createXmlLayout(columnMap, xmlOptions) {
+  const { namespacePrefix, columns } = xmlOptions;
+  const qualify = name => (namespacePrefix ? `${namespacePrefix}:${name}` : name);
+
+  const attributes = [];
+  const elements = [];
+  for (const { source, target } of columnMap) {
+    const settings = columns[target] || {};
+    const name = encodeXmlName(target);
+    if (settings.as === 'attribute') {
+      attributes.push({ source, target, name });
+    } else {
+      elements.push({
+        source,
+        target,
+        localName: name,
+        name: qualify(name),
+        cdata: settings.cdata !== undefined ? settings.cdata : xmlOptions.cdata,
+      });
+    }
+  }
+
+  return {
+    options: xmlOptions,
+    qualify,
+    root: qualify(xmlOptions.rootElement),
+    row: qualify(xmlOptions.rowElement),
+    attributes,
+    elements,
+  };
+}
+
+module.exports = {
+  DEFAULT_XML_OPTIONS,
+  XML_NULL_MODES,
+  createXmlLayout,
+  resolveXmlOptions,
+  validateXmlOptions,
+};
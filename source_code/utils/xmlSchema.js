@@ -0,0 +1,161 @@
+const { createXmlLayout, resolveXmlOptions } = require('./xmlOptions');
+const { escapeXml } = require('../streaming/xmlWriter');
+const { columnSettings } = require('./valueFormat');
+
+/**
+ * XML Schema (XSD) of an XML export
+ * Built from the job's columns, their information_schema types, its
+ * xmlOptions and valueFormat, so it describes the document the XML writer
+ * produces
+ */
+
+// information_schema data type -> XSD built-in type; others are strings
+const XSD_TYPES = {
+  smallint: 'xs:short',
+  integer: 'xs:int',
+  bigint: 'xs:long',
+  numeric: 'xs:decimal',
+  real: 'xs:float',
+  'double precision': 'xs:double',
+  boolean: 'xs:boolean',
+  // node-postgres reads dates as timestamps too
+  date: 'xs:dateTime',
+  'timestamp without time zone': 'xs:dateTime',
+  'timestamp with time zone': 'xs:dateTime',
+};
+
+const JSON_TYPES = ['json', 'jsonb'];
+const TIMESTAMP_TYPES = ['date', 'timestamp without time zone', 'timestamp with time zone'];
+
+/**
+ * XSD type of a column's values as formatted by its valueFormat settings
+ * Numbers keep their type whether written as numbers or strings, and 1
+ * and 0 are xs:boolean too
+ */
+function xsdType(dataType, settings = {}) {
+  const { timestamps, timezone } = settings;
+  if (TIMESTAMP_TYPES.includes(dataType) && (timestamps !== undefined || timezone !== undefined)) {
+    if (timestamps === 'epoch') return 'xs:double';
+    if (timestamps === 'epochMillis') return 'xs:long';
+    if (timestamps !== undefined && timestamps !== 'iso') return 'xs:string';
+    return dataType === 'date' ? 'xs:date' : 'xs:dateTime';
+  }
+  if (dataType === 'boolean' && Array.isArray(settings.booleans)) {
+    return 'xs:string';
+  }
+  return XSD_TYPES[dataType] || 'xs:string';
+}
+
+// Records the target column of a renamed element or attribute
+function annotationLines(target, name) {
+  if (name === target) {
+    return [];
+  }
+  return [`  <xs:annotation><xs:documentation>Column "${escapeXml(target)}"</xs:documentation></xs:annotation>`];
+}
+
+// Writes a declaration as one empty tag, or with its children
+function declaration(open, close, children) {
+  return children.length > 0 ? [`${open}>`, ...children, close] : [`${open}/>`];
+}
+
+/**
+ * Declares one element column
+ * NULL is an empty element with nulls "empty", so nullable columns of
+ * other than string types also accept the empty string; with nulls "nil"
+ * they are nillable instead. JSONB is declared as any content
+ */
+function elementLines({ localName, target }, { dataType, nullable }, nulls, settings) {
+  const nillable = nullable && nulls === 'nil' ? ' nillable="true"' : '';
+  const children = annotationLines(target, localName);
+  const type = xsdType(dataType, settings);
+  let open = `<xs:element name="${localName}"${nillable}`;
+
+  if (JSON_TYPES.includes(dataType)) {
+    children.push(
+      '  <xs:complexType mixed="true">',
+      '    <xs:sequence>',
+      '      <xs:any minOccurs="0" maxOccurs="unbounded" processContents="skip"/>',
+      '    </xs:sequence>',
+      '  </xs:complexType>',
+    );
+  } else if (nullable && nulls === 'empty' && type !== 'xs:string') {
+    children.push(
+      '  <xs:simpleType>',
+      `    <xs:union memberTypes="${type}">`,
+      '      <xs:simpleType>',
+      '        <xs:restriction base="xs:string"><xs:length value="0"/></xs:restriction>',
+      '      </xs:simpleType>',
+      '    </xs:union>',
+      '  </xs:simpleType>',
+    );
+  } else {
+    open += ` type="${type}"`;
+  }
+  return declaration(open, '</xs:element>', children);
+}
+
+function attributeLines({ name, target }, { dataType, nullable }, settings) {
+  const open = `<xs:attribute name="${name}" type="${xsdType(dataType, settings)}" use="${nullable ? 'optional' : 'required'}"`;
+  return declaration(open, '</xs:attribute>', annotationLines(target, name));
+}
+
+function indent(lines, depth) {
+  return lines.map(line => `${' '.repeat(depth)}${line}`);
+}
+
+/**
+ * Returns the XSD document of an XML export
+ * columnTypes maps each target column to { dataType, nullable }; columns
+ * of unknown nullability should be given as nullable
+ */
+function buildXmlSchema(columnMap, columnTypes, xmlOptions, valueFormat) {
+  const options = resolveXmlOptions(xmlOptions);
+  const layout = createXmlLayout(columnMap, options);
+  const { namespace, namespacePrefix, nulls } = options;
+
+  let schemaAttributes = 'xmlns:xs="http://www.w3.org/2001/XMLSchema"';
+  if (namespace) {
+    const uri = escapeXml(namespace);
+    schemaAttributes += ` targetNamespace="${uri}" ${namespacePrefix ? `xmlns:${namespacePrefix}` : 'xmlns'}="${uri}"`
+      + ' elementFormDefault="qualified"';
+  }
+
+  const rowType = [
+    '<xs:complexType>',
+    '  <xs:sequence>',
+    ...indent(layout.elements.flatMap(column => elementLines(
+      column,
+      columnTypes[column.target],
+      nulls,
+      columnSettings(valueFormat, column.target),
+    )), 4),
+    '  </xs:sequence>',
+    ...indent(layout.attributes.flatMap(column => attributeLines(
+      column,
+      columnTypes[column.target],
+      columnSettings(valueFormat, column.target),
+    )), 2),
+    '</xs:complexType>',
+  ];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xs:schema ${schemaAttributes}>`,
+    `  <xs:element name="${options.rootElement}">`,
+    '    <xs:complexType>',
+    '      <xs:sequence>',
+    `        <xs:element name="${options.rowElement}" minOccurs="0" maxOccurs="unbounded">`,
+    ...indent(rowType, 10),
+    '        </xs:element>',
+    '      </xs:sequence>',
+    '    </xs:complexType>',
+    '  </xs:element>',
+    '</xs:schema>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  buildXmlSchema,
+};
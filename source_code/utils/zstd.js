@@ -0,0 +1,80 @@
+const { Transform } = require('stream');
+const zstd = require('@bokuweb/zstd-wasm');
+
+// Zstandard level used when none is given
+const DEFAULT_ZSTD_LEVEL = 3;
+
+// Input collected into each frame of a ZstdCompressStream
+const FRAME_SIZE = 1024 * 1024;
+
+let loading = null;
+
+/**
+ * Loads the zstd WebAssembly module once, sharing the load between callers
+ */
+function loadZstd() {
+  if (!loading) {
+    loading = zstd.init();
+  }
+  return loading;
+}
+
+/**
+ * Compresses a buffer into a single Zstandard frame
+ */
+async function zstdCompress(buffer, level = DEFAULT_ZSTD_LEVEL) {
+  await loadZstd();
+  return Buffer.from(zstd.compress(buffer, level));
+}
+
+/**
+ * Decompresses a single Zstandard frame
+ */
+async function zstdDecompress(buffer) {
+  await loadZstd();
+  return Buffer.from(zstd.decompress(buffer));
+}
+
+/**
+ * Streaming Zstandard compressor
+ * The WebAssembly build only compresses whole buffers, so input is collected
+ * into FRAME_SIZE chunks and each is written as its own frame; a sequence of
+ * frames is a valid zstd stream that decoders read as one
+ */
+class ZstdCompressStream extends Transform {
+  constructor(level = DEFAULT_ZSTD_LEVEL) {
+    super();
+    this.level = level;
+    this.chunks = [];
+    this.size = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.chunks.push(chunk);
+    this.size += chunk.length;
+    if (this.size < FRAME_SIZE) {
+      callback();
+      return;
+    }
+    this.writeFrame().then(() => callback(), callback);
+  }
+
+  _flush(callback) {
+    this.writeFrame().then(() => callback(), callback);
+  }
+
+  async writeFrame() {
+    if (this.size === 0) return;
+    const input = Buffer.concat(this.chunks, this.size);
+    this.chunks = [];
+    this.size = 0;
+    this.push(await zstdCompress(input, this.level));
+  }
+}
+
+module.exports = {
+  DEFAULT_ZSTD_LEVEL,
+  ZstdCompressStream,
+  zstdCompress,
+  zstdDecompress,
+};
@@ -0,0 +1,119 @@
+/**
+ * Tests for writer backpressure against slow and disconnecting consumers
+ */
+
+const { Writable } = require('stream');
+const { streamToCSV } = require('../source_code/streaming/csvWriter');
+const { streamToNDJSON } = require('../source_code/streaming/ndjsonWriter');
+const { BufferStats, drainIfNeeded } = require('../source_code/utils/backpressure');
+const { ExportCancelledError } = require('../source_code/utils/cancellation');
+
+const COLUMNS = [{ source: 'id', target: 'id' }, { source: 'name', target: 'name' }];
+
+// Client whose cursor serves `total` generated rows, recording how much the
+// output had buffered whenever a batch was fetched
+function createClient(total, output) {
+  let served = 0;
+  const bufferedAtFetch = [];
+  const client = {
+    query: jest.fn(async (text) => {
+      if (text.startsWith('FETCH')) {
+        bufferedAtFetch.push(output.writableLength);
+        const count = Math.min(Number(text.split(' ')[1]), total - served);
+        const rows = Array.from({ length: count }, (_, i) => ({ id: served + i + 1, name: 'x'.repeat(100) }));
+        served += count;
+        return { rows };
+      }
+      return { rows: [] };
+    }),
+  };
+  return { client, bufferedAtFetch, statements: () => client.query.mock.calls.map(([text]) => text) };
+}
+
+// Consumer taking `delayMs` for every chunk; `onChunk` may destroy it
+function createThrottledConsumer({ highWaterMark = 4096, delayMs = 1, onChunk = () => {} } = {}) {
+  const consumer = new Writable({
+    highWaterMark,
+    write(chunk, encoding, callback) {
+      consumer.received += chunk.length;
+      onChunk(consumer);
+      setTimeout(callback, delayMs);
+    },
+  });
+  consumer.received = 0;
+  return consumer;
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('writer backpressure', () => {
+  test('should keep buffered output bounded against a throttled consumer', async () => {
+    const output = createThrottledConsumer({ highWaterMark: 4096 });
+    const { client, bufferedAtFetch } = createClient(2000, output);
+    const bufferStats = new BufferStats();
+
+    const rows = await streamToCSV(client, COLUMNS, output, { batchSize: 50, bufferStats });
+    await new Promise(resolve => output.on('finish', resolve));
+
+    expect(rows).toBe(2000);
+    expect(output.received).toBeGreaterThan(2000 * 100);
+    // No batch is fetched while the consumer is behind, so at most one
+    // batch (about 5 KB) sits on top of the high-water mark
+    expect(Math.max(...bufferedAtFetch)).toBeLessThanOrEqual(4096);
+    expect(bufferStats.maxBufferedBytes).toBeLessThan(4096 + 50 * 110);
+    expect(bufferStats.drainWaits).toBeGreaterThan(0);
+  });
+
+  test('should stop fetching and close the cursor when the client disconnects', async () => {
+    const output = createThrottledConsumer({
+      onChunk: (consumer) => {
+        if (consumer.received > 20000) consumer.destroy();
+      },
+    });
+    const { client, statements } = createClient(100000, output);
+
+    const error = await streamToNDJSON(client, COLUMNS, output, { batchSize: 50 }).catch(err => err);
+
+    expect(error.code).toBe('ERR_STREAM_PREMATURE_CLOSE');
+    expect(statements().filter(text => text.startsWith('FETCH')).length).toBeLessThan(20);
+    expect(statements().slice(-2)).toEqual(['CLOSE ndjson_cursor', 'ROLLBACK']);
+  });
+
+  test('should stop waiting for drain when the export is cancelled', async () => {
+    // Never finishes its first write, so the writer waits for drain forever
+    const output = new Writable({ highWaterMark: 1024, write() {} });
+    const { client, statements } = createClient(1000, output);
+    const controller = new AbortController();
+
+    const exported = streamToCSV(client, COLUMNS, output, { batchSize: 50, signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await expect(exported).rejects.toThrow(ExportCancelledError);
+    expect(statements().filter(text => text.startsWith('FETCH'))).toHaveLength(1);
+    expect(statements().slice(-1)).toEqual(['ROLLBACK']);
+  });
+});
+
+describe('drainIfNeeded', () => {
+  test('should only wait when the stream is over its high-water mark', async () => {
+    const output = createThrottledConsumer({ highWaterMark: 10 });
+    const stats = new BufferStats();
+
+    await drainIfNeeded(output, { stats });
+    expect(stats.drainWaits).toBe(0);
+
+    output.write('a'.repeat(5));
+    output.write('b'.repeat(20));
+    await drainIfNeeded(output, { stats });
+
+    expect(stats.drainWaits).toBe(1);
+    expect(stats.maxBufferedBytes).toBe(25);
+    expect(output.writableLength).toBe(0);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for the Avro and Arrow IPC writers
+ */
+
+const avro = require('avsc');
+const arrow = require('apache-arrow');
+const { PassThrough } = require('stream');
+const { BIGINT_LONG_TYPE, streamToAvro, createAvroSchema } = require('../source_code/streaming/avroWriter');
+const { streamToArrow } = require('../source_code/streaming/arrowWriter');
+const { createCursorClient } = require('./support/cursorClient');
+
+// Result-set fields as pg reports them; records(id, name, ...) has tableID 16384
+const FIELDS = [
+  { name: 'id', tableID: 16384, columnID: 1, dataTypeID: 20, dataTypeModifier: -1 },
+  { name: 'name', tableID: 16384, columnID: 3, dataTypeID: 25, dataTypeModifier: -1 },
+  { name: 'value', tableID: 16384, columnID: 4, dataTypeID: 1700, dataTypeModifier: (18 << 16) + 4 + 4 },
+  { name: 'active', tableID: 0, columnID: 0, dataTypeID: 16, dataTypeModifier: -1 },
+  { name: 'created_at', tableID: 16384, columnID: 2, dataTypeID: 1184, dataTypeModifier: -1 },
+  { name: 'metadata', tableID: 16384, columnID: 5, dataTypeID: 3802, dataTypeModifier: -1 },
+];
+
+// id and created_at are NOT NULL
+const NOT_NULL = [{ attrelid: 16384, attnum: 1 }, { attrelid: 16384, attnum: 2 }];
+
+const ROWS = [
+  { id: '9007199254740993', name: 'Record_1', value: '12.5000', active: true, created_at: new Date('2026-01-01T00:00:00Z'), metadata: { a: 1 } },
+  { id: '2', name: null, value: null, active: false, created_at: new Date('2026-01-02T00:00:00Z'), metadata: null },
+  { id: '3', name: 'Record_3', value: '-0.0100', active: null, created_at: new Date('2026-01-03T00:00:00Z'), metadata: [1] },
+];
+
+const COLUMNS = [
+  { source: 'id', target: 'id' },
+  { source: 'name', target: 'full name' },
+  { source: 'value', target: 'value' },
+  { source: 'active', target: 'active' },
+  { source: 'created_at', target: 'created_at' },
+  { source: 'metadata', target: 'metadata' },
+];
+
+async function exportBuffer(writer, rows = ROWS) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => output.on('end', resolve));
+
+  const rowCount = await writer(createCursorClient(rows, { fields: FIELDS, notNull: NOT_NULL }), COLUMNS, output, { batchSize: 2 });
+  await ended;
+  return { rowCount, buffer: Buffer.concat(chunks) };
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('streamToAvro', () => {
+  test('should write a readable object container file', async () => {
+    const { rowCount, buffer } = await exportBuffer(streamToAvro);
+
+    const records = [];
+    let schema;
+    await new Promise((resolve, reject) => {
+      const decoder = new avro.streams.BlockDecoder({
+        parseHook: header => avro.Type.forSchema(header, { registry: { long: BIGINT_LONG_TYPE } }),
+      });
+      decoder.on('metadata', (type, codec, header) => {
+        schema = JSON.parse(header.meta['avro.schema']);
+      });
+      decoder.on('data', record => records.push(record));
+      decoder.on('end', resolve);
+      decoder.on('error', reject);
+      decoder.end(buffer);
+    });
+
+    expect(rowCount).toBe(3);
+    expect(schema.fields.map(field => [field.name, field.type])).toEqual([
+      ['id', 'long'],
+      ['full_name', ['null', 'string']],
+      ['value', ['null', { type: 'bytes', logicalType: 'decimal', precision: 18, scale: 4 }]],
+      ['active', ['null', 'boolean']],
+      ['created_at', { type: 'long', logicalType: 'timestamp-millis' }],
+      ['metadata', ['null', 'string']],
+    ]);
+    expect(records[0]).toMatchObject({
+      id: 9007199254740993n,
+      full_name: 'Record_1',
+      value: Buffer.from([0x01, 0xe8, 0x48]),
+      created_at: Date.parse('2026-01-01T00:00:00Z'),
+      metadata: '{"a":1}',
+    });
+    expect(records[1]).toMatchObject({ full_name: null, value: null, metadata: null });
+  });
+
+  test('should make sanitized field names unique', () => {
+    const { fields } = createAvroSchema(['first name', 'first_name', '1st'].map(target => ({
+      source: target,
+      target,
+      type: 'string',
+      nullable: true,
+    })));
+
+    expect(fields.map(field => field.name)).toEqual(['first_name', 'first_name_2', '_1st']);
+  });
+});
+
+describe('streamToArrow', () => {
+  test('should write an IPC stream with one record batch per FETCH', async () => {
+    const { rowCount, buffer } = await exportBuffer(streamToArrow);
+    const table = arrow.tableFromIPC(buffer);
+
+    expect(rowCount).toBe(3);
+    expect(table.batches).toHaveLength(2);
+    expect(table.schema.fields.map(field => [String(field), field.nullable])).toEqual([
+      ['id: Int64', false],
+      ['full name: Utf8', true],
+      ['value: Decimal[18e+4]', true],
+      ['active: Bool', true],
+      ['created_at: Timestamp<MILLISECOND>', false],
+      ['metadata: Utf8', true],
+    ]);
+
+    const rows = table.toArray().map(row => row.toJSON());
+    expect(rows[0]).toMatchObject({ id: 9007199254740993n, 'full name': 'Record_1', active: true, metadata: '{"a":1}' });
+    expect(Array.from(rows[0].value)).toEqual([125000, 0, 0, 0]);
+    expect(Array.from(rows[2].value)).toEqual([0xffffff9c, 0xffffffff, 0xffffffff, 0xffffffff]);
+    expect(rows[1]).toMatchObject({ 'full name': null, value: null, metadata: null });
+    expect(rows[2].metadata).toBe('[1]');
+  });
+
+  test('should still write the schema for an empty export', async () => {
+    const { rowCount, buffer } = await exportBuffer(streamToArrow, []);
+    const table = arrow.tableFromIPC(buffer);
+
+    expect(rowCount).toBe(0);
+    expect(table.numRows).toBe(0);
+    expect(table.schema.fields).toHaveLength(COLUMNS.length);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for column catalog introspection and column allowlisting
+ */
+
+const request = require('supertest');
+const { ColumnCatalog } = require('../source_code/utils/columnCatalog');
+const { quoteIdentifier } = require('../source_code/utils/sql');
+const { createCatalogPool, createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const RECORDS_COLUMNS = [
+  { column_name: 'id', data_type: 'bigint', is_nullable: 'NO', numeric_precision: 64, numeric_scale: 0 },
+  { column_name: 'name', data_type: 'character varying', is_nullable: 'NO', numeric_precision: null, numeric_scale: null },
+  { column_name: 'metadata', data_type: 'jsonb', is_nullable: 'NO', numeric_precision: null, numeric_scale: null },
+];
+
+describe('ColumnCatalog', () => {
+  test('should load columns from information_schema', async () => {
+    const pool = createCatalogPool(RECORDS_COLUMNS);
+    const catalog = await new ColumnCatalog(pool).load();
+
+    expect(pool.query.mock.calls[0][0]).toMatch(/information_schema\.columns/);
+    expect(pool.query.mock.calls[0][1]).toEqual(['records']);
+    expect(catalog.names()).toEqual(['id', 'name', 'metadata']);
+    expect(catalog.get('metadata')).toMatchObject({ dataType: 'jsonb', nullable: false });
+  });
+
+  test('should share a single load between concurrent callers', async () => {
+    const pool = createCatalogPool(RECORDS_COLUMNS);
+    const catalog = new ColumnCatalog(pool);
+
+    await Promise.all([catalog.ensureLoaded(), catalog.ensureLoaded()]);
+    await catalog.ensureLoaded();
+
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fail when the table has no columns', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    await expect(new ColumnCatalog(pool).load()).rejects.toThrow(/not found/);
+  });
+});
+
+describe('quoteIdentifier', () => {
+  test('should quote and escape identifiers', () => {
+    expect(quoteIdentifier('id')).toBe('"id"');
+    expect(quoteIdentifier('id" FROM pg_user --')).toBe('"id"" FROM pg_user --"');
+  });
+});
+
+describe('POST /exports column allowlisting', () => {
+  const createApp = () => createExportApp(new MemoryJobRepository(), { pool: createCatalogPool(RECORDS_COLUMNS) });
+
+  test('should accept known columns', async () => {
+    const res = await request(createApp())
+      .post('/exports')
+      .send({ format: 'csv', columns: [{ source: 'id', target: 'id' }] });
+
+    expect(res.status).toBe(201);
+  });
+
+  test('should reject unknown column sources with 400', async () => {
+    const res = await request(createApp())
+      .post('/exports')
+      .send({ format: 'csv', columns: [{ source: 'password', target: 'id' }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Unknown column "password"/);
+  });
+
+  test('should reject injected SQL in column sources with 400', async () => {
+    const res = await request(createApp())
+      .post('/exports')
+      .send({ format: 'csv', columns: [{ source: 'id FROM pg_user --', target: 'id' }] });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('should return 503 when the catalog cannot be loaded', async () => {
+    const pool = { query: jest.fn().mockRejectedValue(new Error('connection refused')), connect: jest.fn() };
+    const app = createExportApp(new MemoryJobRepository(), { pool });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: [{ source: 'id', target: 'id' }] });
+
+    expect(res.status).toBe(503);
+    console.error.mockRestore();
+  });
+});
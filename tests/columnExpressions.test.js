@@ -0,0 +1,81 @@
+/**
+ * Unit tests for computed and JSONB-path column sources
+ */
+
+const {
+  compileColumnSource,
+  selectListItem,
+  ColumnExpressionError,
+} = require('../source_code/utils/columnExpressions');
+
+const catalog = new Map([
+  ['id', { name: 'id', dataType: 'bigint' }],
+  ['created_at', { name: 'created_at', dataType: 'timestamp with time zone' }],
+  ['name', { name: 'name', dataType: 'character varying' }],
+  ['value', { name: 'value', dataType: 'numeric' }],
+  ['metadata', { name: 'metadata', dataType: 'jsonb' }],
+]);
+
+describe('compileColumnSource', () => {
+  test('should compile plain columns to quoted identifiers', () => {
+    expect(compileColumnSource('value', catalog)).toEqual({ sql: '"value"', dataType: 'numeric' });
+  });
+
+  test('should compile JSONB paths to jsonb extraction', () => {
+    expect(compileColumnSource('metadata.region', catalog)).toEqual({
+      sql: `("metadata" #> '{region}')`,
+      dataType: 'jsonb',
+    });
+    expect(compileColumnSource('metadata.tags[0]', catalog).sql).toBe(`("metadata" #> '{tags,0}')`);
+  });
+
+  test('should extract JSONB paths as text inside casts', () => {
+    expect(compileColumnSource('metadata.amount::numeric(10,2)', catalog)).toEqual({
+      sql: `CAST(("metadata" #>> '{amount}') AS numeric(10,2))`,
+      dataType: 'numeric',
+    });
+    expect(compileColumnSource('cast(metadata.active as boolean)', catalog).dataType).toBe('boolean');
+  });
+
+  test('should compile whitelisted functions', () => {
+    expect(compileColumnSource('round(value, 2)', catalog).sql).toBe('round(CAST("value" AS numeric), 2)');
+    expect(compileColumnSource("date_trunc('day', created_at)", catalog)).toEqual({
+      sql: `date_trunc('day', CAST("created_at" AS timestamptz))`,
+      dataType: 'timestamp with time zone',
+    });
+    expect(compileColumnSource("coalesce(metadata.region, 'Unknown')", catalog)).toEqual({
+      sql: `coalesce(("metadata" #>> '{region}'), 'Unknown')`,
+      dataType: 'text',
+    });
+  });
+
+  test('should escape string literals', () => {
+    expect(compileColumnSource("coalesce(name, 'it''s')", catalog).sql).toBe(`coalesce("name", 'it''s')`);
+  });
+
+  test.each([
+    ['id; DROP TABLE records', /Unexpected input/],
+    ['pg_sleep(10)', /Unsupported function "pg_sleep"/],
+    ['value::regclass', /Unsupported cast type "regclass"/],
+    ['password', /Unknown column "password"/],
+    ['name.first', /non-jsonb column "name"/],
+    ["date_trunc('fortnight', created_at)", /Unsupported date_trunc unit/],
+    ['round(value, id)', /precision must be/],
+    ['coalesce(name)', /at least 2 arguments/],
+    ['metadata.tags[x]', /array index/],
+  ])('should reject %s', (source, message) => {
+    expect(() => compileColumnSource(source, catalog)).toThrow(ColumnExpressionError);
+    expect(() => compileColumnSource(source, catalog)).toThrow(message);
+  });
+
+  test('should reject sources longer than an identifier', () => {
+    expect(() => compileColumnSource(`coalesce(${'name, '.repeat(12)}name)`, catalog)).toThrow(/longer than 63 bytes/);
+  });
+});
+
+describe('selectListItem', () => {
+  test('should alias expressions to their source', () => {
+    expect(selectListItem('id')).toBe('"id"');
+    expect(selectListItem('metadata.region')).toBe(`("metadata" #> '{region}') AS "metadata.region"`);
+  });
+});
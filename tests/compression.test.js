@@ -0,0 +1,192 @@
+/**
+ * Tests for compressed exports: codecs, levels, zip archives and their downloads
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'compression-test-'));
+
+const request = require('supertest');
+const JSZip = require('jszip');
+const { runExport } = require('../source_code/jobs/exportRunner');
+const { createCompressor, validateCompression } = require('../source_code/utils/compression');
+const { zstdDecompress } = require('../source_code/utils/zstd');
+const { createCursorClient } = require('./support/cursorClient');
+const { createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const ROWS = [
+  { id: '1', name: 'Record_1' },
+  { id: '2', name: 'Record_2' },
+];
+
+const COLUMNS = [{ source: 'id', target: 'id' }, { source: 'name', target: 'name' }];
+
+const EXPECTED_CSV = 'id,name\n1,Record_1\n2,Record_2';
+
+function exportWith(compression, options = null) {
+  const job = {
+    exportId: '123e4567-e89b-12d3-a456-426614174000',
+    format: 'csv',
+    columns: COLUMNS,
+    compression,
+    filters: null,
+    options,
+  };
+  return runExport({ connect: async () => createCursorClient(ROWS) }, job);
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('validateCompression', () => {
+  test('should accept every codec with levels in its range', () => {
+    expect(validateCompression(undefined, undefined)).toBeNull();
+    expect(validateCompression('br', 11)).toBeNull();
+    expect(validateCompression('zstd', 19)).toBeNull();
+    expect(validateCompression('zip', 0)).toBeNull();
+  });
+
+  test('should reject unknown codecs and out of range levels', () => {
+    expect(validateCompression('lz4')).toMatch(/gzip, br, deflate, zstd, zip/);
+    expect(validateCompression(undefined, 5)).toBe('compressionLevel requires compression');
+    expect(validateCompression('gzip', 10)).toBe('compressionLevel for gzip must be an integer between 0 and 9');
+    expect(validateCompression('zstd', 0)).toMatch(/between 1 and 19/);
+    expect(validateCompression('br', 4.5)).toMatch(/between 0 and 11/);
+  });
+});
+
+describe('runExport with compression', () => {
+  test('should write brotli files', async () => {
+    const { outputPath } = await exportWith('br', { compressionLevel: 11 });
+
+    expect(outputPath).toMatch(/\.csv\.br$/);
+    expect(zlib.brotliDecompressSync(fs.readFileSync(outputPath)).toString('utf8').trim()).toBe(EXPECTED_CSV);
+  });
+
+  test('should write zlib-wrapped deflate files', async () => {
+    const { outputPath } = await exportWith('deflate');
+
+    expect(outputPath).toMatch(/\.csv\.zz$/);
+    expect(zlib.inflateSync(fs.readFileSync(outputPath)).toString('utf8').trim()).toBe(EXPECTED_CSV);
+  });
+
+  test('should write zstd files', async () => {
+    const { outputPath } = await exportWith('zstd', { compressionLevel: 19 });
+
+    expect(outputPath).toMatch(/\.csv\.zst$/);
+    const decoded = await zstdDecompress(fs.readFileSync(outputPath));
+    expect(decoded.toString('utf8').trim()).toBe(EXPECTED_CSV);
+  });
+
+  test('should wrap the export file in a zip archive', async () => {
+    const { outputPath } = await exportWith('zip');
+
+    expect(outputPath).toMatch(/\.zip$/);
+    const archive = await JSZip.loadAsync(fs.readFileSync(outputPath));
+    expect(Object.keys(archive.files)).toEqual(['export-123e4567-e89b-12d3-a456-426614174000.csv']);
+    const entry = await archive.file('export-123e4567-e89b-12d3-a456-426614174000.csv').async('string');
+    expect(entry.trim()).toBe(EXPECTED_CSV);
+  });
+
+  test('should trade size for level', async () => {
+    const text = 'id,name\n' + Array.from({ length: 5000 }, (_, i) => `${i},Record_${i % 97}`).join('\n');
+    const compressedSize = async (level) => {
+      const { input, output } = createCompressor('gzip', { level });
+      const chunks = [];
+      output.on('data', chunk => chunks.push(chunk));
+      const done = new Promise(resolve => output.on('end', resolve));
+      input.end(text);
+      await done;
+      return Buffer.concat(chunks).length;
+    };
+
+    expect(await compressedSize(9)).toBeLessThan(await compressedSize(0));
+  });
+});
+
+describe('POST /exports compression', () => {
+  test('should record the effective compression level', async () => {
+    const repository = new MemoryJobRepository();
+    const app = createExportApp(repository);
+
+    const explicit = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, compression: 'br', compressionLevel: 9 });
+    expect(explicit.status).toBe(201);
+    expect(repository.jobs.get(explicit.body.exportId).options).toEqual({ compressionLevel: 9 });
+
+    const defaulted = await request(app)
+      .post('/exports')
+      .send({ format: 'ndjson', columns: COLUMNS, compression: 'zstd' });
+    expect(defaulted.status).toBe(201);
+    const status = await request(app).get(`/exports/${defaulted.body.exportId}`);
+    expect(status.body).toMatchObject({ compression: 'zstd', compressionLevel: 3 });
+  });
+
+  test('should reject invalid compression settings', async () => {
+    const app = createExportApp(new MemoryJobRepository());
+
+    const level = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, compression: 'deflate', compressionLevel: 12 });
+    expect(level.status).toBe(400);
+    expect(level.body.error).toMatch(/between 0 and 9/);
+
+    const binary = await request(app)
+      .post('/exports')
+      .send({ format: 'parquet', columns: COLUMNS, compression: 'zip' });
+    expect(binary.status).toBe(400);
+    expect(binary.body.error).toBe('compression is not supported for parquet format');
+  });
+});
+
+describe('GET /exports/:exportId/download with compression', () => {
+  function createCompletedJob(compression, fileName, content) {
+    const exportId = `${compression}-export`;
+    const outputPath = path.join(process.env.EXPORT_STORAGE_DIR, fileName);
+    fs.writeFileSync(outputPath, content);
+    return {
+      exportId,
+      format: 'csv',
+      columns: COLUMNS,
+      compression,
+      status: 'completed',
+      outputPath,
+      createdAt: new Date(),
+    };
+  }
+
+  test('should serve stream codecs with a matching Content-Encoding', async () => {
+    const job = createCompletedJob('br', 'export-br.csv.br', zlib.brotliCompressSync(EXPECTED_CSV));
+    const app = createExportApp(new MemoryJobRepository([job]));
+
+    const res = await request(app).get(`/exports/${job.exportId}/download`).set('Accept-Encoding', 'br');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-encoding']).toBe('br');
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="export-br-export.csv"');
+  });
+
+  test('should serve zip archives as application/zip', async () => {
+    const job = createCompletedJob('zip', 'export-zip.zip', Buffer.from('PK'));
+    const app = createExportApp(new MemoryJobRepository([job]));
+
+    const res = await request(app).get(`/exports/${job.exportId}/download`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-encoding']).toBeUndefined();
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="export-zip-export.zip"');
+  });
+});
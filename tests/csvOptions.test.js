@@ -0,0 +1,161 @@
+/**
+ * Tests for per-export CSV dialect options
+ */
+
+const { PassThrough } = require('stream');
+const request = require('supertest');
+const { streamToCSV } = require('../source_code/streaming/csvWriter');
+const { resolveCsvOptions, validateCsvOptions } = require('../source_code/utils/csvOptions');
+const { createCursorClient } = require('./support/cursorClient');
+const { catalogColumn, createCatalogPool, createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const COLUMNS = [
+  { source: 'id', target: 'id' },
+  { source: 'name', target: 'name' },
+  { source: 'metadata', target: 'metadata' },
+];
+
+const CATALOG = [
+  catalogColumn('id', 'bigint', { nullable: false, precision: 64, scale: 0 }),
+  catalogColumn('name', 'text'),
+  catalogColumn('metadata', 'jsonb'),
+];
+
+const ROWS = [
+  { id: '1', name: 'Müller; Söhne', metadata: { tags: ['a'] } },
+  { id: '2', name: 'line\rbreak', metadata: null },
+  { id: '3', name: null, metadata: { note: 'say "hi"' } },
+];
+
+async function exportCSV(csvOptions, rows = ROWS) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  await streamToCSV(createCursorClient(rows), COLUMNS, output, { csvOptions });
+  await new Promise(resolve => output.on('end', resolve));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('validateCsvOptions', () => {
+  test('should accept every documented setting', () => {
+    expect(validateCsvOptions({
+      delimiter: '\t',
+      quote: "'",
+      quoteAll: true,
+      lineTerminator: '\r\n',
+      bom: true,
+      header: false,
+      nullValue: 'NULL',
+      jsonb: 'pretty',
+    })).toBeNull();
+    expect(validateCsvOptions({})).toBeNull();
+  });
+
+  test('should reject invalid settings', () => {
+    expect(validateCsvOptions([])).toBe('csvOptions must be an object');
+    expect(validateCsvOptions({ separator: ';' })).toBe('Unknown csvOptions option "separator"');
+    expect(validateCsvOptions({ delimiter: ';;' })).toMatch(/^csvOptions.delimiter must be one of: ",", ";", "\\t"/);
+    expect(validateCsvOptions({ quote: '|' })).toMatch(/^csvOptions.quote must be one of/);
+    expect(validateCsvOptions({ lineTerminator: '\r' })).toMatch(/^csvOptions.lineTerminator must be one of/);
+    expect(validateCsvOptions({ bom: 'yes' })).toBe('csvOptions.bom must be a boolean');
+    expect(validateCsvOptions({ nullValue: 0 })).toMatch(/^csvOptions.nullValue must be a string/);
+    expect(validateCsvOptions({ nullValue: 'N\nA' })).toBe('csvOptions.nullValue must not contain line breaks');
+    expect(validateCsvOptions({ jsonb: 'flatten' })).toBe('csvOptions.jsonb must be one of: json, pretty, null');
+  });
+
+  test('should fill in the defaults', () => {
+    expect(resolveCsvOptions({ delimiter: ';' })).toEqual({
+      delimiter: ';',
+      quote: '"',
+      quoteAll: false,
+      lineTerminator: '\n',
+      bom: false,
+      header: true,
+      nullValue: '',
+      jsonb: 'json',
+    });
+  });
+});
+
+describe('streamToCSV with csvOptions', () => {
+  test('should quote fields holding the delimiter, quotes or any line break', async () => {
+    expect(await exportCSV()).toBe([
+      'id,name,metadata',
+      '1,Müller; Söhne,"{""tags"":[""a""]}"',
+      '2,"line\rbreak",',
+      '3,,"{""note"":""say \\""hi\\""""}"',
+      '',
+    ].join('\n'));
+  });
+
+  test('should write semicolon-delimited CRLF files with a BOM for Excel', async () => {
+    const csv = await exportCSV({ delimiter: ';', lineTerminator: '\r\n', bom: true, nullValue: 'NULL', jsonb: 'null' });
+
+    expect(csv.startsWith('\ufeffid;name;metadata\r\n')).toBe(true);
+    expect(csv.slice(1).split('\r\n')).toEqual([
+      'id;name;metadata',
+      '1;"Müller; Söhne";NULL',
+      '2;"line\rbreak";NULL',
+      '3;NULL;NULL',
+      '',
+    ]);
+  });
+
+  test('should quote every field and leave out the header on request', async () => {
+    expect(await exportCSV({ delimiter: '\t', quote: "'", quoteAll: true, header: false }, ROWS.slice(0, 1)))
+      .toBe("'1'\t'Müller; Söhne'\t'{\"tags\":[\"a\"]}'\n");
+  });
+
+  test('should indent JSONB with jsonb "pretty"', async () => {
+    const csv = await exportCSV({ jsonb: 'pretty', header: false }, ROWS.slice(0, 1));
+    expect(csv).toBe('1,Müller; Söhne,"{\n  ""tags"": [\n    ""a""\n  ]\n}"\n');
+  });
+
+  test('should still write the header and BOM of an empty export', async () => {
+    expect(await exportCSV({ bom: true }, [])).toBe('\ufeffid,name,metadata\n');
+    expect(await exportCSV({ header: false }, [])).toBe('');
+  });
+});
+
+describe('POST /exports csvOptions', () => {
+  test('should record the effective settings on the job', async () => {
+    const repository = new MemoryJobRepository();
+    const app = createExportApp(repository, { pool: createCatalogPool(CATALOG) });
+
+    const created = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, csvOptions: { delimiter: ';', lineTerminator: '\r\n' } });
+    expect(created.status).toBe(201);
+
+    const expected = resolveCsvOptions({ delimiter: ';', lineTerminator: '\r\n' });
+    expect(repository.jobs.get(created.body.exportId).options).toEqual({ csvOptions: expected });
+
+    const status = await request(app).get(`/exports/${created.body.exportId}`);
+    expect(status.body.csvOptions).toEqual(expected);
+  });
+
+  test('should reject invalid or misplaced csvOptions', async () => {
+    const app = createExportApp(new MemoryJobRepository(), { pool: createCatalogPool(CATALOG) });
+
+    const json = await request(app)
+      .post('/exports')
+      .send({ format: 'json', columns: COLUMNS, csvOptions: { delimiter: ';' } });
+    expect(json.status).toBe(400);
+    expect(json.body.error).toBe('csvOptions is only supported for csv format');
+
+    const invalid = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, csvOptions: { header: 'no' } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('csvOptions.header must be a boolean');
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Tests for downloading stored exports, including resumable range requests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'download-test-'));
+
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const CONTENT = 'id,name\n1,Record_1\n2,Record_2\n3,Record_3\n';
+
+// Serves the rows of CONTENT to exports run again in another representation
+function createPool() {
+  const client = {
+    query: jest.fn(async (text) => {
+      if (text.startsWith('FETCH')) {
+        const fetches = client.query.mock.calls.filter(([sql]) => sql.startsWith('FETCH')).length;
+        return { rows: fetches === 1 ? [{ id: '1' }, { id: '2' }, { id: '3' }] : [] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn(),
+  };
+  return { connect: jest.fn(async () => client), client };
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+function createCompletedJob(compression = null) {
+  const exportId = uuidv4();
+  const outputPath = path.join(process.env.EXPORT_STORAGE_DIR, `export-${exportId}.csv${compression ? '.gz' : ''}`);
+  fs.writeFileSync(outputPath, compression ? zlib.gzipSync(CONTENT) : CONTENT);
+
+  return {
+    exportId,
+    format: 'csv',
+    columns: [{ source: 'id', target: 'id' }],
+    compression,
+    status: 'completed',
+    outputPath,
+    outputSize: CONTENT.length,
+    createdAt: new Date(),
+  };
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('GET /exports/:exportId/download', () => {
+  const job = createCompletedJob();
+  const app = createExportApp(new MemoryJobRepository([job]));
+
+  test('should send the whole file with validators and Accept-Ranges', async () => {
+    const res = await request(app).get(`/exports/${job.exportId}/download`);
+
+    expect(res.status).toBe(200);
+    expect(res.text).toBe(CONTENT);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-length']).toBe(String(CONTENT.length));
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers.etag).toMatch(/^"[^"]+"$/);
+    expect(res.headers['last-modified']).toBeDefined();
+  });
+
+  test('should return 206 with the requested byte range', async () => {
+    const res = await request(app)
+      .get(`/exports/${job.exportId}/download`)
+      .set('Range', 'bytes=8-');
+
+    expect(res.status).toBe(206);
+    expect(res.text).toBe(CONTENT.slice(8));
+    expect(res.headers['content-range']).toBe(`bytes 8-${CONTENT.length - 1}/${CONTENT.length}`);
+    expect(res.headers['content-length']).toBe(String(CONTENT.length - 8));
+  });
+
+  test('should honor If-Range only while the ETag still matches', async () => {
+    const { headers } = await request(app).get(`/exports/${job.exportId}/download`);
+
+    const resumed = await request(app)
+      .get(`/exports/${job.exportId}/download`)
+      .set('Range', 'bytes=0-1')
+      .set('If-Range', headers.etag);
+    expect(resumed.status).toBe(206);
+    expect(resumed.text).toBe('id');
+
+    const stale = await request(app)
+      .get(`/exports/${job.exportId}/download`)
+      .set('Range', 'bytes=0-1')
+      .set('If-Range', '"some-other-version"');
+    expect(stale.status).toBe(200);
+    expect(stale.text).toBe(CONTENT);
+  });
+
+  test('should return 304 for a matching If-None-Match', async () => {
+    const { headers } = await request(app).get(`/exports/${job.exportId}/download`);
+    const res = await request(app)
+      .get(`/exports/${job.exportId}/download`)
+      .set('If-None-Match', headers.etag);
+
+    expect(res.status).toBe(304);
+  });
+
+  test('should return 416 for ranges past the end of the file', async () => {
+    const res = await request(app)
+      .get(`/exports/${job.exportId}/download`)
+      .set('Range', `bytes=${CONTENT.length + 10}-`);
+
+    expect(res.status).toBe(416);
+    expect(res.headers['content-range']).toBe(`bytes */${CONTENT.length}`);
+    expect(res.body.error).toMatch(/range/i);
+  });
+
+  test('should return 410 once the stored file is gone', async () => {
+    const removed = createCompletedJob();
+    fs.unlinkSync(removed.outputPath);
+
+    const res = await request(createExportApp(new MemoryJobRepository([removed])))
+      .get(`/exports/${removed.exportId}/download`);
+
+    expect(res.status).toBe(410);
+  });
+});
+
+describe('GET /exports/:exportId/download content negotiation', () => {
+  const job = createCompletedJob();
+  const pool = createPool();
+  const app = createExportApp(new MemoryJobRepository([job]), { pool });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    pool.connect.mockClear();
+    pool.client.query.mockClear();
+  });
+
+  test('should send the stored file when it is acceptable', async () => {
+    const res = await request(app)
+      .get(`/exports/${job.exportId}/download`)
+      .set('Accept', 'text/csv, */*;q=0.1')
+      .set('Accept-Encoding', 'gzip, br');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toBe(CONTENT);
+    expect(res.headers.vary).toBe('Accept, Accept-Encoding');
+    expect(res.headers['content-encoding']).toBeUndefined();
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('should export the job columns again in an accepted format', async () => {
+    const res = await request(app)
+      .get(`/exports/${job.exportId}/download`)
+      .set('Accept', 'application/x-ndjson');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe(`attachment; filename="export-${job.exportId}.ndjson"`);
+    expect(res.headers.vary).toBe('Accept, Accept-Encoding');
+    expect(res.headers['accept-ranges']).toBe('none');
+    expect(res.headers.etag).toBeUndefined();
+    expect(res.text).toBe('{"id":"1"}\n{"id":"2"}\n{"id":"3"}\n');
+    expect(pool.client.release).toHaveBeenCalled();
+  });
+
+  test('should apply a ?format= override and a negotiated encoding', async () => {
+    const res = await request(app)
+      .get(`/exports/${job.exportId}/download?format=json`)
+      .set('Accept-Encoding', 'br;q=1, gzip;q=0.5')
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+    expect(res.headers['content-encoding']).toBe('br');
+    expect(JSON.parse(zlib.brotliDecompressSync(res.body).toString('utf8'))).toEqual([{ id: '1' }, { id: '2' }, { id: '3' }]);
+  });
+
+  test('should re-encode the stored file when identity is refused', async () => {
+    const res = await request(app)
+      .get(`/exports/${job.exportId}/download`)
+      .set('Accept-Encoding', 'gzip, identity;q=0');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-encoding']).toBe('gzip');
+    expect(res.headers['accept-ranges']).toBe('none');
+    expect(res.text).toBe(CONTENT);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('should decode a compressed stored file into the accepted encoding', async () => {
+    const gzipped = createCompletedJob('gzip');
+    const gzippedApp = createExportApp(new MemoryJobRepository([gzipped]), { pool });
+
+    const brotli = await request(gzippedApp)
+      .get(`/exports/${gzipped.exportId}/download`)
+      .set('Accept-Encoding', 'br')
+      .buffer(true)
+      .parse(binaryParser);
+    expect(brotli.status).toBe(200);
+    expect(brotli.headers['content-encoding']).toBe('br');
+    expect(zlib.brotliDecompressSync(brotli.body).toString('utf8')).toBe(CONTENT);
+
+    const identity = await request(gzippedApp)
+      .get(`/exports/${gzipped.exportId}/download`)
+      .set('Accept-Encoding', 'identity');
+    expect(identity.headers['content-encoding']).toBeUndefined();
+    expect(identity.text).toBe(CONTENT);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('should limit how many downloads are exported again at once', async () => {
+    let finishFetch;
+    const fetched = new Promise((resolve) => {
+      finishFetch = resolve;
+    });
+    const slowPool = createPool();
+    const { query } = slowPool.client;
+    slowPool.client.query = jest.fn(async (text) => {
+      if (text.startsWith('FETCH')) await fetched;
+      return query(text);
+    });
+    const limitedApp = createExportApp(new MemoryJobRepository([job]), {
+      pool: slowPool,
+      options: { maxLiveDownloads: 1 },
+    });
+    const url = `/exports/${job.exportId}/download?format=ndjson`;
+
+    const first = request(limitedApp).get(url).then(res => res);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const second = await request(limitedApp).get(url);
+    expect(second.status).toBe(503);
+    expect(second.headers['retry-after']).toBe('30');
+
+    finishFetch();
+    expect((await first).status).toBe(200);
+    expect((await request(limitedApp).get(url)).status).toBe(200);
+  });
+
+  test('should return 406 when nothing acceptable can be produced', async () => {
+    const type = await request(app)
+      .get(`/exports/${job.exportId}/download`)
+      .set('Accept', 'image/png');
+    expect(type.status).toBe(406);
+    expect(type.headers.vary).toBe('Accept, Accept-Encoding');
+
+    // Binary formats are never content-encoded
+    const encoding = await request(app)
+      .get(`/exports/${job.exportId}/download?format=avro`)
+      .set('Accept-Encoding', 'gzip, identity;q=0');
+    expect(encoding.status).toBe(406);
+
+    const mismatch = await request(app)
+      .get(`/exports/${job.exportId}/download?format=xml`)
+      .set('Accept', 'text/csv');
+    expect(mismatch.status).toBe(406);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('should reject an unknown ?format=', async () => {
+    const res = await request(app).get(`/exports/${job.exportId}/download?format=pdf`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/format must be one of/);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for background export execution, progress and download of finished files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'export-worker-test-'));
+
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { ExportWorker, computeProgress } = require('../source_code/jobs/exportWorker');
+const { createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const ROWS = [
+  { id: '1', name: 'Record_1' },
+  { id: '2', name: 'Record_2' },
+  { id: '3', name: 'Record, "three"' },
+];
+
+/**
+ * Fake pool whose client serves ROWS through a cursor, one row per FETCH
+ */
+function createMockPool() {
+  let served = 0;
+  const client = {
+    query: jest.fn(async (text) => {
+      if (text.startsWith('EXPLAIN')) {
+        return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Plan Rows': 4 } }] }] };
+      }
+      if (text.startsWith('FETCH')) {
+        return { rows: served < ROWS.length ? [ROWS[served++]] : [] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn(),
+  };
+
+  return { connect: jest.fn().mockResolvedValue(client), client };
+}
+
+function createJob(overrides = {}) {
+  return {
+    exportId: uuidv4(),
+    format: 'csv',
+    columns: [{ source: 'id', target: 'id' }, { source: 'name', target: 'name' }],
+    compression: null,
+    filters: null,
+    status: 'pending',
+    createdAt: new Date(),
+    ...overrides,
+  };
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('ExportWorker', () => {
+  test('should run pending jobs to a stored file', async () => {
+    const pool = createMockPool();
+    const repository = new MemoryJobRepository([createJob()]);
+    const [{ exportId }] = repository.jobs.values();
+    const worker = new ExportWorker(pool, repository);
+
+    await worker.poll();
+    expect((await repository.get(exportId)).status).toBe('processing');
+    await worker.stop();
+
+    const job = await repository.get(exportId);
+    expect(job.status).toBe('completed');
+    expect(job.rowsExported).toBe(3);
+    expect(job.percentage).toBe(100);
+    expect(fs.readFileSync(job.outputPath, 'utf8')).toBe('id,name\n1,Record_1\n2,Record_2\n3,"Record, ""three"""\n');
+    expect(job.outputSize).toBe(fs.statSync(job.outputPath).size);
+    expect(pool.client.release).toHaveBeenCalled();
+  });
+
+  test('should claim the oldest pending job first and respect concurrency', async () => {
+    const older = createJob({ createdAt: new Date(1000) });
+    const newer = createJob({ createdAt: new Date(2000) });
+    const repository = new MemoryJobRepository([newer, older]);
+    const worker = new ExportWorker(createMockPool(), repository, { concurrency: 1 });
+
+    await worker.poll();
+    expect((await repository.get(older.exportId)).status).toBe('processing');
+    expect((await repository.get(newer.exportId)).status).toBe('pending');
+    await worker.stop();
+  });
+
+  test('should mark jobs failed when the export throws', async () => {
+    const pool = { connect: jest.fn().mockRejectedValue(new Error('too many clients')) };
+    const repository = new MemoryJobRepository([createJob()]);
+    const [{ exportId }] = repository.jobs.values();
+    const worker = new ExportWorker(pool, repository);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await worker.poll();
+    await worker.stop();
+    console.error.mockRestore();
+
+    const job = await repository.get(exportId);
+    expect(job.status).toBe('failed');
+    expect(job.error).toBe('too many clients');
+  });
+});
+
+describe('computeProgress', () => {
+  test('should compute percentage and ETA from the estimate', () => {
+    const progress = computeProgress(250, 1000, Date.now() - 10000);
+
+    expect(progress.percentage).toBe(25);
+    expect(progress.etaSeconds).toBe(30);
+  });
+
+  test('should stay below 100% when the estimate is exceeded', () => {
+    const progress = computeProgress(1200, 1000, Date.now());
+
+    expect(progress.totalRows).toBe(1200);
+    expect(progress.percentage).toBe(99);
+  });
+});
+
+describe('GET /exports/:exportId and /download', () => {
+  test('should report status and progress', async () => {
+    const job = createJob({ status: 'processing', rowsExported: 10, totalRows: 40, percentage: 25 });
+    const res = await request(createExportApp(new MemoryJobRepository([job]))).get(`/exports/${job.exportId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'processing', rowsExported: 10, totalRows: 40, percentage: 25 });
+    expect(res.body).not.toHaveProperty('outputPath');
+  });
+
+  test('should return 409 while the export is still running', async () => {
+    const job = createJob({ status: 'processing' });
+    const res = await request(createExportApp(new MemoryJobRepository([job]))).get(`/exports/${job.exportId}/download`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.job.status).toBe('processing');
+  });
+
+  test('should serve the finished file', async () => {
+    const job = createJob();
+    const repository = new MemoryJobRepository([job]);
+    const worker = new ExportWorker(createMockPool(), repository);
+    await worker.poll();
+    await worker.stop();
+
+    const res = await request(createExportApp(repository)).get(`/exports/${job.exportId}/download`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.text).toMatch(/^id,name\n1,Record_1\n/);
+  });
+
+  test('should return 404 for unknown exports', async () => {
+    const res = await request(createExportApp(new MemoryJobRepository())).get('/exports/unknown/download');
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for export filter validation and WHERE clause compilation
+ */
+
+const { validateFilters, buildWhereClause } = require('../source_code/utils/filters');
+const { buildSelectQuery } = require('../source_code/utils/query');
+
+describe('validateFilters', () => {
+  test('should accept equality, IN, range and JSONB path conditions', () => {
+    const error = validateFilters({
+      name: 'Record_1',
+      id: [1, 2, 3],
+      created_at: { gte: '2026-01-01T00:00:00Z', lt: '2026-02-01T00:00:00Z' },
+      'metadata.category': { eq: 'Books' },
+    });
+
+    expect(error).toBeNull();
+  });
+
+  test('should reject non-object filters', () => {
+    expect(validateFilters([])).toMatch(/must be an object/);
+    expect(validateFilters('id > 5')).toMatch(/must be an object/);
+  });
+
+  test('should reject field names that are not identifiers', () => {
+    expect(validateFilters({ 'id; DROP TABLE records': 1 })).toMatch(/Invalid filter field/);
+    expect(validateFilters({ 'metadata.bad key': 'x' })).toMatch(/Invalid filter field/);
+  });
+
+  test('should check columns against the catalog when given', () => {
+    const catalog = new Map([
+      ['name', { name: 'name', dataType: 'character varying' }],
+      ['metadata', { name: 'metadata', dataType: 'jsonb' }],
+    ]);
+
+    expect(validateFilters({ 'metadata.region': 'Asia' }, catalog)).toBeNull();
+    expect(validateFilters({ password: 'x' }, catalog)).toMatch(/Unknown filter column "password"/);
+    expect(validateFilters({ 'name.first': 'x' }, catalog)).toMatch(/non-jsonb column "name"/);
+  });
+
+  test('should only compare whole json and jsonb values with eq and ne', () => {
+    const catalog = new Map([
+      ['metadata', { name: 'metadata', dataType: 'jsonb' }],
+      ['payload', { name: 'payload', dataType: 'json' }],
+    ]);
+
+    expect(validateFilters({ metadata: { ne: null } }, catalog)).toBeNull();
+    expect(validateFilters({ 'metadata.amount': { gt: 100 } }, catalog)).toBeNull();
+    expect(validateFilters({ metadata: { gt: 'x' } }, catalog))
+      .toBe('Filter "metadata" operator "gt" needs a JSON path on jsonb column "metadata"; only eq and ne compare the whole value');
+    expect(validateFilters({ payload: ['a', 'b'] }, catalog)).toMatch(/operator "in" needs a JSON path on json column "payload"/);
+  });
+
+  test('should reject unknown operators', () => {
+    expect(validateFilters({ value: { like: '%a%' } })).toMatch(/Unknown operator "like"/);
+  });
+
+  test('should reject empty IN lists and null range bounds', () => {
+    expect(validateFilters({ id: { in: [] } })).toMatch(/non-empty array/);
+    expect(validateFilters({ value: { gt: null } })).toMatch(/does not accept null/);
+  });
+});
+
+describe('buildWhereClause', () => {
+  test('should return an empty clause without filters', () => {
+    expect(buildWhereClause(null)).toEqual({ clause: '', values: [] });
+  });
+
+  test('should compile conditions into placeholders', () => {
+    const { clause, values } = buildWhereClause({
+      created_at: { gte: '2026-01-01', lt: '2026-02-01' },
+      id: [1, 2],
+    });
+
+    expect(clause).toBe(' WHERE "created_at" >= $1 AND "created_at" < $2 AND "id" = ANY($3)');
+    expect(values).toEqual(['2026-01-01', '2026-02-01', [1, 2]]);
+  });
+
+  test('should compile JSONB paths with a parameterized path', () => {
+    const { clause, values } = buildWhereClause({
+      'metadata.category': 'Books',
+      'metadata.amount': { gt: 100 },
+    });
+
+    expect(clause).toBe(
+      ' WHERE ("metadata" #>> $1::text[]) = $2 AND ("metadata" #>> $3::text[])::numeric > $4',
+    );
+    expect(values).toEqual([['category'], 'Books', ['amount'], 100]);
+  });
+
+  test('should compile null equality to IS NULL', () => {
+    expect(buildWhereClause({ name: null }).clause).toBe(' WHERE "name" IS NULL');
+    expect(buildWhereClause({ name: { ne: null } }).clause).toBe(' WHERE "name" IS NOT NULL');
+  });
+});
+
+describe('buildSelectQuery', () => {
+  test('should keep the id ordering after the WHERE clause', () => {
+    const query = buildSelectQuery(
+      [{ source: 'id', target: 'id' }, { source: 'name', target: 'name' }],
+      { 'metadata.region': 'Europe' },
+    );
+
+    expect(query.text).toBe(
+      'SELECT "id", "name" FROM "records" WHERE ("metadata" #>> $1::text[]) = $2 ORDER BY "id"',
+    );
+    expect(query.values).toEqual([['region'], 'Europe']);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for the export format registry and the shared cursor reader
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'formats-test-'));
+
+const request = require('supertest');
+const { runExport } = require('../source_code/jobs/exportRunner');
+const { readCursor } = require('../source_code/streaming/cursorReader');
+const {
+  formatNames, getFormat, loadFormatModules, registerFormat, validateFormat,
+} = require('../source_code/streaming/formats');
+const { createCursorClient } = require('./support/cursorClient');
+const { createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const COLUMNS = [{ source: 'id', target: 'id' }, { source: 'name', target: 'name' }];
+const ROWS = [{ id: '1', name: 'Record_1' }, { id: '2', name: 'Record_2' }];
+
+const TSV_FORMAT = {
+  name: 'tsv',
+  label: 'TSV',
+  contentType: 'text/tab-separated-values; charset=utf-8',
+  extension: 'tsv',
+  compressible: true,
+  prolog: ({ columnMap }) => `${columnMap.map(col => col.target).join('\t')}\n`,
+  row: (row, index, { columnMap }) => `${columnMap.map(({ source }) => row[source]).join('\t')}\n`,
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  registerFormat(TSV_FORMAT);
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('format registry', () => {
+  test('should list the built-in formats, then registered ones', () => {
+    expect(formatNames()).toEqual(['csv', 'json', 'ndjson', 'xml', 'parquet', 'xlsx', 'avro', 'arrow', 'tsv']);
+    expect(getFormat('parquet')).toMatchObject({ extension: 'parquet', compressible: false, batchSize: 1000 });
+    expect(getFormat('toString')).toBeNull();
+  });
+
+  test('should reject incomplete or clashing formats', () => {
+    expect(validateFormat({ ...TSV_FORMAT })).toBe('format "tsv" is already registered');
+    expect(validateFormat({ ...TSV_FORMAT, name: 'Tab Separated' })).toMatch(/^name must be lowercase/);
+    expect(validateFormat({ ...TSV_FORMAT, name: 'psv', row: undefined })).toBe('psv: either row() or open() must be implemented');
+    expect(validateFormat({ ...TSV_FORMAT, name: 'psv', extension: '.psv' })).toBe('psv: extension must be lowercase letters and digits');
+    expect(() => registerFormat({ ...TSV_FORMAT, name: 'psv', compressible: 'yes' }))
+      .toThrow('Cannot register export format: psv: compressible must be a boolean');
+    expect(getFormat('psv')).toBeNull();
+  });
+
+  test('should register the formats of third-party modules', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'format-module-'));
+    fs.writeFileSync(path.join(dir, 'pipes.js'), `module.exports = [${['psv', 'ssv'].map(name => `{
+      name: '${name}', contentType: 'text/plain', extension: '${name}', compressible: true,
+      row: row => Object.values(row).join('|') + '\\n',
+    }`).join(', ')}];`);
+
+    expect(loadFormatModules('./pipes.js', dir)).toEqual(['psv', 'ssv']);
+    expect(getFormat('ssv')).toMatchObject({ label: 'ssv', contentType: 'text/plain' });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('registered formats', () => {
+  test('should export through the job runner like built-in ones', async () => {
+    const job = {
+      exportId: crypto.randomUUID(),
+      format: 'tsv',
+      columns: COLUMNS,
+      compression: null,
+      filters: null,
+      options: { batchSize: 1 },
+    };
+
+    const result = await runExport({ connect: async () => createCursorClient(ROWS) }, job);
+
+    expect(result.outputPath).toMatch(/\.tsv$/);
+    expect(fs.readFileSync(result.outputPath, 'utf8')).toBe('id\tname\n1\tRecord_1\n2\tRecord_2\n');
+  });
+
+  test('should export formats with "-" in their name, also as part files', async () => {
+    registerFormat({ ...TSV_FORMAT, name: 'tab-separated' });
+    const client = createCursorClient(ROWS);
+    const job = {
+      exportId: crypto.randomUUID(),
+      format: 'tab-separated',
+      columns: COLUMNS,
+      compression: null,
+      filters: null,
+      options: { batchSize: 1, maxRowsPerFile: 1 },
+    };
+
+    const result = await runExport({ connect: async () => client }, job);
+
+    expect(client.query.mock.calls.map(([text]) => text))
+      .toContainEqual(expect.stringMatching(/^DECLARE tab_separated_cursor CURSOR FOR /));
+    const { parts } = JSON.parse(fs.readFileSync(path.join(result.outputPath, 'manifest.json'), 'utf8'));
+    expect(parts.map(part => fs.readFileSync(path.join(result.outputPath, part.file), 'utf8')))
+      .toEqual(['id\tname\n1\tRecord_1\n', 'id\tname\n2\tRecord_2\n']);
+  });
+
+  test('should be accepted by POST /exports, with compression when compressible', async () => {
+    const app = createExportApp(new MemoryJobRepository());
+
+    const created = await request(app).post('/exports').send({ format: 'tsv', columns: COLUMNS, compression: 'gzip' });
+    expect(created.status).toBe(201);
+
+    const unknown = await request(app).post('/exports').send({ format: 'yaml', columns: COLUMNS });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toMatch(/Must be one of: csv, json, .*, arrow, tsv/);
+  });
+});
+
+describe('readCursor', () => {
+  test('should close the cursor and roll back when the reader stops early', async () => {
+    const client = createCursorClient(ROWS);
+
+    await expect((async () => {
+      for await (const batch of readCursor(client, COLUMNS, { cursorName: 'tsv_cursor', batchSize: 1 })) {
+        if (batch.rows[0].id === '1') throw new Error('encoder failed');
+      }
+    })()).rejects.toThrow('encoder failed');
+
+    expect(client.query.mock.calls.map(([text]) => text.split(' ')[0])).toEqual(['BEGIN', 'DECLARE', 'FETCH', 'CLOSE', 'ROLLBACK']);
+  });
+});
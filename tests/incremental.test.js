@@ -0,0 +1,300 @@
+/**
+ * Tests for incremental exports, their high-water marks and export streams
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'incremental-test-'));
+
+const request = require('supertest');
+const { runExport } = require('../source_code/jobs/exportRunner');
+const { ExportWorker } = require('../source_code/jobs/exportWorker');
+const { StreamRepository } = require('../source_code/jobs/streamRepository');
+const { incrementalFilters, validateWatermark } = require('../source_code/utils/incremental');
+const { createRows } = require('./support/cursorClient');
+const {
+  DEFAULT_CATALOG, catalogColumn, createCatalogPool, createExportApp,
+} = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+const { MemoryStreamRepository } = require('./support/memoryStreamRepository');
+
+const COLUMNS = [{ source: 'id', target: 'id' }, { source: 'name', target: 'name' }];
+
+// Client over `rows` that applies an id > $1 watermark to its cursor and
+// high-water mark queries
+function createClient(rows) {
+  const pastWatermark = (text, values) => (/"id" > \$1/.test(text)
+    ? rows.filter(row => Number(row.id) > Number(values[0]))
+    : rows);
+  let cursorRows = [];
+  let served = 0;
+
+  return {
+    query: jest.fn(async (text, values = []) => {
+      if (text.startsWith('EXPLAIN')) {
+        return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Plan Rows': rows.length } }] }] };
+      }
+      if (text.includes('AS high_water_mark')) {
+        const matching = pastWatermark(text, values);
+        return { rows: [{ high_water_mark: matching.length ? matching[matching.length - 1].id : null }] };
+      }
+      if (text.startsWith('DECLARE')) {
+        cursorRows = pastWatermark(text, values);
+        return { rows: [] };
+      }
+      if (text.startsWith('FETCH')) {
+        const batch = cursorRows.slice(served, served + Number(text.split(' ')[1]));
+        served += batch.length;
+        return { rows: batch };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn(),
+  };
+}
+
+function createJob(incremental, overrides = {}) {
+  return {
+    exportId: crypto.randomUUID(),
+    format: 'csv',
+    columns: COLUMNS,
+    compression: null,
+    filters: null,
+    options: { incremental },
+    status: 'pending',
+    createdAt: new Date(),
+    ...overrides,
+  };
+}
+
+const CATALOG = [...DEFAULT_CATALOG, catalogColumn('created_at', 'timestamp with time zone', { nullable: false })];
+
+function createApp(jobRepository, streamRepository, catalog = CATALOG) {
+  return createExportApp(jobRepository, { pool: createCatalogPool(catalog), streamRepository });
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('incrementalFilters', () => {
+  test('should add the watermark window to the key column', () => {
+    const incremental = { key: 'id', since: '100' };
+
+    expect(incrementalFilters(null, incremental)).toEqual({ id: { gt: '100' } });
+    expect(incrementalFilters({ id: { gte: 50 }, name: 'a' }, incremental, { highWaterMark: '200' })).toEqual({
+      id: { gte: 50, gt: '100', lte: '200' },
+      name: 'a',
+    });
+    expect(incrementalFilters(null, { key: 'createdAt', since: null }, { highWaterMark: '2026-10-19T09:00:00.000000Z' }))
+      .toEqual({ created_at: { lte: '2026-10-19T09:00:00.000000Z' } });
+  });
+
+  test('should leave filters alone without a window', () => {
+    const filters = { name: 'a' };
+    expect(incrementalFilters(filters, null)).toBe(filters);
+    expect(incrementalFilters(filters, { key: 'id', since: null })).toBe(filters);
+  });
+});
+
+describe('validateWatermark', () => {
+  test('should accept ids as integers or digit strings and ISO timestamps', () => {
+    expect(validateWatermark('id', 42, 'sinceId')).toBeNull();
+    expect(validateWatermark('id', '9223372036854775807', 'sinceId')).toBeNull();
+    expect(validateWatermark('createdAt', '2026-10-18T09:00:00.123456Z', 'sinceCreatedAt')).toBeNull();
+  });
+
+  test('should reject anything else', () => {
+    expect(validateWatermark('id', -1, 'sinceId')).toBe('sinceId must be a non-negative integer');
+    expect(validateWatermark('id', '1e3', 'sinceId')).toBe('sinceId must be a non-negative integer');
+    expect(validateWatermark('id', '9223372036854775808', 'sinceId')).toBe('sinceId must be a non-negative integer');
+    expect(validateWatermark('createdAt', 'yesterday', 'sinceCreatedAt')).toBe('sinceCreatedAt must be an ISO 8601 timestamp');
+  });
+});
+
+describe('runExport incrementally', () => {
+  test('should export only rows past the watermark and report the high-water mark', async () => {
+    const client = createClient(createRows(5));
+    const job = createJob({ key: 'id', since: '3' });
+
+    const result = await runExport({ connect: async () => client }, job);
+
+    expect(result.rowsExported).toBe(2);
+    expect(result.highWaterMark).toBe('5');
+    expect(fs.readFileSync(result.outputPath, 'utf8')).toBe('id,name\n4,Record_4\n5,Record_5\n');
+
+    // The high-water mark is read in the cursor's snapshot, before it opens
+    const statements = client.query.mock.calls.map(([text]) => text);
+    const begin = statements.indexOf('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    expect(statements[begin + 1]).toMatch(/AS high_water_mark FROM "records" WHERE "id" > \$1$/);
+    expect(statements[begin + 2]).toMatch(/^DECLARE/);
+  });
+
+  test('should keep the watermark when no rows are past it', async () => {
+    const job = createJob({ key: 'id', since: '5' });
+
+    const result = await runExport({ connect: async () => createClient(createRows(5)) }, job);
+
+    expect(result.rowsExported).toBe(0);
+    expect(result.highWaterMark).toBe('5');
+  });
+});
+
+describe('ExportWorker with export streams', () => {
+  test('should advance the stream to the high-water mark of a completed run', async () => {
+    const streams = new MemoryStreamRepository([{ name: 'nightly', key: 'id', watermark: '2' }]);
+    const job = createJob({ key: 'id', since: '2', stream: 'nightly' });
+    const repository = new MemoryJobRepository([job]);
+    const worker = new ExportWorker({ connect: async () => createClient(createRows(4)) }, repository, {
+      streamRepository: streams,
+    });
+
+    await worker.poll();
+    await worker.stop();
+
+    expect((await repository.get(job.exportId)).highWaterMark).toBe('4');
+    expect(await streams.get('nightly')).toMatchObject({ watermark: '4', lastExportId: job.exportId });
+  });
+
+  test('should not move a stream back for a run that started from an older watermark', async () => {
+    const streams = new MemoryStreamRepository([{ name: 'nightly', key: 'id', watermark: '4' }]);
+    const job = createJob({ key: 'id', since: '1', stream: 'nightly' });
+    const worker = new ExportWorker({ connect: async () => createClient(createRows(3)) }, new MemoryJobRepository([job]), {
+      streamRepository: streams,
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await worker.poll();
+    await worker.stop();
+    console.warn.mockRestore();
+
+    expect((await streams.get('nightly')).watermark).toBe('4');
+  });
+});
+
+describe('StreamRepository', () => {
+  test('should only advance a stream still at the expected watermark', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    const advanced = await new StreamRepository(pool).advance('nightly', null, '10', '123e4567-e89b-12d3-a456-426614174000');
+
+    expect(advanced).toBeNull();
+    expect(pool.query.mock.calls[0][0]).toMatch(/WHERE name = \$1 AND watermark IS NOT DISTINCT FROM \$2/);
+    expect(pool.query.mock.calls[0][1]).toEqual(['nightly', null, '10', '123e4567-e89b-12d3-a456-426614174000']);
+  });
+});
+
+describe('incremental export routes', () => {
+  test('should create, show and delete export streams', async () => {
+    const app = createApp(new MemoryJobRepository(), new MemoryStreamRepository());
+
+    const created = await request(app).post('/streams').send({ name: 'nightly-sync', watermark: 1000 });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ name: 'nightly-sync', source: 'records', key: 'id', watermark: '1000', lastExportId: null });
+
+    const duplicate = await request(app).post('/streams').send({ name: 'nightly-sync' });
+    expect(duplicate.status).toBe(409);
+
+    const invalid = await request(app).post('/streams').send({ name: 'hourly', key: 'updatedAt' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('key must be one of: id, createdAt');
+
+    const shown = await request(app).get('/streams/nightly-sync');
+    expect(shown.body.watermark).toBe('1000');
+
+    expect((await request(app).delete('/streams/nightly-sync')).status).toBe(204);
+    expect((await request(app).get('/streams/nightly-sync')).status).toBe(404);
+  });
+
+  test('should reject streams on a column the source lacks', async () => {
+    const app = createApp(
+      new MemoryJobRepository(),
+      new MemoryStreamRepository(),
+      CATALOG.filter(row => row.column_name !== 'created_at'),
+    );
+
+    const res = await request(app).post('/streams').send({ name: 'nightly', key: 'createdAt' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Incremental exports by createdAt require a created_at timestamp with time zone column in source "records"');
+    expect((await request(app).post('/streams').send({ name: 'nightly', key: 'id' })).status).toBe(201);
+  });
+
+  test('should reject createdAt watermarks on a timestamp without time zone', async () => {
+    const app = createApp(new MemoryJobRepository(), new MemoryStreamRepository(), [
+      ...DEFAULT_CATALOG,
+      catalogColumn('created_at', 'timestamp without time zone', { nullable: false }),
+    ]);
+
+    const res = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, sinceCreatedAt: '2026-10-18T00:00:00Z' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Incremental exports by createdAt require a created_at timestamp with time zone column in source "records"');
+  });
+
+  test('should bound id watermarks by the ordering key type', async () => {
+    const app = createApp(new MemoryJobRepository(), new MemoryStreamRepository(), [
+      catalogColumn('id', 'integer', { nullable: false, precision: 32, scale: 0 }),
+      catalogColumn('name', 'text'),
+    ]);
+
+    const since = await request(app).post('/exports').send({ format: 'csv', columns: COLUMNS, sinceId: 2147483648 });
+    expect(since.status).toBe(400);
+    expect(since.body.error).toBe('sinceId must be at most 2147483647 for the integer ordering key "id"');
+
+    const stream = await request(app).post('/streams').send({ name: 'nightly', watermark: '2147483648' });
+    expect(stream.status).toBe(400);
+    expect(stream.body.error).toBe('watermark must be at most 2147483647 for the integer ordering key "id"');
+
+    expect((await request(app).post('/exports').send({ format: 'csv', columns: COLUMNS, sinceId: 2147483647 })).status).toBe(201);
+  });
+
+  test('should start stream runs from the stream watermark', async () => {
+    const jobs = new MemoryJobRepository();
+    const app = createApp(jobs, new MemoryStreamRepository([{ name: 'nightly', source: 'records', key: 'createdAt', watermark: '2026-10-18T00:00:00.000000Z' }]));
+
+    const res = await request(app).post('/exports').send({ format: 'csv', columns: COLUMNS, stream: 'nightly' });
+
+    expect(res.status).toBe(201);
+    expect(jobs.jobs.get(res.body.exportId).options).toEqual({
+      incremental: { key: 'createdAt', since: '2026-10-18T00:00:00.000000Z', stream: 'nightly' },
+    });
+    const status = await request(app).get(`/exports/${res.body.exportId}`);
+    expect(status.body).toMatchObject({ incremental: { stream: 'nightly' }, highWaterMark: null });
+  });
+
+  test('should accept a watermark and reject conflicting ones', async () => {
+    const jobs = new MemoryJobRepository();
+    const app = createApp(jobs, new MemoryStreamRepository());
+
+    const since = await request(app).post('/exports').send({ format: 'csv', columns: COLUMNS, sinceId: 1000 });
+    expect(since.status).toBe(201);
+    expect(jobs.jobs.get(since.body.exportId).options).toEqual({ incremental: { key: 'id', since: '1000' } });
+
+    const both = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, sinceId: 1, sinceCreatedAt: '2026-10-18T00:00:00Z' });
+    expect(both.status).toBe(400);
+    expect(both.body.error).toBe('Only one of sinceId, sinceCreatedAt and stream may be given');
+
+    const clash = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, sinceId: 1, filters: { id: { gt: 5 } } });
+    expect(clash.status).toBe(400);
+    expect(clash.body.error).toBe('filters on "id" cannot use gt or lte in an incremental export');
+
+    const unknown = await request(app).post('/exports').send({ format: 'csv', columns: COLUMNS, stream: 'missing' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Unknown export stream "missing"');
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Tests for job listing, cancellation and deletion
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'job-management-test-'));
+
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { streamToCSV } = require('../source_code/streaming/csvWriter');
+const { ExportWorker } = require('../source_code/jobs/exportWorker');
+const { ExportCancelledError } = require('../source_code/utils/cancellation');
+const { createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+/**
+ * Fake client whose cursor never runs dry, like a very large table
+ */
+function createEndlessClient() {
+  return {
+    query: jest.fn(async (text) => {
+      if (text.startsWith('EXPLAIN')) {
+        return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Plan Rows': 10000000 } }] }] };
+      }
+      if (text.startsWith('FETCH')) {
+        await new Promise(resolve => setImmediate(resolve));
+        return { rows: [{ id: '1' }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn(),
+  };
+}
+
+function createJob(overrides = {}) {
+  return {
+    exportId: uuidv4(),
+    format: 'csv',
+    columns: [{ source: 'id', target: 'id' }],
+    compression: null,
+    filters: null,
+    status: 'pending',
+    createdAt: new Date(),
+    ...overrides,
+  };
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('writer cancellation', () => {
+  test('should stop fetching, close the cursor and roll back', async () => {
+    const client = createEndlessClient();
+    const controller = new AbortController();
+    const output = new PassThrough();
+    output.resume();
+
+    const exporting = streamToCSV(client, [{ source: 'id', target: 'id' }], output, {
+      signal: controller.signal,
+      onProgress: (rows) => {
+        if (rows >= 3) controller.abort();
+      },
+    });
+
+    await expect(exporting).rejects.toThrow(ExportCancelledError);
+
+    const statements = client.query.mock.calls.map(([text]) => text);
+    expect(statements.filter(text => text.startsWith('FETCH'))).toHaveLength(3);
+    expect(statements.slice(-2)).toEqual(['CLOSE csv_cursor', 'ROLLBACK']);
+  });
+});
+
+describe('ExportWorker cancellation', () => {
+  test('should abort a running job and release its client', async () => {
+    const client = createEndlessClient();
+    const repository = new MemoryJobRepository([createJob()]);
+    const [{ exportId }] = repository.jobs.values();
+    const worker = new ExportWorker({ connect: jest.fn().mockResolvedValue(client) }, repository);
+
+    await worker.poll();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await repository.cancel(exportId);
+    expect(worker.cancel(exportId)).toBe(true);
+    await worker.stop();
+
+    expect((await repository.get(exportId)).status).toBe('cancelled');
+    expect(client.release).toHaveBeenCalled();
+    expect(fs.readdirSync(process.env.EXPORT_STORAGE_DIR)).toEqual([]);
+  });
+
+  test('should abort when the job is cancelled from another replica', async () => {
+    const client = createEndlessClient();
+    const repository = new MemoryJobRepository([createJob()]);
+    const [{ exportId }] = repository.jobs.values();
+    const worker = new ExportWorker({ connect: jest.fn().mockResolvedValue(client) }, repository, {
+      progressIntervalMs: 0,
+    });
+
+    await worker.poll();
+    await repository.cancel(exportId);
+    await worker.stop();
+
+    expect((await repository.get(exportId)).status).toBe('cancelled');
+    expect(client.query.mock.calls.map(([text]) => text)).toContain('ROLLBACK');
+  });
+});
+
+describe('GET /exports', () => {
+  const repository = new MemoryJobRepository([
+    createJob({ status: 'completed', format: 'csv', createdAt: new Date(1000) }),
+    createJob({ status: 'failed', format: 'xml', createdAt: new Date(2000) }),
+    createJob({ status: 'completed', format: 'json', createdAt: new Date(3000) }),
+  ]);
+
+  test('should list jobs newest first with pagination', async () => {
+    const res = await request(createExportApp(repository)).get('/exports?limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(3);
+    expect(res.body.jobs.map(job => job.format)).toEqual(['json', 'xml']);
+  });
+
+  test('should filter by status and format', async () => {
+    const res = await request(createExportApp(repository)).get('/exports?status=completed&format=csv');
+
+    expect(res.body.jobs).toHaveLength(1);
+    expect(res.body.jobs[0].format).toBe('csv');
+  });
+
+  test('should reject invalid query parameters', async () => {
+    expect((await request(createExportApp(repository)).get('/exports?limit=0')).status).toBe(400);
+    expect((await request(createExportApp(repository)).get('/exports?offset=-1')).status).toBe(400);
+    expect((await request(createExportApp(repository)).get('/exports?status=done')).status).toBe(400);
+  });
+});
+
+describe('POST /exports/:exportId/cancel', () => {
+  test('should cancel a running job and stop the local worker', async () => {
+    const job = createJob({ status: 'processing' });
+    const worker = { wake: jest.fn(), cancel: jest.fn() };
+    const res = await request(createExportApp(new MemoryJobRepository([job]), { worker })).post(`/exports/${job.exportId}/cancel`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('cancelled');
+    expect(worker.cancel).toHaveBeenCalledWith(job.exportId);
+  });
+
+  test('should return 409 for finished jobs', async () => {
+    const job = createJob({ status: 'completed' });
+    const res = await request(createExportApp(new MemoryJobRepository([job]))).post(`/exports/${job.exportId}/cancel`);
+
+    expect(res.status).toBe(409);
+  });
+
+  test('should return 404 for unknown jobs', async () => {
+    const res = await request(createExportApp(new MemoryJobRepository())).post(`/exports/${uuidv4()}/cancel`);
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /exports/:exportId', () => {
+  test('should delete the job and its stored file', async () => {
+    const outputPath = path.join(process.env.EXPORT_STORAGE_DIR, 'to-delete.csv');
+    fs.writeFileSync(outputPath, 'id\n1\n');
+    const job = createJob({ status: 'completed', outputPath });
+    const repository = new MemoryJobRepository([job]);
+
+    const res = await request(createExportApp(repository)).delete(`/exports/${job.exportId}`);
+
+    expect(res.status).toBe(204);
+    expect(await repository.get(job.exportId)).toBeNull();
+    expect(fs.existsSync(outputPath)).toBe(false);
+  });
+
+  test('should cancel a running job before deleting it', async () => {
+    const job = createJob({ status: 'processing' });
+    const worker = { wake: jest.fn(), cancel: jest.fn() };
+
+    const res = await request(createExportApp(new MemoryJobRepository([job]), { worker })).delete(`/exports/${job.exportId}`);
+
+    expect(res.status).toBe(204);
+    expect(worker.cancel).toHaveBeenCalledWith(job.exportId);
+  });
+});
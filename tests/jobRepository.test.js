@@ -0,0 +1,155 @@
+/**
+ * Tests for the PostgreSQL-backed export job repository
+ */
+
+const { JobRepository, rowToJob } = require('../source_code/jobs/jobRepository');
+
+const EXPORT_ID = '123e4567-e89b-12d3-a456-426614174000';
+
+function createRow(overrides = {}) {
+  return {
+    export_id: EXPORT_ID,
+    format: 'csv',
+    columns: [{ source: 'id', target: 'id' }],
+    compression: null,
+    filters: null,
+    options: null,
+    status: 'pending',
+    rows_exported: '0',
+    total_rows: null,
+    percentage: 0,
+    eta_seconds: null,
+    output_path: null,
+    output_size: null,
+    max_buffered_bytes: null,
+    high_water_mark: null,
+    source: null,
+    error: null,
+    attempts: 0,
+    worker_id: null,
+    heartbeat_at: null,
+    created_at: new Date('2026-10-19T09:00:00Z'),
+    started_at: null,
+    completed_at: null,
+    ...overrides,
+  };
+}
+
+function createRepository(rows = [createRow()]) {
+  const pool = { query: jest.fn().mockResolvedValue({ rows }) };
+  return { pool, repository: new JobRepository(pool) };
+}
+
+describe('rowToJob', () => {
+  test('should map columns to camelCase and BIGINTs to numbers', () => {
+    const job = rowToJob(createRow({ rows_exported: '10000', total_rows: '10000000', output_size: '2048' }));
+
+    expect(job).toMatchObject({
+      exportId: EXPORT_ID,
+      rowsExported: 10000,
+      totalRows: 10000000,
+      outputSize: 2048,
+    });
+  });
+});
+
+describe('JobRepository', () => {
+  test('should create the table idempotently', async () => {
+    const { pool, repository } = createRepository();
+    await repository.ensureSchema();
+
+    expect(pool.query.mock.calls[0][0]).toMatch(/CREATE TABLE IF NOT EXISTS export_jobs/);
+    expect(pool.query.mock.calls[0][0]).toMatch(/ADD COLUMN IF NOT EXISTS options JSONB/);
+  });
+
+  test('should serialize columns and filters as JSON on insert', async () => {
+    const { pool, repository } = createRepository();
+    await repository.create({
+      exportId: EXPORT_ID,
+      format: 'csv',
+      columns: [{ source: 'id', target: 'id' }],
+      compression: null,
+      filters: { name: 'Record_1' },
+      status: 'pending',
+      createdAt: new Date(),
+    });
+
+    const values = pool.query.mock.calls[0][1];
+    expect(values[2]).toBe('[{"source":"id","target":"id"}]');
+    expect(values[4]).toBe('{"name":"Record_1"}');
+    expect(values[5]).toBeNull();
+  });
+
+  test('should store format options as JSON', async () => {
+    const { pool, repository } = createRepository();
+    await repository.create({
+      exportId: EXPORT_ID,
+      format: 'parquet',
+      columns: [{ source: 'id', target: 'id' }],
+      compression: null,
+      filters: null,
+      options: { parquetOptions: { compression: 'zstd' } },
+      status: 'pending',
+      createdAt: new Date(),
+    });
+
+    expect(pool.query.mock.calls[0][0]).toMatch(/filters, options, status/);
+    expect(pool.query.mock.calls[0][1][5]).toBe('{"parquetOptions":{"compression":"zstd"}}');
+  });
+
+  test('should return null for ids that are not UUIDs without querying', async () => {
+    const { pool, repository } = createRepository();
+
+    expect(await repository.get('not-a-uuid')).toBeNull();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('should build updates from known fields only', async () => {
+    const { pool, repository } = createRepository();
+    await repository.update(EXPORT_ID, { rowsExported: 5, percentage: 50 }, { expectedStatus: 'processing' });
+
+    const [text, values] = pool.query.mock.calls[0];
+    expect(text).toBe(
+      'UPDATE export_jobs SET heartbeat_at = NOW(), rows_exported = $2, percentage = $3 '
+        + 'WHERE export_id = $1 AND status = $4 RETURNING *',
+    );
+    expect(values).toEqual([EXPORT_ID, 5, 50, 'processing']);
+
+    await expect(repository.update(EXPORT_ID, { format: 'xml' })).rejects.toThrow(/Unknown export job field/);
+  });
+
+  test('should claim pending jobs with SKIP LOCKED', async () => {
+    const { pool, repository } = createRepository([createRow({ status: 'processing', attempts: 1 })]);
+    const job = await repository.claimNext('worker-1');
+
+    expect(pool.query.mock.calls[0][0]).toMatch(/FOR UPDATE SKIP LOCKED/);
+    expect(job.status).toBe('processing');
+  });
+
+  test('should re-queue or fail stale processing jobs', async () => {
+    const { pool, repository } = createRepository([createRow({ status: 'pending' })]);
+    const recovered = await repository.recoverStaleJobs({ staleAfterMs: 60000, maxAttempts: 3 });
+
+    expect(pool.query.mock.calls[0][1]).toEqual([60, 3]);
+    expect(recovered[0].status).toBe('pending');
+  });
+
+  test('should list with filters, pagination and a window count', async () => {
+    const { pool, repository } = createRepository([createRow({ total_count: '42' })]);
+    const { jobs, total } = await repository.list({ status: 'completed', format: 'csv', limit: 10, offset: 20 });
+
+    const [text, values] = pool.query.mock.calls[0];
+    expect(text).toMatch(/WHERE status = \$1 AND format = \$2/);
+    expect(text).toMatch(/LIMIT \$3 OFFSET \$4/);
+    expect(values).toEqual(['completed', 'csv', 10, 20]);
+    expect(jobs).toHaveLength(1);
+    expect(total).toBe(42);
+  });
+
+  test('should only cancel pending or processing jobs', async () => {
+    const { pool, repository } = createRepository([]);
+
+    expect(await repository.cancel(EXPORT_ID)).toBeNull();
+    expect(pool.query.mock.calls[0][0]).toMatch(/status IN \('pending', 'processing'\)/);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for the newline-delimited JSON writer
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+
+process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ndjson-test-'));
+
+const { streamToNDJSON } = require('../source_code/streaming/ndjsonWriter');
+const { runExport } = require('../source_code/jobs/exportRunner');
+const { createCursorClient } = require('./support/cursorClient');
+
+const ROWS = [
+  { id: '1', name: 'Record_1', metadata: { tags: ['a', 'b'] } },
+  { id: '2', name: 'line\nbreak', metadata: null },
+];
+
+const COLUMNS = [
+  { source: 'id', target: 'id' },
+  { source: 'name', target: 'label' },
+  { source: 'metadata', target: 'metadata' },
+];
+
+function collect(stream) {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  return new Promise(resolve => stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8'))));
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('streamToNDJSON', () => {
+  test('should write one renamed object per line', async () => {
+    const output = new PassThrough();
+    const text = collect(output);
+
+    const rowCount = await streamToNDJSON(createCursorClient(ROWS), COLUMNS, output);
+
+    expect(rowCount).toBe(2);
+    const lines = (await text).split('\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[2]).toBe('');
+    expect(JSON.parse(lines[0])).toEqual({ id: '1', label: 'Record_1', metadata: { tags: ['a', 'b'] } });
+    expect(JSON.parse(lines[1])).toEqual({ id: '2', label: 'line\nbreak', metadata: null });
+  });
+
+  test('should gzip the stored file when requested', async () => {
+    const client = createCursorClient(ROWS);
+    const job = {
+      exportId: '123e4567-e89b-12d3-a456-426614174000',
+      format: 'ndjson',
+      columns: COLUMNS,
+      compression: 'gzip',
+      filters: null,
+    };
+
+    const { outputPath, rowsExported } = await runExport({ connect: async () => client }, job);
+
+    expect(outputPath).toMatch(/\.ndjson\.gz$/);
+    expect(rowsExported).toBe(2);
+    const lines = zlib.gunzipSync(fs.readFileSync(outputPath)).toString('utf8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).id)).toEqual(['1', '2']);
+  });
+});
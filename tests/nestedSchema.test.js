@@ -0,0 +1,150 @@
+/**
+ * Tests for JSONB shapes used by nested Parquet output
+ */
+
+const request = require('supertest');
+const { catalogColumn, createCatalogPool, createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+const {
+  conformToShape,
+  inferShape,
+  parseSubSchema,
+  validateNestedOption,
+} = require('../source_code/utils/nestedSchema');
+
+describe('validateNestedOption', () => {
+  test('should accept sampling and sub-schemas', () => {
+    expect(validateNestedOption(true)).toBeNull();
+    expect(validateNestedOption({ sampleRows: 50 })).toBeNull();
+    expect(validateNestedOption({ schema: { category: 'string', tags: ['string'], dims: { w: 'double' } } })).toBeNull();
+  });
+
+  test('should reject malformed options', () => {
+    expect(validateNestedOption('yes')).toMatch(/must be true or an object/);
+    expect(validateNestedOption({ sampleRows: 0 })).toMatch(/sampleRows/);
+    expect(validateNestedOption({ sampleRows: 5, schema: { a: 'string' } })).toMatch(/not both/);
+    expect(validateNestedOption({ depth: 2 })).toMatch(/Unknown nested option "depth"/);
+  });
+
+  test('should point at the invalid part of a sub-schema', () => {
+    expect(validateNestedOption({ schema: { dims: { w: 'float' } } })).toMatch(/^nested\.schema\.dims\.w: unknown type "float"/);
+    expect(validateNestedOption({ schema: { tags: ['string', 'int64'] } })).toMatch(/exactly one element/);
+    expect(validateNestedOption({ schema: { grid: [['int64']] } })).toMatch(/lists of lists/);
+    expect(validateNestedOption({ schema: {} })).toMatch(/at least one field/);
+    expect(validateNestedOption({ schema: { 'a,b': 'string' } })).toMatch(/commas/);
+  });
+});
+
+describe('parseSubSchema', () => {
+  test('should build groups, lists and leaves', () => {
+    expect(parseSubSchema({ tags: ['string'], dims: { w: 'double' } })).toEqual({
+      kind: 'group',
+      fields: {
+        tags: { kind: 'list', element: { kind: 'leaf', type: 'string' } },
+        dims: { kind: 'group', fields: { w: { kind: 'leaf', type: 'double' } } },
+      },
+    });
+  });
+});
+
+describe('inferShape', () => {
+  test('should merge the fields seen across sampled values', () => {
+    const shape = inferShape([
+      { category: 'Books', score: 3, tags: ['a'] },
+      { category: 'Games', score: 4.5, items: [{ sku: 'x', qty: 1 }] },
+      null,
+    ]);
+
+    expect(shape).toEqual({
+      kind: 'group',
+      fields: {
+        category: { kind: 'leaf', type: 'string' },
+        score: { kind: 'leaf', type: 'double' },
+        tags: { kind: 'list', element: { kind: 'leaf', type: 'string' } },
+        items: {
+          kind: 'list',
+          element: {
+            kind: 'group',
+            fields: { sku: { kind: 'leaf', type: 'string' }, qty: { kind: 'leaf', type: 'int64' } },
+          },
+        },
+      },
+    });
+  });
+
+  test('should fall back to strings for fields without one consistent shape', () => {
+    const shape = inferShape([
+      { mixed: 1, always_null: null, empty: {}, grid: [[1]] },
+      { mixed: 'one' },
+    ]);
+
+    const string = { kind: 'leaf', type: 'string' };
+    expect(shape.fields).toEqual({ mixed: string, always_null: string, empty: string, grid: string });
+    expect(inferShape([])).toEqual(string);
+    expect(inferShape([{ 'a,b': 1 }])).toEqual(string);
+  });
+});
+
+describe('conformToShape', () => {
+  const shape = parseSubSchema({ count: 'int64', label: 'string', tags: ['string'], dims: { w: 'double' } });
+
+  test('should convert values to the shape', () => {
+    const stats = { mismatches: 0 };
+    expect(conformToShape({ count: 2, label: { en: 'x' }, tags: ['a', null], dims: { w: 1.5 } }, shape, stats)).toEqual({
+      count: 2n,
+      label: '{"en":"x"}',
+      tags: ['a'],
+      dims: { w: 1.5 },
+    });
+    expect(stats.mismatches).toBe(0);
+  });
+
+  test('should leave out and count values that do not fit', () => {
+    const stats = { mismatches: 0 };
+    expect(conformToShape({ count: 'two', tags: 'a', dims: [1], extra: true }, shape, stats)).toEqual({
+      count: null,
+      label: null,
+      tags: null,
+      dims: null,
+    });
+    expect(stats.mismatches).toBe(4);
+  });
+});
+
+describe('POST /exports nested columns', () => {
+  const catalog = [
+    catalogColumn('id', 'bigint', { nullable: false, precision: 64, scale: 0 }),
+    catalogColumn('metadata', 'jsonb'),
+  ];
+
+  const exportWith = (format, column) => request(createExportApp(new MemoryJobRepository(), { pool: createCatalogPool(catalog) }))
+    .post('/exports')
+    .send({ format, columns: [{ source: 'id', target: 'id' }, column] });
+
+  test('should accept nested JSONB columns and JSONB paths for Parquet', async () => {
+    expect((await exportWith('parquet', { source: 'metadata', target: 'metadata', nested: true })).status).toBe(201);
+    expect((await exportWith('parquet', { source: 'metadata.dims', target: 'dims', nested: { schema: { w: 'double' } } })).status).toBe(201);
+  });
+
+  test('should reject nested output for other formats and columns', async () => {
+    const csv = await exportWith('csv', { source: 'metadata', target: 'metadata', nested: true });
+    expect(csv.status).toBe(400);
+    expect(csv.body.error).toMatch(/only supported for parquet/);
+
+    const scalar = await exportWith('parquet', { source: 'id', target: 'id2', nested: true });
+    expect(scalar.status).toBe(400);
+    expect(scalar.body.error).toMatch(/json or jsonb column source \(column "id2"\)/);
+
+    const invalid = await exportWith('parquet', { source: 'metadata', target: 'metadata', nested: { schema: { w: 'float' } } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatch(/nested\.schema\.w: unknown type/);
+  });
+
+  test('should reject Parquet column targets containing commas', async () => {
+    const parquet = await exportWith('parquet', { source: 'metadata', target: 'a,b' });
+    expect(parquet.status).toBe(400);
+    expect(parquet.body.error).toBe('Parquet column targets must not contain commas (column "a,b")');
+
+    expect((await exportWith('csv', { source: 'metadata', target: 'a,b' })).status).toBe(201);
+  });
+});
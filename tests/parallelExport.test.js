@@ -0,0 +1,306 @@
+/**
+ * Tests for parallel range-partitioned exports
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'parallel-export-test-'));
+
+const request = require('supertest');
+const { runExport } = require('../source_code/jobs/exportRunner');
+const { benchmarkThroughput } = require('../source_code/utils/benchmark');
+const { idRanges, maxParallelPartitions, validateParallelOption } = require('../source_code/utils/parallelExport');
+const { createRows } = require('./support/cursorClient');
+const { DEFAULT_CATALOG, createCatalogPool, createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const COLUMNS = [{ source: 'id', target: 'id' }, { source: 'name', target: 'name' }];
+
+const SNAPSHOT = '00000003-0000001B-1';
+
+// Pool of clients over `rows`; a partition's cursor serves the ids between
+// the first two query values (gte, lt). failIds makes the FETCH reaching
+// one of those ids fail. With max, connect() waits for a released client
+// and fails after 200ms, like pg's connectionTimeoutMillis. holdMs delays
+// each cursor's first FETCH
+function createPool(rows, { failIds = [], max = Infinity, holdMs = 0 } = {}) {
+  const clients = [];
+  const waiting = [];
+  let connected = 0;
+
+  async function connect() {
+    if (connected >= max) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(resolve), 1);
+          reject(new Error('timeout exceeded when trying to connect'));
+        }, 200);
+        waiting.push(() => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+    connected++;
+    // Connecting takes a while, so concurrent jobs connect side by side
+    if (max !== Infinity) await new Promise(resolve => setTimeout(resolve, 10));
+    return createClient();
+  }
+
+  function createClient() {
+    let cursorRows = [];
+    let served = 0;
+    const client = {
+      query: jest.fn(async (text, values = []) => {
+        if (text.startsWith('EXPLAIN')) {
+          return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Plan Rows': rows.length } }] }] };
+        }
+        if (text.includes('pg_export_snapshot')) {
+          return { rows: [{ snapshot: SNAPSHOT }] };
+        }
+        if (text.startsWith('SELECT min(')) {
+          const ids = rows.map(row => Number(row.id));
+          return { rows: [ids.length ? { min: String(Math.min(...ids)), max: String(Math.max(...ids)) } : { min: null, max: null }] };
+        }
+        if (text.startsWith('DECLARE')) {
+          cursorRows = values.length >= 2
+            ? rows.filter(row => Number(row.id) >= Number(values[0]) && Number(row.id) < Number(values[1]))
+            : rows;
+          return { rows: [] };
+        }
+        if (text.startsWith('FETCH')) {
+          if (served === 0 && holdMs) await new Promise(resolve => setTimeout(resolve, holdMs));
+          const batch = cursorRows.slice(served, served + Number(text.split(' ')[1]));
+          served += batch.length;
+          if (batch.some(row => failIds.includes(row.id))) throw new Error('connection lost');
+          return { rows: batch };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn(() => {
+        connected--;
+        if (waiting.length > 0) waiting.shift()();
+      }),
+    };
+    clients.push(client);
+    return client;
+  }
+
+  return { connect: jest.fn(connect), clients };
+}
+
+function createJob(parallel, overrides = {}) {
+  return {
+    exportId: crypto.randomUUID(),
+    format: 'csv',
+    columns: COLUMNS,
+    compression: null,
+    filters: null,
+    options: { parallel, batchSize: 2 },
+    ...overrides,
+  };
+}
+
+function statements(client) {
+  return client.query.mock.calls.map(([text]) => text);
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('idRanges', () => {
+  test('should split the ids into contiguous ranges covering min to max', () => {
+    expect(idRanges('1', '10', 4)).toEqual([
+      { gte: '1', lt: '4' },
+      { gte: '4', lt: '7' },
+      { gte: '7', lt: '10' },
+      { gte: '10', lt: '11' },
+    ]);
+  });
+
+  test('should return fewer ranges than partitions for narrow keyspaces', () => {
+    expect(idRanges('5', '6', 4)).toEqual([{ gte: '5', lt: '6' }, { gte: '6', lt: '7' }]);
+  });
+
+  test('should handle ids beyond the safe integer range', () => {
+    const ranges = idRanges('9007199254740993', '9007199254740996', 2);
+    expect(ranges).toEqual([
+      { gte: '9007199254740993', lt: '9007199254740995' },
+      { gte: '9007199254740995', lt: '9007199254740997' },
+    ]);
+  });
+});
+
+describe('validateParallelOption', () => {
+  test('should accept partitions with an optional output', () => {
+    expect(validateParallelOption({ partitions: 4 })).toBeNull();
+    expect(validateParallelOption({ partitions: 8, output: 'files' })).toBeNull();
+  });
+
+  test('should reject malformed options', () => {
+    expect(validateParallelOption(4)).toBe('parallel must be an object');
+    expect(validateParallelOption({ partitions: 4, workers: 2 })).toBe('Unknown parallel option "workers"');
+    expect(validateParallelOption({ partitions: 1 })).toBe('parallel.partitions must be an integer between 2 and 8');
+    expect(validateParallelOption({ partitions: 2, output: 'zip' })).toBe('parallel.output must be one of: ordered, files');
+  });
+
+  test('should leave room in the pool for the running jobs, live downloads and repository queries', () => {
+    expect(maxParallelPartitions(10, 2, 2)).toBe(5);
+    expect(maxParallelPartitions(5, 2)).toBe(2);
+    expect(maxParallelPartitions(20, 2, 2)).toBe(8);
+    expect(maxParallelPartitions(undefined)).toBe(8);
+    expect(validateParallelOption({ partitions: 4 }, maxParallelPartitions(8, 2, 2)))
+      .toBe('parallel.partitions must be an integer between 2 and 3');
+    expect(validateParallelOption({ partitions: 2 }, maxParallelPartitions(5, 2, 2))).toMatch(/raise POSTGRES_POOL_MAX$/);
+  });
+});
+
+describe('runExport in parallel', () => {
+  test('should reassemble the partitions in id order into one file', async () => {
+    const pool = createPool(createRows(10));
+    const job = createJob({ partitions: 3, output: 'ordered' });
+
+    const result = await runExport(pool, job);
+
+    expect(result.rowsExported).toBe(10);
+    const expected = ['id,name', ...createRows(10).map(row => `${row.id},${row.name}`)].join('\n');
+    expect(fs.readFileSync(result.outputPath, 'utf8').trim()).toBe(expected);
+
+    // The job's client exports the snapshot and holds it until the end
+    const [coordinator, ...partitions] = pool.clients;
+    expect(statements(coordinator)).toContain('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    expect(statements(coordinator).slice(-1)).toEqual(['COMMIT']);
+    expect(partitions).toHaveLength(3);
+    for (const partition of partitions) {
+      expect(statements(partition).slice(0, 2)).toEqual([
+        'BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY',
+        `SET TRANSACTION SNAPSHOT '${SNAPSHOT}'`,
+      ]);
+      expect(statements(partition).slice(-1)).toEqual(['COMMIT']);
+    }
+    pool.clients.forEach(client => expect(client.release).toHaveBeenCalledTimes(1));
+  });
+
+  test('should write one part file per partition with its id range', async () => {
+    const pool = createPool(createRows(10));
+    const job = createJob({ partitions: 2, output: 'files' });
+
+    const result = await runExport(pool, job);
+
+    expect(result.rowsExported).toBe(10);
+    const manifest = JSON.parse(fs.readFileSync(path.join(result.outputPath, 'manifest.json'), 'utf8'));
+    expect(manifest.parts.map(({ file, rows, range }) => ({ file, rows, range }))).toEqual([
+      { file: 'part-00000.csv', rows: 5, range: { gte: '1', lt: '6' } },
+      { file: 'part-00001.csv', rows: 5, range: { gte: '6', lt: '11' } },
+    ]);
+    expect(fs.readFileSync(path.join(result.outputPath, 'part-00001.csv'), 'utf8').trim())
+      .toBe('id,name\n6,Record_6\n7,Record_7\n8,Record_8\n9,Record_9\n10,Record_10');
+  });
+
+  test('should read an empty selection as a single partition', async () => {
+    const pool = createPool([]);
+    const job = createJob({ partitions: 4, output: 'files' });
+
+    const result = await runExport(pool, job);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(result.outputPath, 'manifest.json'), 'utf8'));
+    expect(manifest.parts).toHaveLength(1);
+    expect(manifest.parts[0]).toMatchObject({ rows: 0, range: null });
+    expect(pool.clients).toHaveLength(2);
+  });
+
+  test('should stop the other partitions and clean up when one fails', async () => {
+    const pool = createPool(createRows(40), { failIds: ['21'] });
+    const job = createJob({ partitions: 2, output: 'files' });
+
+    await expect(runExport(pool, job)).rejects.toThrow('connection lost');
+
+    const [coordinator, ...partitions] = pool.clients;
+    expect(statements(coordinator).slice(-1)).toEqual(['ROLLBACK']);
+    partitions.forEach(partition => expect(statements(partition).slice(-1)).toEqual(['ROLLBACK']));
+    pool.clients.forEach(client => expect(client.release).toHaveBeenCalledTimes(1));
+    expect(fs.readdirSync(process.env.EXPORT_STORAGE_DIR).filter(name => name.includes(job.exportId))).toEqual([]);
+  });
+
+  test('should queue a parallel job until the running one releases its partitions', async () => {
+    // Room for both jobs' own connections and the partitions of one; the
+    // first job holds its partitions longer than the connect timeout
+    const pool = createPool(createRows(10), { max: 4, holdMs: 300 });
+
+    const results = await Promise.all([
+      runExport(pool, createJob({ partitions: 2, output: 'ordered' })),
+      runExport(pool, createJob({ partitions: 2, output: 'ordered' })),
+    ]);
+
+    expect(results.map(result => result.rowsExported)).toEqual([10, 10]);
+    expect(pool.clients).toHaveLength(6);
+  });
+});
+
+describe('benchmarkThroughput', () => {
+  test('should compare the parallel paths within the partition limit', async () => {
+    const pool = createPool(createRows(10));
+
+    const throughput = await benchmarkThroughput(pool, 3);
+
+    expect(throughput.partitions).toBe(3);
+    expect(throughput.results.map(result => result.mode)).toEqual(['single-cursor', 'parallel-ordered', 'parallel-files']);
+    // One connection per export, plus one per partition for each parallel path
+    expect(pool.clients).toHaveLength(9);
+  });
+
+  test('should skip the parallel paths when fewer than 2 partitions fit', async () => {
+    const pool = createPool(createRows(10));
+
+    const throughput = await benchmarkThroughput(pool, 1);
+
+    expect(throughput.partitions).toBeNull();
+    expect(throughput.results.map(result => result.mode)).toEqual(['single-cursor']);
+    expect(pool.clients).toHaveLength(1);
+  });
+});
+
+describe('POST /exports parallel', () => {
+  test('should record the effective parallel settings', async () => {
+    const repository = new MemoryJobRepository();
+    const app = createExportApp(repository);
+
+    const res = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, parallel: { partitions: 4 } });
+
+    expect(res.status).toBe(201);
+    expect(repository.jobs.get(res.body.exportId).options).toEqual({ parallel: { partitions: 4, output: 'ordered' } });
+  });
+
+  test('should reject invalid parallel settings', async () => {
+    const app = createExportApp(new MemoryJobRepository());
+
+    const partitions = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, parallel: { partitions: 9 } });
+    expect(partitions.status).toBe(400);
+    expect(partitions.body.error).toBe('parallel.partitions must be an integer between 2 and 8');
+
+    const pooled = await request(createExportApp(new MemoryJobRepository(), { pool: createCatalogPool(DEFAULT_CATALOG, { max: 8 }) }))
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, parallel: { partitions: 5 } });
+    expect(pooled.status).toBe(400);
+    expect(pooled.body.error).toBe('parallel.partitions must be an integer between 2 and 4');
+
+    const limits = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, parallel: { partitions: 2, output: 'files' }, maxRowsPerFile: 100 });
+    expect(limits.status).toBe(400);
+    expect(limits.body.error).toBe('maxRowsPerFile and maxBytesPerFile are not supported with parallel files output');
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Tests for per-export Parquet writer options
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const parquet = require('@dsnp/parquetjs');
+const { streamToParquet } = require('../source_code/streaming/parquetWriter');
+const { resolveParquetOptions, validateParquetOptions } = require('../source_code/utils/parquetOptions');
+const { registerParquetZstd } = require('../source_code/utils/parquetZstd');
+const { createCursorClient } = require('./support/cursorClient');
+const { catalogColumn, createCatalogPool, createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const FIELDS = [
+  { name: 'id', tableID: 16384, columnID: 1, dataTypeID: 20, dataTypeModifier: -1 },
+  { name: 'active', tableID: 16384, columnID: 6, dataTypeID: 16, dataTypeModifier: -1 },
+];
+
+const COLUMNS = [{ source: 'id', target: 'id' }, { source: 'active', target: 'active' }];
+
+const CATALOG = [
+  catalogColumn('id', 'bigint', { nullable: false, precision: 64, scale: 0 }),
+  catalogColumn('active', 'boolean'),
+];
+
+function createRows(total) {
+  return Array.from({ length: total }, (_, i) => ({ id: String(i), active: i % 3 === 0 }));
+}
+
+let tempDir;
+
+beforeAll(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parquet-options-test-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('validateParquetOptions', () => {
+  const columnTypes = { id: 'bigint', active: 'boolean' };
+
+  test('should accept every documented setting', () => {
+    expect(validateParquetOptions({
+      compression: 'zstd',
+      rowGroupSize: 50000,
+      pageSize: 8192,
+      dataPageV2: true,
+      columns: { active: { encoding: 'RLE', dictionary: false }, id: { encoding: 'PLAIN' } },
+    }, columnTypes)).toBeNull();
+  });
+
+  test('should reject invalid settings', () => {
+    expect(validateParquetOptions('snappy', columnTypes)).toMatch(/must be an object/);
+    expect(validateParquetOptions({ compression: 'lz4' }, columnTypes)).toMatch(/none, snappy, gzip, brotli, zstd/);
+    expect(validateParquetOptions({ rowGroupSize: 0 }, columnTypes)).toMatch(/rowGroupSize/);
+    expect(validateParquetOptions({ pageSize: 1.5 }, columnTypes)).toMatch(/pageSize/);
+    expect(validateParquetOptions({ dataPageV2: 'yes' }, columnTypes)).toMatch(/dataPageV2/);
+    expect(validateParquetOptions({ enableDict: true }, columnTypes)).toMatch(/Unknown parquetOptions option "enableDict"/);
+  });
+
+  test('should check per-column settings against the exported columns', () => {
+    expect(validateParquetOptions({ columns: { name: {} } }, columnTypes)).toMatch(/unknown target column "name"/);
+    expect(validateParquetOptions({ columns: { id: { encoding: 'RLE' } } }, columnTypes)).toMatch(/only supported for boolean/);
+    expect(validateParquetOptions({ columns: { id: { encoding: 'DELTA' } } }, columnTypes)).toMatch(/PLAIN, RLE/);
+    expect(validateParquetOptions({ columns: { id: { dictionary: true } } }, columnTypes)).toMatch(/not supported/);
+  });
+});
+
+describe('resolveParquetOptions', () => {
+  test('should fill in the defaults', () => {
+    expect(resolveParquetOptions({ pageSize: 8192 })).toEqual({
+      compression: 'snappy',
+      rowGroupSize: 10000,
+      pageSize: 8192,
+      dataPageV2: false,
+      columns: {},
+    });
+    expect(resolveParquetOptions(null)).toEqual(resolveParquetOptions());
+  });
+});
+
+describe('registerParquetZstd', () => {
+  test('should add ZSTD next to the parquetjs codecs', () => {
+    const gzip = { deflate: jest.fn(), inflate: jest.fn() };
+    const methods = { GZIP: gzip };
+
+    registerParquetZstd(methods);
+
+    expect(methods).toEqual({ GZIP: gzip, ZSTD: { deflate: expect.any(Function), inflate: expect.any(Function) } });
+  });
+
+  test('should fail loudly when the codec table has moved', () => {
+    expect(() => registerParquetZstd({})).toThrow('@dsnp/parquetjs codec table not found');
+  });
+});
+
+describe('streamToParquet with parquetOptions', () => {
+  async function exportWith(parquetOptions, total = 250) {
+    const outputPath = path.join(tempDir, `export-${Date.now()}-${Math.random()}.parquet`);
+    await streamToParquet(createCursorClient(createRows(total), { fields: FIELDS, batchSize: 100 }), COLUMNS, fs.createWriteStream(outputPath), { parquetOptions });
+
+    const reader = await parquet.ParquetReader.openFile(outputPath);
+    const rows = [];
+    const cursor = reader.getCursor();
+    let row;
+    while ((row = await cursor.next())) rows.push(row);
+    const { metadata } = reader;
+    await reader.close();
+    return { rows, metadata };
+  }
+
+  test('should compress every column with the default SNAPPY codec', async () => {
+    const { metadata } = await exportWith(undefined);
+    const codecs = metadata.row_groups[0].columns.map(column => column.meta_data.codec);
+    expect(codecs).toEqual([1, 1]);
+  });
+
+  test('should write zstd pages that read back', async () => {
+    const { rows, metadata } = await exportWith({ compression: 'zstd' });
+    expect(metadata.row_groups[0].columns.map(column => column.meta_data.codec)).toEqual([6, 6]);
+    expect(rows).toHaveLength(250);
+    expect(rows[249]).toEqual({ id: 249n, active: true });
+  });
+
+  test('should apply the row group size, data page v2 and column encodings', async () => {
+    const { rows, metadata } = await exportWith({
+      compression: 'none',
+      rowGroupSize: 100,
+      pageSize: 10,
+      dataPageV2: true,
+      columns: { active: { encoding: 'RLE' } },
+    });
+
+    expect(metadata.row_groups.map(group => Number(group.num_rows))).toEqual([100, 100, 50]);
+    const [id, active] = metadata.row_groups[0].columns.map(column => column.meta_data);
+    expect(id.codec).toBe(0);
+    // RLE (3) holds the values of active; PLAIN (0) those of id
+    expect(active.encodings).toContain(3);
+    expect(id.encodings).toContain(0);
+    expect(rows.slice(0, 3)).toEqual([{ id: 0n, active: true }, { id: 1n, active: false }, { id: 2n, active: false }]);
+  });
+});
+
+describe('POST /exports parquetOptions', () => {
+  test('should record the effective settings on the job', async () => {
+    const repository = new MemoryJobRepository();
+    const app = createExportApp(repository, { pool: createCatalogPool(CATALOG) });
+
+    const created = await request(app)
+      .post('/exports')
+      .send({ format: 'parquet', columns: COLUMNS, parquetOptions: { compression: 'gzip', columns: { active: { encoding: 'RLE' } } } });
+    expect(created.status).toBe(201);
+
+    const expected = {
+      compression: 'gzip',
+      rowGroupSize: 10000,
+      pageSize: 1024,
+      dataPageV2: false,
+      columns: { active: { encoding: 'RLE' } },
+    };
+    expect(repository.jobs.get(created.body.exportId).options).toEqual({ parquetOptions: expected });
+
+    const status = await request(app).get(`/exports/${created.body.exportId}`);
+    expect(status.body.parquetOptions).toEqual(expected);
+  });
+
+  test('should record the defaults when no parquetOptions are given', async () => {
+    const repository = new MemoryJobRepository();
+    const created = await request(createExportApp(repository, { pool: createCatalogPool(CATALOG) }))
+      .post('/exports')
+      .send({ format: 'parquet', columns: COLUMNS });
+
+    expect(repository.jobs.get(created.body.exportId).options.parquetOptions).toMatchObject({ compression: 'snappy' });
+  });
+
+  test('should reject invalid or misplaced parquetOptions', async () => {
+    const app = createExportApp(new MemoryJobRepository(), { pool: createCatalogPool(CATALOG) });
+
+    const csv = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, parquetOptions: { compression: 'gzip' } });
+    expect(csv.status).toBe(400);
+    expect(csv.body.error).toMatch(/only supported for parquet/);
+
+    const rle = await request(app)
+      .post('/exports')
+      .send({ format: 'parquet', columns: COLUMNS, parquetOptions: { columns: { id: { encoding: 'RLE' } } } });
+    expect(rle.status).toBe(400);
+    expect(rle.body.error).toMatch(/RLE is only supported for boolean columns/);
+  });
+});
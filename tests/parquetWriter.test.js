@@ -0,0 +1,254 @@
+/**
+ * Tests for the Parquet writer's type-derived schema
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const parquet = require('@dsnp/parquetjs');
+const { streamToParquet, createParquetSchema } = require('../source_code/streaming/parquetWriter');
+const { createCursorClient } = require('./support/cursorClient');
+
+const FIELDS = [
+  { name: 'id', tableID: 16384, columnID: 1, dataTypeID: 20, dataTypeModifier: -1 },
+  { name: 'created_at', tableID: 16384, columnID: 2, dataTypeID: 1184, dataTypeModifier: -1 },
+  { name: 'value', tableID: 16384, columnID: 4, dataTypeID: 1700, dataTypeModifier: ((18 << 16) | 4) + 4 },
+  { name: 'metadata', tableID: 16384, columnID: 5, dataTypeID: 3802, dataTypeModifier: -1 },
+  { name: 'metadata.note', tableID: 0, columnID: 0, dataTypeID: 3802, dataTypeModifier: -1 },
+];
+
+const COLUMNS = FIELDS.map(({ name }) => ({ source: name, target: name.replace('.', '_') }));
+
+// All table columns are NOT NULL
+const NOT_NULL = [1, 2, 4, 5].map(attnum => ({ attrelid: 16384, attnum }));
+
+const ROWS = [
+  {
+    id: '9007199254740993',
+    created_at: new Date('2026-01-01T12:00:00.123Z'),
+    value: '1234.5678',
+    metadata: { tags: ['a'] },
+    'metadata.note': null,
+  },
+  {
+    id: '2',
+    created_at: new Date('2026-01-02T00:00:00Z'),
+    value: '-0.5000',
+    metadata: {},
+    'metadata.note': 'hello',
+  },
+];
+
+let tempDir;
+
+/**
+ * Runs streamToParquet into a file; it resolves once the file is written
+ */
+async function exportToFile(client, columns, outputPath, options) {
+  return streamToParquet(client, columns, fs.createWriteStream(outputPath), options);
+}
+
+beforeAll(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parquet-test-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('createParquetSchema', () => {
+  test('should use OPTIONAL only for nullable columns', () => {
+    const schema = createParquetSchema([
+      { target: 'id', type: 'int64', nullable: false },
+      { target: 'note', type: 'string', nullable: true },
+    ]);
+
+    expect(schema.fields.id.repetitionType).toBe('REQUIRED');
+    expect(schema.fields.note.repetitionType).toBe('OPTIONAL');
+  });
+
+  test('should store decimals as fixed-length byte arrays sized by precision', () => {
+    const schema = createParquetSchema([{ target: 'amount', type: 'decimal', precision: 30, scale: 2, nullable: false }]);
+    expect(schema.fields.amount).toMatchObject({ primitiveType: 'FIXED_LEN_BYTE_ARRAY', typeLength: 13 });
+  });
+});
+
+describe('streamToParquet', () => {
+  test('should write the schema derived from the column types', async () => {
+    const outputPath = path.join(tempDir, 'records.parquet');
+    const rowCount = await exportToFile(
+      createCursorClient(ROWS, { fields: FIELDS, notNull: NOT_NULL }),
+      COLUMNS,
+      outputPath,
+    );
+
+    const reader = await parquet.ParquetReader.openFile(outputPath);
+    const { fields } = reader.getSchema();
+
+    expect(rowCount).toBe(2);
+    expect(fields.id).toMatchObject({ primitiveType: 'INT64', repetitionType: 'REQUIRED' });
+    expect(fields.created_at).toMatchObject({ originalType: 'TIMESTAMP_MICROS', repetitionType: 'REQUIRED' });
+    expect(fields.value).toMatchObject({ originalType: 'DECIMAL', precision: 18, scale: 4 });
+    expect(fields.metadata).toMatchObject({ originalType: 'JSON', repetitionType: 'REQUIRED' });
+    expect(fields.metadata_note).toMatchObject({ originalType: 'JSON', repetitionType: 'OPTIONAL' });
+
+    const cursor = reader.getCursor();
+    const first = await cursor.next();
+    const second = await cursor.next();
+    await reader.close();
+
+    expect(first.id).toBe(9007199254740993n);
+    expect(first.created_at).toEqual(new Date('2026-01-01T12:00:00.123Z'));
+    expect(first.value).toEqual(Buffer.from([0x00, 0x00, 0x00, 0x00, 0x00, 0xbc, 0x61, 0x4e]));
+    expect(second.value).toEqual(Buffer.from([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xec, 0x78]));
+    expect(first.metadata).toEqual({ tags: ['a'] });
+    expect(first.metadata_note).toBeNull();
+    expect(second.metadata_note).toBe('hello');
+  });
+});
+
+describe('row group streaming', () => {
+  /**
+   * Fake client serving `total` single-column rows, recording how many bytes
+   * reached the output before each FETCH
+   */
+  function createLargeClient(total, output, bytesBeforeFetch) {
+    let served = 0;
+    let written = 0;
+    output.on('data', (chunk) => {
+      written += chunk.length;
+    });
+    return {
+      query: jest.fn(async (text) => {
+        if (text.includes('LIMIT 0')) {
+          return { rows: [], fields: [FIELDS[0]] };
+        }
+        if (text.startsWith('FETCH')) {
+          bytesBeforeFetch.push(written);
+          const count = Math.min(1000, total - served);
+          const rows = Array.from({ length: count }, (_, i) => ({ id: String(served + i) }));
+          served += count;
+          return { rows };
+        }
+        return { rows: [] };
+      }),
+    };
+  }
+
+  test('should write each completed row group before the export finishes', async () => {
+    const output = new PassThrough();
+    const bytesBeforeFetch = [];
+    const client = createLargeClient(25000, output, bytesBeforeFetch);
+
+    const rowCount = await streamToParquet(client, [{ source: 'id', target: 'id' }], output);
+
+    expect(rowCount).toBe(25000);
+    // Only the 4-byte magic header until the first 10,000-row group is full
+    expect(bytesBeforeFetch[9]).toBe(4);
+    expect(bytesBeforeFetch[10]).toBeGreaterThan(4);
+    expect(bytesBeforeFetch[20]).toBeGreaterThan(bytesBeforeFetch[10]);
+    expect(output.writableEnded).toBe(true);
+  });
+
+  test('should not write a footer or end the output when the export fails', async () => {
+    const output = new PassThrough();
+    output.resume();
+    const client = {
+      query: jest.fn(async (text) => {
+        if (text.includes('LIMIT 0')) return { rows: [], fields: [FIELDS[0]] };
+        if (text.startsWith('FETCH')) throw new Error('connection lost');
+        return { rows: [] };
+      }),
+    };
+
+    await expect(streamToParquet(client, [{ source: 'id', target: 'id' }], output)).rejects.toThrow('connection lost');
+    expect(output.writableEnded).toBe(false);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+});
+
+describe('nested JSONB output', () => {
+  const NESTED_FIELDS = [
+    { name: 'id', tableID: 16384, columnID: 1, dataTypeID: 20, dataTypeModifier: -1 },
+    { name: 'metadata', tableID: 16384, columnID: 5, dataTypeID: 3802, dataTypeModifier: -1 },
+  ];
+  const NESTED_ROWS = [
+    { id: '1', metadata: { category: 'Books', tags: ['a', 'b'], dims: { w: 2 } } },
+    { id: '2', metadata: { category: 'Games', tags: [], dims: { w: 'wide' } } },
+    { id: '3', metadata: null },
+  ];
+
+  function createNestedClient() {
+    let served = false;
+    return {
+      query: jest.fn(async (text) => {
+        if (text.includes('LIMIT 0')) {
+          return { rows: [], fields: NESTED_FIELDS };
+        }
+        if (text.includes('LIMIT')) {
+          return { rows: NESTED_ROWS.map(({ metadata }) => ({ metadata })) };
+        }
+        if (text.startsWith('FETCH')) {
+          const rows = served ? [] : NESTED_ROWS;
+          served = true;
+          return { rows };
+        }
+        return { rows: [] };
+      }),
+    };
+  }
+
+  async function readRows(outputPath) {
+    const reader = await parquet.ParquetReader.openFile(outputPath);
+    const cursor = reader.getCursor();
+    const rows = [];
+    let row;
+    while ((row = await cursor.next())) rows.push(row);
+    const { fieldList } = reader.getSchema();
+    await reader.close();
+    return { rows, paths: fieldList.map(field => field.path.join('.')) };
+  }
+
+  test('should infer groups and repeated fields from sampled rows', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const outputPath = path.join(tempDir, 'nested-sampled.parquet');
+    const client = createNestedClient();
+    const columns = [{ source: 'id', target: 'id' }, { source: 'metadata', target: 'metadata', nested: { sampleRows: 10 } }];
+
+    await exportToFile(client, columns, outputPath);
+    const { rows, paths } = await readRows(outputPath);
+
+    expect(client.query.mock.calls.some(([text]) => text.endsWith('LIMIT 10'))).toBe(true);
+    expect(paths).toEqual(['id', 'metadata', 'metadata.category', 'metadata.tags', 'metadata.dims', 'metadata.dims.w']);
+    // dims.w was both a number and a string, so it falls back to a string
+    expect(rows[0].metadata).toEqual({ category: 'Books', tags: ['a', 'b'], dims: { w: '2' } });
+    expect(rows[1].metadata).toEqual({ category: 'Games', tags: null, dims: { w: 'wide' } });
+    expect(rows[2].metadata).toBeNull();
+    expect(console.warn).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+
+  test('should follow a user-supplied sub-schema', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const outputPath = path.join(tempDir, 'nested-schema.parquet');
+    const client = createNestedClient();
+    const columns = [
+      { source: 'id', target: 'id' },
+      { source: 'metadata', target: 'metadata', nested: { schema: { category: 'string', dims: { w: 'double' } } } },
+    ];
+
+    await exportToFile(client, columns, outputPath);
+    const { rows, paths } = await readRows(outputPath);
+
+    expect(client.query.mock.calls.some(([text]) => /LIMIT [1-9]/.test(text))).toBe(false);
+    expect(paths).toEqual(['id', 'metadata', 'metadata.category', 'metadata.dims', 'metadata.dims.w']);
+    expect(rows[0].metadata).toEqual({ category: 'Books', dims: { w: 2 } });
+    expect(rows[1].metadata).toEqual({ category: 'Games', dims: { w: null } });
+    // Both rows carry tags, and the second a non-numeric dims.w
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('left out 3 nested values'));
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Tests for exports split into part files with a manifest
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'part-files-test-'));
+
+const request = require('supertest');
+const { runExport } = require('../source_code/jobs/exportRunner');
+const { PartCursorClient } = require('../source_code/utils/partCursor');
+const { createCursorClient, createRows } = require('./support/cursorClient');
+const { createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const COLUMNS = [{ source: 'id', target: 'id' }, { source: 'name', target: 'name' }];
+
+function createJob(options, overrides = {}) {
+  return {
+    exportId: crypto.randomUUID(),
+    format: 'csv',
+    columns: COLUMNS,
+    compression: null,
+    filters: null,
+    options,
+    ...overrides,
+  };
+}
+
+function readManifest(outputPath) {
+  return JSON.parse(fs.readFileSync(path.join(outputPath, 'manifest.json'), 'utf8'));
+}
+
+function statements(client) {
+  return client.query.mock.calls.map(([text]) => text.split(' ')[0]);
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('PartCursorClient', () => {
+  test('should end each part at maxRows and keep the surplus for the next', async () => {
+    const client = createCursorClient(createRows(5));
+    const parts = new PartCursorClient(client, { maxRows: 2 });
+
+    parts.startPart(() => 0);
+    await parts.query('BEGIN');
+    await parts.query('DECLARE csv_cursor CURSOR FOR SELECT 1');
+    expect((await parts.query('FETCH 10 FROM csv_cursor')).rows.map(row => row.id)).toEqual(['1', '2']);
+    expect((await parts.query('FETCH 10 FROM csv_cursor')).rows).toEqual([]);
+    await parts.query('CLOSE csv_cursor');
+    await parts.query('COMMIT');
+    expect(await parts.hasMoreRows()).toBe(true);
+
+    parts.startPart(() => 0);
+    await parts.query('BEGIN');
+    await parts.query('DECLARE csv_cursor CURSOR FOR SELECT 1');
+    expect((await parts.query('FETCH 10 FROM csv_cursor')).rows.map(row => row.id)).toEqual(['3', '4']);
+
+    // Only the first BEGIN and DECLARE and one real FETCH reach the database
+    expect(statements(client)).toEqual(['BEGIN', 'DECLARE', 'FETCH']);
+  });
+});
+
+describe('runExport with part files', () => {
+  test('should roll over to a new part with its own header every maxRowsPerFile rows', async () => {
+    const client = createCursorClient(createRows(5));
+    const job = createJob({ maxRowsPerFile: 2 });
+
+    const result = await runExport({ connect: async () => client }, job);
+
+    expect(result.outputPath).toBe(path.join(process.env.EXPORT_STORAGE_DIR, `export-${job.exportId}`));
+    expect(result.rowsExported).toBe(5);
+
+    const manifest = readManifest(result.outputPath);
+    expect(manifest.parts.map(part => part.file)).toEqual(['part-00000.csv', 'part-00001.csv', 'part-00002.csv']);
+    expect(manifest.parts.map(part => part.rows)).toEqual([2, 2, 1]);
+    expect(manifest.totalRows).toBe(5);
+
+    for (const part of manifest.parts) {
+      const content = fs.readFileSync(path.join(result.outputPath, part.file));
+      expect(content.toString('utf8').startsWith('id,name\n')).toBe(true);
+      expect(part.bytes).toBe(content.length);
+      expect(part.sha256).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+    }
+    expect(result.outputSize).toBe(manifest.parts.reduce((sum, part) => sum + part.bytes, 0));
+    expect(fs.readFileSync(path.join(result.outputPath, 'part-00002.csv'), 'utf8')).toBe('id,name\n5,Record_5\n');
+
+    // One cursor in one transaction across all parts
+    const sql = statements(client);
+    expect(sql.filter(text => text === 'BEGIN')).toHaveLength(1);
+    expect(sql.filter(text => text === 'DECLARE')).toHaveLength(1);
+    expect(sql.slice(-2)).toEqual(['CLOSE', 'COMMIT']);
+  });
+
+  test('should not write an empty part when rows divide evenly', async () => {
+    const result = await runExport({ connect: async () => createCursorClient(createRows(4)) }, createJob({ maxRowsPerFile: 2 }));
+
+    expect(readManifest(result.outputPath).parts.map(part => part.rows)).toEqual([2, 2]);
+  });
+
+  test('should roll over complete documents at maxBytesPerFile', async () => {
+    const job = createJob({ maxBytesPerFile: 20000 }, { format: 'json' });
+
+    const result = await runExport({ connect: async () => createCursorClient(createRows(5000)) }, job);
+
+    const manifest = readManifest(result.outputPath);
+    expect(manifest.parts.length).toBeGreaterThan(1);
+    for (const part of manifest.parts.slice(0, -1)) {
+      expect(part.bytes).toBeGreaterThanOrEqual(20000);
+      expect(part.bytes).toBeLessThan(20000 + 100);
+    }
+    const ids = [];
+    for (const part of manifest.parts) {
+      const rows = JSON.parse(fs.readFileSync(path.join(result.outputPath, part.file), 'utf8'));
+      expect(rows).toHaveLength(part.rows);
+      ids.push(...rows.map(row => row.id));
+    }
+    expect(ids).toEqual(createRows(5000).map(row => row.id));
+  });
+
+  test('should compress each part on its own', async () => {
+    const job = createJob({ maxRowsPerFile: 3, compressionLevel: 9 }, { compression: 'gzip' });
+
+    const result = await runExport({ connect: async () => createCursorClient(createRows(4)) }, job);
+
+    const manifest = readManifest(result.outputPath);
+    expect(manifest.parts.map(part => part.file)).toEqual(['part-00000.csv.gz', 'part-00001.csv.gz']);
+    const second = zlib.gunzipSync(fs.readFileSync(path.join(result.outputPath, 'part-00001.csv.gz')));
+    expect(second.toString('utf8')).toBe('id,name\n4,Record_4\n');
+  });
+
+  test('should roll back and remove every part when a later part fails', async () => {
+    const client = createCursorClient(createRows(5), { failOnFetch: 2 });
+    const job = createJob({ maxRowsPerFile: 2 }, { format: 'ndjson' });
+
+    await expect(runExport({ connect: async () => client }, job)).rejects.toThrow('connection lost');
+
+    expect(statements(client)).toContain('ROLLBACK');
+    expect(statements(client)).not.toContain('COMMIT');
+    expect(fs.readdirSync(process.env.EXPORT_STORAGE_DIR).filter(name => name.includes(job.exportId))).toEqual([]);
+  });
+});
+
+describe('runExport retrying a crashed part file job', () => {
+  test('should replace the parts left in its .partial directory', async () => {
+    const job = createJob({ maxRowsPerFile: 2 });
+    const partialPath = path.join(process.env.EXPORT_STORAGE_DIR, `export-${job.exportId}.partial`);
+    fs.mkdirSync(partialPath);
+    fs.writeFileSync(path.join(partialPath, 'part-00000.csv'), 'id,name\n9,Stale\n');
+    fs.writeFileSync(path.join(partialPath, 'part-00007.csv'), 'id,name\n');
+
+    const result = await runExport({ connect: async () => createCursorClient(createRows(3)) }, job);
+
+    expect(result.rowsExported).toBe(3);
+    expect(fs.readdirSync(result.outputPath).sort()).toEqual(['manifest.json', 'part-00000.csv', 'part-00001.csv']);
+    expect(fs.readFileSync(path.join(result.outputPath, 'part-00000.csv'), 'utf8')).toBe('id,name\n1,Record_1\n2,Record_2\n');
+    expect(fs.existsSync(partialPath)).toBe(false);
+  });
+});
+
+describe('part file routes', () => {
+  async function createCompletedJob() {
+    const job = createJob({ maxRowsPerFile: 2 });
+    const result = await runExport({ connect: async () => createCursorClient(createRows(3)) }, job);
+    return { ...job, ...result, status: 'completed', createdAt: new Date() };
+  }
+
+  test('should record the part limits and reject invalid ones', async () => {
+    const repository = new MemoryJobRepository();
+    const app = createExportApp(repository);
+
+    const created = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, maxRowsPerFile: 1000000, maxBytesPerFile: 104857600 });
+    expect(created.status).toBe(201);
+    expect(repository.jobs.get(created.body.exportId).options).toEqual({ maxRowsPerFile: 1000000, maxBytesPerFile: 104857600 });
+
+    const invalid = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, maxRowsPerFile: 0 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('maxRowsPerFile must be a positive integer');
+  });
+
+  test('should list the parts with download links in the manifest', async () => {
+    const job = await createCompletedJob();
+    const app = createExportApp(new MemoryJobRepository([job]));
+
+    const res = await request(app).get(`/exports/${job.exportId}/manifest`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.totalRows).toBe(3);
+    expect(res.body.parts).toHaveLength(2);
+    expect(res.body.parts[1]).toMatchObject({
+      index: 1,
+      file: 'part-00001.csv',
+      rows: 1,
+      download: `/exports/${job.exportId}/parts/1`,
+    });
+    expect(res.body.parts[1].sha256).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should download individual parts', async () => {
+    const job = await createCompletedJob();
+    const app = createExportApp(new MemoryJobRepository([job]));
+
+    const part = await request(app).get(`/exports/${job.exportId}/parts/1`);
+    expect(part.status).toBe(200);
+    expect(part.text).toBe('id,name\n3,Record_3\n');
+    expect(part.headers['content-disposition']).toBe(`attachment; filename="export-${job.exportId}-part-00001.csv"`);
+    expect(part.headers.etag).toBeDefined();
+
+    const ranged = await request(app).get(`/exports/${job.exportId}/parts/0`).set('Range', 'bytes=0-1');
+    expect(ranged.status).toBe(206);
+    expect(ranged.text).toBe('id');
+
+    const missing = await request(app).get(`/exports/${job.exportId}/parts/2`);
+    expect(missing.status).toBe(404);
+  });
+
+  test('should point whole-file downloads of split exports to the manifest', async () => {
+    const job = await createCompletedJob();
+    const app = createExportApp(new MemoryJobRepository([job]));
+
+    const res = await request(app).get(`/exports/${job.exportId}/download`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.manifest).toBe(`/exports/${job.exportId}/manifest`);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for deriving export schemas from PostgreSQL column types
+ */
+
+const {
+  columnTypeFromField,
+  decimalToBytes,
+  describeColumns,
+  toColumnValue,
+  toUnscaledDecimal,
+} = require('../source_code/utils/schemaInference');
+
+// numeric(p, s) type modifier as reported in dataTypeModifier
+const numericTypmod = (precision, scale) => ((precision << 16) | scale) + 4;
+
+describe('columnTypeFromField', () => {
+  test('should map type OIDs to column types', () => {
+    expect(columnTypeFromField({ dataTypeID: 20 })).toEqual({ type: 'int64' });
+    expect(columnTypeFromField({ dataTypeID: 23 })).toEqual({ type: 'int32' });
+    expect(columnTypeFromField({ dataTypeID: 1184 })).toEqual({ type: 'timestamp' });
+    expect(columnTypeFromField({ dataTypeID: 3802 })).toEqual({ type: 'json' });
+    expect(columnTypeFromField({ dataTypeID: 1043 })).toEqual({ type: 'string' });
+  });
+
+  test('should read precision and scale of numeric columns', () => {
+    expect(columnTypeFromField({ dataTypeID: 1700, dataTypeModifier: numericTypmod(18, 4) }))
+      .toEqual({ type: 'decimal', precision: 18, scale: 4 });
+  });
+
+  test('should export unconstrained numeric as a string', () => {
+    expect(columnTypeFromField({ dataTypeID: 1700, dataTypeModifier: -1 })).toEqual({ type: 'string' });
+  });
+});
+
+describe('describeColumns', () => {
+  test('should use the result-set fields and NOT NULL constraints', async () => {
+    const client = {
+      query: jest.fn(async (text) => {
+        if (text.includes('pg_attribute')) {
+          return { rows: [{ attrelid: 16384, attnum: 1 }] };
+        }
+        return {
+          rows: [],
+          fields: [
+            { name: 'id', tableID: 16384, columnID: 1, dataTypeID: 20, dataTypeModifier: -1 },
+            { name: 'metadata', tableID: 16384, columnID: 5, dataTypeID: 3802, dataTypeModifier: -1 },
+            { name: 'round(value, 2)', tableID: 0, columnID: 0, dataTypeID: 1700, dataTypeModifier: -1 },
+          ],
+        };
+      }),
+    };
+
+    const columns = await describeColumns(client, [
+      { source: 'id', target: 'record_id' },
+      { source: 'metadata', target: 'metadata' },
+      { source: 'round(value, 2)', target: 'rounded' },
+    ]);
+
+    expect(client.query.mock.calls[0][0]).toMatch(/ LIMIT 0$/);
+    expect(client.query.mock.calls[1][1]).toEqual([[16384]]);
+    expect(columns).toEqual([
+      { source: 'id', target: 'record_id', type: 'int64', nullable: false },
+      { source: 'metadata', target: 'metadata', type: 'json', nullable: true },
+      { source: 'round(value, 2)', target: 'rounded', type: 'string', nullable: true },
+    ]);
+  });
+});
+
+describe('toColumnValue', () => {
+  test('should keep BIGINTs and decimals exact', () => {
+    expect(toColumnValue('9007199254740993', 'int64')).toBe(9007199254740993n);
+    expect(toColumnValue('12345678901234.5678', 'decimal')).toBe('12345678901234.5678');
+  });
+
+  test('should keep the calendar day of dates', () => {
+    expect(toColumnValue(new Date(2026, 0, 15), 'date').toISOString()).toBe('2026-01-15T00:00:00.000Z');
+  });
+});
+
+describe('decimal encoding', () => {
+  test('should scale decimal strings to unscaled integers', () => {
+    expect(toUnscaledDecimal('12.5', 4)).toBe(125000n);
+    expect(toUnscaledDecimal('-0.0100', 4)).toBe(-100n);
+    expect(toUnscaledDecimal('42', 2)).toBe(4200n);
+    expect(() => toUnscaledDecimal('NaN', 2)).toThrow(/fixed-point/);
+  });
+
+  test('should encode minimal two\'s complement bytes', () => {
+    expect(decimalToBytes(0n)).toEqual(Buffer.from([0x00]));
+    expect(decimalToBytes(127n)).toEqual(Buffer.from([0x7f]));
+    expect(decimalToBytes(128n)).toEqual(Buffer.from([0x00, 0x80]));
+    expect(decimalToBytes(-1n)).toEqual(Buffer.from([0xff]));
+    expect(decimalToBytes(-129n)).toEqual(Buffer.from([0xff, 0x7f]));
+    expect(decimalToBytes(-2n, 4)).toEqual(Buffer.from([0xff, 0xff, 0xff, 0xfe]));
+  });
+});
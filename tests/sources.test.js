@@ -0,0 +1,195 @@
+/**
+ * Tests for allowlisted export sources and their ordering keys
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-test-'));
+
+const request = require('supertest');
+const { runExport } = require('../source_code/jobs/exportRunner');
+const { SourceCatalog, parseSourceAllowlist } = require('../source_code/utils/sourceCatalog');
+const { catalogColumn, createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const ALLOWLIST = 'records:id, orders, order_totals, analytics.*';
+
+const column = (name, dataType) => catalogColumn(name, dataType, { nullable: false });
+
+// information_schema columns by table name; analytics.events has no
+// configured key but a primary key, order_totals is a view without one
+const RELATIONS = {
+  records: [column('id', 'bigint'), column('name', 'text')],
+  orders: [column('order_ref', 'text'), column('total', 'numeric')],
+  order_totals: [column('customer', 'text'), column('total', 'numeric')],
+  events: [column('event_id', 'bigint'), column('kind', 'text')],
+};
+const PRIMARY_KEYS = { '"orders"': ['order_ref'], '"analytics"."events"': ['event_id'] };
+
+function createPool() {
+  return {
+    query: jest.fn(async (text, values) => {
+      if (text.includes('pg_index')) {
+        return { rows: (PRIMARY_KEYS[values[0]] || []).map(name => ({ column_name: name })) };
+      }
+      return { rows: RELATIONS[values[0]] || [] };
+    }),
+    connect: jest.fn(),
+  };
+}
+
+function createApp(repository) {
+  const pool = createPool();
+  return createExportApp(repository, { pool, sourceCatalog: new SourceCatalog(pool, ALLOWLIST) });
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('parseSourceAllowlist', () => {
+  test('should parse tables, schema-qualified relations and schema wildcards', () => {
+    expect(parseSourceAllowlist('records:id, analytics.events:event_id,archive.*')).toEqual([
+      { name: 'records', schema: null, table: 'records', orderBy: 'id' },
+      { name: 'analytics.events', schema: 'analytics', table: 'events', orderBy: 'event_id' },
+      { name: 'archive.*', schema: 'archive', table: '*', orderBy: null },
+    ]);
+  });
+
+  test('should reject malformed entries', () => {
+    expect(() => parseSourceAllowlist('records; DROP TABLE x')).toThrow('Invalid export source "records; DROP TABLE x"');
+    expect(() => parseSourceAllowlist('records:id:name')).toThrow(/Invalid export source/);
+    expect(() => parseSourceAllowlist(' , ')).toThrow('No export sources configured');
+  });
+});
+
+describe('SourceCatalog', () => {
+  test('should match sources exactly or by schema wildcard', () => {
+    const catalog = new SourceCatalog(createPool(), ALLOWLIST);
+
+    expect(catalog.defaultSource).toBe('records');
+    expect(catalog.entryFor('orders')).toMatchObject({ name: 'orders' });
+    expect(catalog.entryFor('analytics.sessions')).toMatchObject({ name: 'analytics.*' });
+    expect(catalog.entryFor('public.orders')).toBeNull();
+    expect(catalog.entryFor('users')).toBeNull();
+  });
+
+  test('should use the configured ordering key, else the primary key', async () => {
+    const pool = createPool();
+    const catalog = new SourceCatalog(pool, ALLOWLIST);
+
+    expect(await catalog.orderingKey('records')).toBe('id');
+    expect(await catalog.orderingKey('analytics.events')).toBe('event_id');
+    expect(await catalog.orderingKey('analytics.events')).toBe('event_id');
+    expect(await catalog.orderingKey('order_totals')).toBeNull();
+
+    const lookups = pool.query.mock.calls.filter(([text]) => text.includes('pg_index'));
+    expect(lookups.map(([, values]) => values[0])).toEqual(['"analytics"."events"', '"order_totals"']);
+  });
+});
+
+describe('POST /exports source', () => {
+  test('should store the source and its ordering key on the job', async () => {
+    const repository = new MemoryJobRepository();
+    const app = createApp(repository);
+
+    const res = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', source: 'analytics.events', columns: [{ source: 'kind', target: 'kind' }] });
+
+    expect(res.status).toBe(201);
+    expect(repository.jobs.get(res.body.exportId).source).toEqual({ name: 'analytics.events', orderBy: 'event_id' });
+    const status = await request(app).get(`/exports/${res.body.exportId}`);
+    expect(status.body).toMatchObject({ source: 'analytics.events', orderBy: 'event_id' });
+  });
+
+  test('should default to the first allowlisted source', async () => {
+    const repository = new MemoryJobRepository();
+
+    const res = await request(createApp(repository))
+      .post('/exports')
+      .send({ format: 'csv', columns: [{ source: 'name', target: 'name' }] });
+
+    expect(res.status).toBe(201);
+    expect(repository.jobs.get(res.body.exportId).source).toEqual({ name: 'records', orderBy: 'id' });
+  });
+
+  test('should validate columns against the source', async () => {
+    const res = await request(createApp(new MemoryJobRepository()))
+      .post('/exports')
+      .send({ format: 'csv', source: 'orders', columns: [{ source: 'name', target: 'name' }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/name/);
+  });
+
+  test('should reject sources outside the allowlist or without an ordering key', async () => {
+    const app = createApp(new MemoryJobRepository());
+    const send = body => request(app).post('/exports').send({ format: 'csv', columns: [{ source: 'total', target: 'total' }], ...body });
+
+    const unknown = await send({ source: 'users' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Unknown source "users". Must be one of: records, orders, order_totals, analytics.*');
+
+    const missing = await send({ source: 'analytics.sessions' });
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toBe('Source "analytics.sessions" does not exist');
+
+    const view = await send({ source: 'order_totals' });
+    expect(view.status).toBe(400);
+    expect(view.body.error).toBe('Source "order_totals" has no ordering key; configure one in EXPORT_SOURCES');
+  });
+
+  test('should require an integer ordering key for id watermarks and parallel exports', async () => {
+    const app = createApp(new MemoryJobRepository());
+    const send = body => request(app).post('/exports').send({ format: 'csv', source: 'orders', columns: [{ source: 'total', target: 'total' }], ...body });
+
+    const since = await send({ sinceId: 10 });
+    expect(since.status).toBe(400);
+    expect(since.body.error).toBe('Incremental exports by id require an integer ordering key; "order_ref" is not one');
+
+    const parallel = await send({ parallel: { partitions: 2 } });
+    expect(parallel.status).toBe(400);
+    expect(parallel.body.error).toBe('parallel requires an integer ordering key; "order_ref" is not one');
+  });
+});
+
+describe('runExport source', () => {
+  test('should read the source relation in the order of its key', async () => {
+    const client = {
+      query: jest.fn(async (text) => {
+        if (text.startsWith('EXPLAIN')) {
+          return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Plan Rows': 1 } }] }] };
+        }
+        if (text.startsWith('FETCH')) {
+          const fetched = client.query.mock.calls.filter(([statement]) => statement.startsWith('FETCH')).length;
+          return { rows: fetched === 1 ? [{ kind: 'click' }] : [] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn(),
+    };
+    const job = {
+      exportId: crypto.randomUUID(),
+      format: 'csv',
+      columns: [{ source: 'kind', target: 'kind' }],
+      compression: null,
+      filters: { kind: 'click' },
+      source: { name: 'analytics.events', orderBy: 'event_id' },
+    };
+
+    const result = await runExport({ connect: async () => client }, job);
+
+    expect(fs.readFileSync(result.outputPath, 'utf8')).toBe('kind\nclick\n');
+    const declare = client.query.mock.calls.map(([text]) => text).find(text => text.startsWith('DECLARE'));
+    expect(declare).toMatch(/FROM "analytics"\."events" WHERE "kind" = \$1 ORDER BY "event_id"$/);
+  });
+});
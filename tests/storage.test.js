@@ -0,0 +1,60 @@
+/**
+ * Tests for the free-space guard on the storage area
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.EXPORT_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+// More free space than any test machine has
+process.env.EXPORT_MIN_FREE_BYTES = String(Number.MAX_SAFE_INTEGER);
+
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { runExport } = require('../source_code/jobs/exportRunner');
+const { ensureFreeSpace, freeStorageBytes, InsufficientStorageError } = require('../source_code/utils/storage');
+const { createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+afterAll(() => {
+  fs.rmSync(process.env.EXPORT_STORAGE_DIR, { recursive: true, force: true });
+  delete process.env.EXPORT_MIN_FREE_BYTES;
+});
+
+describe('ensureFreeSpace', () => {
+  test('should report the free space of the storage area', async () => {
+    const freeBytes = await freeStorageBytes();
+    expect(freeBytes).toBeGreaterThan(0);
+
+    const error = await ensureFreeSpace().catch(err => err);
+    expect(error).toBeInstanceOf(InsufficientStorageError);
+    expect(error.freeBytes).toBe(freeBytes);
+    expect(error.message).toMatch(/Not enough free space for exports/);
+  });
+});
+
+describe('free space guard', () => {
+  test('should refuse to run a job before connecting to the database', async () => {
+    const pool = { connect: jest.fn() };
+    const job = { exportId: uuidv4(), format: 'parquet', columns: [{ source: 'id', target: 'id' }], compression: null, filters: null };
+
+    await expect(runExport(pool, job)).rejects.toThrow(InsufficientStorageError);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('should answer POST /exports with 507 without creating a job', async () => {
+    const repository = new MemoryJobRepository();
+    const worker = { wake: jest.fn() };
+    const app = createExportApp(repository, { worker });
+
+    const res = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: [{ source: 'id', target: 'id' }] });
+
+    expect(res.status).toBe(507);
+    expect(res.body.error).toMatch(/Not enough free space/);
+    expect(repository.jobs.size).toBe(0);
+    expect(worker.wake).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Rows of the records table as the default catalog describes it (id, name)
+ */
+function createRows(count) {
+  return Array.from({ length: count }, (_, i) => ({ id: String(i + 1), name: `Record_${i + 1}` }));
+}
+
+/**
+ * Fake pg client serving rows through the statements an export's cursor runs
+ *   EXPLAIN         - the row count as the planner's estimate
+ *   ... LIMIT 0     - no rows, with the result-set fields
+ *   pg_attribute    - the notNull rows ({ attrelid, attnum })
+ *   FETCH n         - the next n rows, or batchSize rows when given
+ * Everything else (BEGIN, DECLARE, CLOSE, ...) answers with no rows
+ * failOnFetch makes that FETCH (counting from 1) throw, like a dropped
+ * connection
+ */
+function createCursorClient(rows, {
+  fields = [], notNull = [], batchSize = null, failOnFetch = null,
+} = {}) {
+  let served = 0;
+  let fetches = 0;
+  return {
+    query: jest.fn(async (text) => {
+      if (text.startsWith('EXPLAIN')) {
+        return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Plan Rows': rows.length } }] }] };
+      }
+      if (text.includes('LIMIT 0')) {
+        return { rows: [], fields };
+      }
+      if (text.includes('pg_attribute')) {
+        return { rows: notNull };
+      }
+      if (text.startsWith('FETCH')) {
+        fetches++;
+        if (fetches === failOnFetch) throw new Error('connection lost');
+        const batch = rows.slice(served, served + (batchSize || Number(text.split(' ')[1])));
+        served += batch.length;
+        return { rows: batch, fields };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn(),
+  };
+}
+
+module.exports = {
+  createCursorClient,
+  createRows,
+};
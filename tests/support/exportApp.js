@@ -0,0 +1,71 @@
+/**
+ * Express app serving the export routes over a mock pool, used by route tests
+ */
+const express = require('express');
+const { SourceCatalog } = require('../../source_code/utils/sourceCatalog');
+
+/**
+ * information_schema.columns row describing one column of the mock relation
+ */
+function catalogColumn(name, dataType, { nullable = true, precision = null, scale = null } = {}) {
+  return {
+    column_name: name,
+    data_type: dataType,
+    is_nullable: nullable ? 'YES' : 'NO',
+    numeric_precision: precision,
+    numeric_scale: scale,
+  };
+}
+
+const DEFAULT_CATALOG = [
+  catalogColumn('id', 'bigint', { nullable: false, precision: 64, scale: 0 }),
+  catalogColumn('name', 'text'),
+];
+
+/**
+ * Pool answering every query with the given catalog rows, which is all the
+ * source catalog's information_schema lookups need
+ * options stands in for pg's pool.options (max and the like)
+ */
+function createCatalogPool(catalog = DEFAULT_CATALOG, options = undefined) {
+  return {
+    options,
+    query: jest.fn().mockResolvedValue({ rows: catalog }),
+    connect: jest.fn(),
+  };
+}
+
+/**
+ * Mounts the export routes, and the stream routes when a stream repository
+ * is given. A null pool leaves the source catalog out, for tests that only
+ * read jobs back
+ */
+function createExportApp(jobRepository, {
+  pool = createCatalogPool(),
+  sourceCatalog = pool && new SourceCatalog(pool),
+  worker = { wake: jest.fn(), cancel: jest.fn() },
+  streamRepository = null,
+  options = undefined,
+} = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use('/exports', require('../../source_code/routes/exports')(
+    pool,
+    jobRepository,
+    sourceCatalog,
+    worker,
+    streamRepository,
+    options,
+  ));
+  if (streamRepository) {
+    app.use('/streams', require('../../source_code/routes/streams')(streamRepository, sourceCatalog));
+  }
+  return app;
+}
+
+module.exports = {
+  DEFAULT_CATALOG,
+  catalogColumn,
+  createCatalogPool,
+  createExportApp,
+};
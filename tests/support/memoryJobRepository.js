@@ -0,0 +1,93 @@
+/**
+ * In-memory stand-in for JobRepository used by route and worker tests
+ */
+class MemoryJobRepository {
+  constructor(jobs = []) {
+    this.jobs = new Map(jobs.map(job => [job.exportId, { ...job }]));
+  }
+
+  async create(job) {
+    const stored = {
+      rowsExported: 0,
+      totalRows: null,
+      percentage: 0,
+      etaSeconds: null,
+      outputPath: null,
+      outputSize: null,
+      error: null,
+      attempts: 0,
+      startedAt: null,
+      completedAt: null,
+      ...job,
+    };
+    this.jobs.set(job.exportId, stored);
+    return { ...stored };
+  }
+
+  async get(exportId) {
+    const job = this.jobs.get(exportId);
+    return job ? { ...job } : null;
+  }
+
+  async list({ status, format, limit = 20, offset = 0 } = {}) {
+    const matching = [...this.jobs.values()]
+      .filter(job => (!status || job.status === status) && (!format || job.format === format))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return {
+      jobs: matching.slice(offset, offset + limit).map(job => ({ ...job })),
+      total: matching.length,
+    };
+  }
+
+  async cancel(exportId) {
+    const job = this.jobs.get(exportId);
+    if (!job || !['pending', 'processing'].includes(job.status)) {
+      return null;
+    }
+    Object.assign(job, { status: 'cancelled', completedAt: new Date(), etaSeconds: null });
+    return { ...job };
+  }
+
+  async delete(exportId) {
+    const job = this.jobs.get(exportId);
+    this.jobs.delete(exportId);
+    return job ? { ...job } : null;
+  }
+
+  async update(exportId, fields, { expectedStatus } = {}) {
+    const job = this.jobs.get(exportId);
+    if (!job || (expectedStatus && job.status !== expectedStatus)) {
+      return null;
+    }
+    Object.assign(job, fields);
+    return { ...job };
+  }
+
+  async claimNext(workerId) {
+    const pending = [...this.jobs.values()]
+      .filter(job => job.status === 'pending')
+      .sort((a, b) => a.createdAt - b.createdAt);
+    if (pending.length === 0) {
+      return null;
+    }
+
+    Object.assign(pending[0], {
+      status: 'processing',
+      workerId,
+      attempts: (pending[0].attempts || 0) + 1,
+      startedAt: new Date(),
+    });
+    return { ...pending[0] };
+  }
+
+  async heartbeat() {}
+
+  async recoverStaleJobs() {
+    return [];
+  }
+}
+
+module.exports = {
+  MemoryJobRepository,
+};
@@ -0,0 +1,48 @@
+/**
+ * In-memory stand-in for StreamRepository used by route and worker tests
+ */
+class MemoryStreamRepository {
+  constructor(streams = []) {
+    this.streams = new Map(streams.map(stream => [stream.name, { ...stream }]));
+  }
+
+  async create(stream) {
+    if (this.streams.has(stream.name)) {
+      return null;
+    }
+    const now = new Date();
+    const stored = { lastExportId: null, createdAt: now, updatedAt: now, ...stream };
+    this.streams.set(stream.name, stored);
+    return { ...stored };
+  }
+
+  async get(name) {
+    const stream = this.streams.get(name);
+    return stream ? { ...stream } : null;
+  }
+
+  async list() {
+    return [...this.streams.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(stream => ({ ...stream }));
+  }
+
+  async delete(name) {
+    const stream = this.streams.get(name);
+    this.streams.delete(name);
+    return stream ? { ...stream } : null;
+  }
+
+  async advance(name, from, to, exportId) {
+    const stream = this.streams.get(name);
+    if (!stream || stream.watermark !== from) {
+      return null;
+    }
+    Object.assign(stream, { watermark: to, lastExportId: exportId, updatedAt: new Date() });
+    return { ...stream };
+  }
+}
+
+module.exports = {
+  MemoryStreamRepository,
+};
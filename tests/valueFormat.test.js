@@ -0,0 +1,238 @@
+/**
+ * Tests for per-export value formatting across the CSV, JSON, XML and
+ * Parquet writers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const request = require('supertest');
+const parquet = require('@dsnp/parquetjs');
+const { streamToCSV } = require('../source_code/streaming/csvWriter');
+const { streamToJSON } = require('../source_code/streaming/jsonWriter');
+const { streamToNDJSON } = require('../source_code/streaming/ndjsonWriter');
+const { streamToParquet } = require('../source_code/streaming/parquetWriter');
+const { streamToXML } = require('../source_code/streaming/xmlWriter');
+const {
+  createValueFormatter, resolveValueFormat, roundDecimal, validateValueFormat,
+} = require('../source_code/utils/valueFormat');
+const { buildXmlSchema } = require('../source_code/utils/xmlSchema');
+const { createCursorClient } = require('./support/cursorClient');
+const { catalogColumn, createCatalogPool, createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const FIELDS = [
+  { name: 'id', tableID: 16384, columnID: 1, dataTypeID: 20, dataTypeModifier: -1 },
+  { name: 'price', tableID: 16384, columnID: 2, dataTypeID: 1700, dataTypeModifier: ((12 << 16) | 4) + 4 },
+  { name: 'created_at', tableID: 16384, columnID: 3, dataTypeID: 1184, dataTypeModifier: -1 },
+  { name: 'day', tableID: 16384, columnID: 4, dataTypeID: 1082, dataTypeModifier: -1 },
+  { name: 'active', tableID: 16384, columnID: 5, dataTypeID: 16, dataTypeModifier: -1 },
+];
+
+const COLUMNS = FIELDS.map(({ name }) => ({ source: name, target: name }));
+
+const CATALOG = FIELDS.map(({ name }) => catalogColumn(name, 'text'));
+
+// Berlin switches to summer time at 01:00 UTC on 2026-03-29
+const ROWS = [
+  {
+    id: '1', price: '12.3450', created_at: new Date('2026-03-29T00:30:00.500Z'), day: new Date(2026, 2, 29), active: true,
+  },
+  {
+    id: '2', price: '-0.0040', created_at: new Date('2026-03-29T01:30:00Z'), day: null, active: false,
+  },
+];
+
+const VALUE_FORMAT = {
+  timezone: 'Europe/Berlin',
+  decimals: 2,
+  numbers: 'number',
+  columns: { active: { booleans: ['yes', 'no'] } },
+};
+
+async function exportText(streamTo, valueFormat) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  await streamTo(createCursorClient(ROWS, { fields: FIELDS }), COLUMNS, output, { valueFormat });
+  await new Promise(resolve => output.on('end', resolve));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+let tempDir;
+
+beforeAll(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'value-format-test-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('validateValueFormat', () => {
+  test('should accept every documented setting', () => {
+    expect(validateValueFormat({
+      timestamps: "dd.MM.yyyy 'at' HH:mm",
+      timezone: 'America/New_York',
+      decimals: 4,
+      numbers: 'string',
+      booleans: 'number',
+      columns: { created_at: { timestamps: 'epochMillis' }, active: { booleans: ['Y', 'N'] }, price: { decimals: null } },
+    }, COLUMNS)).toBeNull();
+  });
+
+  test('should reject invalid settings', () => {
+    expect(validateValueFormat('iso')).toBe('valueFormat must be an object');
+    expect(validateValueFormat({ dates: 'iso' })).toBe('Unknown valueFormat option "dates"');
+    expect(validateValueFormat({ timestamps: 'yyyy-MM-dd hh:mm' })).toMatch(/^valueFormat.timestamps must be one of/);
+    expect(validateValueFormat({ timestamps: "'today'" })).toMatch(/^valueFormat.timestamps/);
+    expect(validateValueFormat({ timezone: 'Mars/Olympus' })).toMatch(/^valueFormat.timezone must be an IANA time zone/);
+    expect(validateValueFormat({ decimals: 39 })).toBe('valueFormat.decimals must be an integer between 0 and 38, or null');
+    expect(validateValueFormat({ numbers: 'bigint' })).toBe('valueFormat.numbers must be one of: native, number, string');
+    expect(validateValueFormat({ booleans: ['Y', 'Y'] })).toMatch(/^valueFormat.booleans/);
+    expect(validateValueFormat({ columns: { name: {} } }, COLUMNS)).toBe('valueFormat.columns: unknown target column "name"');
+    expect(validateValueFormat({ columns: { id: { columns: {} } } }, COLUMNS)).toBe('Unknown valueFormat.columns.id option "columns"');
+    expect(validateValueFormat({ columns: { id: { decimals: -1 } } }, COLUMNS)).toMatch(/^valueFormat.columns.id.decimals/);
+    expect(validateValueFormat({ columns: { a: { numbers: 'string' } } }, [
+      { source: 'id', target: 'a' },
+      { source: 'id', target: 'b' },
+    ])).toBe('valueFormat.columns.a: source "id" is exported by another column too');
+  });
+});
+
+describe('value formatting', () => {
+  test('should round decimal text half away from zero without going through floats', () => {
+    expect(roundDecimal('12.345', 2)).toBe('12.35');
+    expect(roundDecimal('-12.345', 2)).toBe('-12.35');
+    expect(roundDecimal('-0.004', 2)).toBe('0.00');
+    expect(roundDecimal('9.995', 2)).toBe('10.00');
+    expect(roundDecimal('12345678901234567890.5', 0)).toBe('12345678901234567891');
+    expect(roundDecimal('1.5', 3)).toBe('1.500');
+    expect(roundDecimal('NaN', 2)).toBe('NaN');
+  });
+
+  test('should write timestamps in the time zone, as epochs or by pattern', () => {
+    const format = valueFormat => createValueFormatter(COLUMNS, valueFormat).formatRows(ROWS, FIELDS);
+
+    expect(format({ timezone: 'Europe/Berlin' }).map(row => row.created_at))
+      .toEqual(['2026-03-29T01:30:00.500+01:00', '2026-03-29T03:30:00.000+02:00']);
+    expect(format({ timestamps: 'iso' })[0]).toMatchObject({ created_at: '2026-03-29T00:30:00.500Z', day: '2026-03-29' });
+    expect(format({ timestamps: 'epoch' })[0]).toMatchObject({ created_at: 1774744200.5, day: 1774742400 });
+    expect(format({ timestamps: 'epochMillis' })[1].created_at).toBe(1774747800000);
+    expect(format({ timestamps: "dd.MM.yyyy 'um' HH:mm XXX", timezone: 'America/St_Johns' })[0].created_at)
+      .toBe('28.03.2026 um 22:00 -02:30');
+  });
+
+  test('should leave values alone that no setting applies to', () => {
+    const [row] = createValueFormatter(COLUMNS, { booleans: 'number' }).formatRows(ROWS, FIELDS);
+    expect(row).toEqual({ ...ROWS[0], active: 1 });
+  });
+});
+
+describe('writers with valueFormat', () => {
+  test('should write formatted numbers as JSON numbers', async () => {
+    expect(JSON.parse(await exportText(streamToJSON))[0]).toEqual({
+      id: '1', price: '12.3450', created_at: '2026-03-29T00:30:00.500Z', day: ROWS[0].day.toISOString(), active: true,
+    });
+
+    expect(await exportText(streamToJSON, VALUE_FORMAT)).toBe(
+      '[{"id":1,"price":12.35,"created_at":"2026-03-29T01:30:00.500+01:00","day":"2026-03-29","active":"yes"},'
+      + '{"id":2,"price":0.00,"created_at":"2026-03-29T03:30:00.000+02:00","day":null,"active":"no"}]',
+    );
+    expect((await exportText(streamToNDJSON, { ...VALUE_FORMAT, numbers: 'string' })).split('\n')[0])
+      .toBe('{"id":"1","price":"12.35","created_at":"2026-03-29T01:30:00.500+01:00","day":"2026-03-29","active":"yes"}');
+  });
+
+  test('should render the same values in CSV and XML', async () => {
+    expect(await exportText(streamToCSV, VALUE_FORMAT)).toBe([
+      'id,price,created_at,day,active',
+      '1,12.35,2026-03-29T01:30:00.500+01:00,2026-03-29,yes',
+      '2,0.00,2026-03-29T03:30:00.000+02:00,,no',
+      '',
+    ].join('\n'));
+
+    // Timestamps default to ISO 8601 in UTC rather than Date.toString()
+    expect((await exportText(streamToCSV)).split('\n')[1]).toMatch(/^1,12\.3450,2026-03-29T00:30:00\.500Z,/);
+
+    expect(await exportText(streamToXML, VALUE_FORMAT)).toContain(
+      '<record><id>1</id><price>12.35</price><created_at>2026-03-29T01:30:00.500+01:00</created_at>'
+      + '<day>2026-03-29</day><active>yes</active></record>',
+    );
+  });
+
+  test('should give Parquet columns the type of their formatted values', async () => {
+    const outputPath = path.join(tempDir, 'formatted.parquet');
+    await streamToParquet(createCursorClient(ROWS, { fields: FIELDS }), COLUMNS, fs.createWriteStream(outputPath), {
+      valueFormat: {
+        timestamps: 'epochMillis',
+        booleans: 'number',
+        decimals: 2,
+        columns: { id: { numbers: 'string' }, day: { timestamps: 'iso' } },
+      },
+    });
+
+    const reader = await parquet.ParquetReader.openFile(outputPath);
+    const { fields } = reader.getSchema();
+    expect(fields.id.primitiveType).toBe('BYTE_ARRAY');
+    expect(fields.price.originalType).toBe('DECIMAL');
+    expect(fields.created_at.primitiveType).toBe('INT64');
+    expect(fields.created_at.originalType).toBeUndefined();
+    expect(fields.day.originalType).toBe('UTF8');
+    expect(fields.active.primitiveType).toBe('INT32');
+
+    const row = await reader.getCursor().next();
+    await reader.close();
+    expect(row).toMatchObject({
+      id: '1', created_at: 1774744200500n, day: '2026-03-29', active: 1,
+    });
+  });
+
+  test('should declare the formatted types in the XML schema', () => {
+    const types = {
+      id: { dataType: 'bigint', nullable: false },
+      price: { dataType: 'numeric', nullable: true },
+      created_at: { dataType: 'timestamp with time zone', nullable: false },
+      day: { dataType: 'date', nullable: false },
+      active: { dataType: 'boolean', nullable: false },
+    };
+
+    const xsd = buildXmlSchema(COLUMNS, types, undefined, VALUE_FORMAT);
+    expect(xsd).toContain('<xs:element name="created_at" type="xs:dateTime"/>');
+    expect(xsd).toContain('<xs:element name="day" type="xs:date"/>');
+    expect(xsd).toContain('<xs:element name="active" type="xs:string"/>');
+
+    const epoch = buildXmlSchema(COLUMNS, types, undefined, { timestamps: 'epoch', columns: { day: { timestamps: 'dd.MM.yyyy' } } });
+    expect(epoch).toContain('<xs:element name="created_at" type="xs:double"/>');
+    expect(epoch).toContain('<xs:element name="day" type="xs:string"/>');
+    expect(epoch).toContain('<xs:element name="active" type="xs:boolean"/>');
+  });
+});
+
+describe('POST /exports valueFormat', () => {
+  test('should record the given settings on the job', async () => {
+    const repository = new MemoryJobRepository();
+    const created = await request(createExportApp(repository, { pool: createCatalogPool(CATALOG) }))
+      .post('/exports')
+      .send({ format: 'json', columns: COLUMNS, valueFormat: VALUE_FORMAT });
+
+    expect(created.status).toBe(201);
+    expect(repository.jobs.get(created.body.exportId).options).toEqual({ valueFormat: resolveValueFormat(VALUE_FORMAT) });
+  });
+
+  test('should reject invalid settings and formats without value formatting', async () => {
+    const app = createExportApp(new MemoryJobRepository(), { pool: createCatalogPool(CATALOG) });
+
+    const xlsx = await request(app).post('/exports').send({ format: 'xlsx', columns: COLUMNS, valueFormat: {} });
+    expect(xlsx.status).toBe(400);
+    expect(xlsx.body.error).toBe('valueFormat is not supported for xlsx format');
+
+    const invalid = await request(app)
+      .post('/exports')
+      .send({ format: 'csv', columns: COLUMNS, valueFormat: { columns: { total: { decimals: 2 } } } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('valueFormat.columns: unknown target column "total"');
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for the streaming Excel writer
+ */
+
+const ExcelJS = require('exceljs');
+const { PassThrough } = require('stream');
+const request = require('supertest');
+const { streamToXLSX } = require('../source_code/streaming/xlsxWriter');
+const { ExportCancelledError } = require('../source_code/utils/cancellation');
+const { createCursorClient } = require('./support/cursorClient');
+const { createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const FIELDS = [
+  { name: 'id', dataTypeID: 20 },
+  { name: 'name', dataTypeID: 25 },
+  { name: 'value', dataTypeID: 1700 },
+  { name: 'created_at', dataTypeID: 1184 },
+  { name: 'metadata', dataTypeID: 3802 },
+];
+
+const COLUMNS = FIELDS.map(({ name }) => ({ source: name, target: name.toUpperCase() }));
+
+function createRow(id) {
+  return {
+    id: String(id),
+    name: `Record_${id}`,
+    value: '12.50',
+    created_at: new Date(Date.UTC(2026, 0, id, 12, 30)),
+    metadata: { tags: ['a'] },
+  };
+}
+
+async function exportWorkbook(rows, options = {}) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const rowCount = await streamToXLSX(createCursorClient(rows, { fields: FIELDS, batchSize: 2 }), COLUMNS, output, options);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.concat(chunks));
+  return { rowCount, workbook };
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('streamToXLSX', () => {
+  test('should write a bold header and typed cells', async () => {
+    const row = createRow(1);
+    row.id = '9007199254740993';
+    const { rowCount, workbook } = await exportWorkbook([row, createRow(2)]);
+
+    expect(rowCount).toBe(2);
+    const sheet = workbook.worksheets[0];
+    expect(sheet.getRow(1).values.slice(1)).toEqual(['ID', 'NAME', 'VALUE', 'CREATED_AT', 'METADATA']);
+    expect(sheet.getRow(1).font.bold).toBe(true);
+
+    // Too many digits for Excel, so kept as text
+    expect(sheet.getCell('A2').value).toBe('9007199254740993');
+    expect(sheet.getCell('A3').value).toBe(2);
+    expect(sheet.getCell('C2').value).toBe(12.5);
+    expect(sheet.getCell('D2').value).toEqual(new Date(Date.UTC(2026, 0, 1, 12, 30)));
+    expect(sheet.getCell('D2').numFmt).toBe('yyyy-mm-dd hh:mm:ss');
+    expect(sheet.getCell('E2').value).toBe('{"tags":["a"]}');
+  });
+
+  test('should roll over to a new sheet at the row limit', async () => {
+    const rows = [1, 2, 3, 4, 5].map(createRow);
+    const { rowCount, workbook } = await exportWorkbook(rows, { maxRowsPerSheet: 3 });
+
+    expect(rowCount).toBe(5);
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Export', 'Export 2', 'Export 3']);
+    expect(workbook.worksheets.map(sheet => sheet.rowCount)).toEqual([3, 3, 2]);
+    expect(workbook.worksheets[1].getCell('A1').value).toBe('ID');
+    expect(workbook.worksheets[1].getCell('A2').value).toBe(3);
+  });
+
+  test('should stop and roll back when cancelled', async () => {
+    const client = createCursorClient([1, 2, 3, 4].map(createRow), { fields: FIELDS, batchSize: 2 });
+    const controller = new AbortController();
+    const output = new PassThrough();
+    output.resume();
+
+    await expect(streamToXLSX(client, COLUMNS, output, {
+      signal: controller.signal,
+      onProgress: () => controller.abort(),
+    })).rejects.toThrow(ExportCancelledError);
+
+    expect(client.query.mock.calls.map(([text]) => text).slice(-2)).toEqual(['CLOSE xlsx_cursor', 'ROLLBACK']);
+  });
+});
+
+describe('POST /exports maxRowsPerSheet', () => {
+  const columns = [{ source: 'id', target: 'id' }];
+
+  test('should record the sheet size on xlsx jobs', async () => {
+    const repository = new MemoryJobRepository();
+
+    const res = await request(createExportApp(repository))
+      .post('/exports')
+      .send({ format: 'xlsx', columns, maxRowsPerSheet: 500000 });
+
+    expect(res.status).toBe(201);
+    expect(repository.jobs.get(res.body.exportId).options).toEqual({ maxRowsPerSheet: 500000 });
+  });
+
+  test('should reject other formats and sizes Excel cannot hold', async () => {
+    const app = createExportApp(new MemoryJobRepository());
+    const send = body => request(app).post('/exports').send({ format: 'xlsx', columns, ...body });
+
+    const csv = await send({ format: 'csv', maxRowsPerSheet: 1000 });
+    expect(csv.status).toBe(400);
+    expect(csv.body.error).toBe('maxRowsPerSheet is only supported for xlsx format');
+
+    for (const maxRowsPerSheet of [1, 1048577, '1000', 2.5]) {
+      const res = await send({ maxRowsPerSheet });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('maxRowsPerSheet must be an integer between 2 and 1048576');
+    }
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for XML document options, XML name encoding and the XSD of XML exports
+ */
+
+const { PassThrough } = require('stream');
+const request = require('supertest');
+const { streamToXML } = require('../source_code/streaming/xmlWriter');
+const { decodeXmlName, encodeXmlName, isXmlName } = require('../source_code/utils/xmlNames');
+const { resolveXmlOptions, validateXmlOptions } = require('../source_code/utils/xmlOptions');
+const { buildXmlSchema } = require('../source_code/utils/xmlSchema');
+const { createCursorClient } = require('./support/cursorClient');
+const { catalogColumn, createCatalogPool, createExportApp } = require('./support/exportApp');
+const { MemoryJobRepository } = require('./support/memoryJobRepository');
+
+const COLUMNS = [
+  { source: 'id', target: 'id' },
+  { source: 'name', target: 'full name' },
+  { source: 'metadata', target: 'metadata' },
+];
+
+const COLUMN_TYPES = { id: 'bigint', 'full name': 'text', metadata: 'jsonb' };
+
+const CATALOG = [
+  catalogColumn('id', 'bigint', { nullable: false, precision: 64, scale: 0 }),
+  catalogColumn('name', 'text'),
+  catalogColumn('metadata', 'jsonb'),
+];
+
+const ROWS = [
+  { id: '1', name: 'A & B', metadata: { '1abc': 'x', tags: ['a', null] } },
+  { id: '2', name: null, metadata: null },
+];
+
+async function exportXML(xmlOptions, rows = ROWS) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  await streamToXML(createCursorClient(rows), COLUMNS, output, { xmlOptions });
+  await new Promise(resolve => output.on('end', resolve));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('XML names', () => {
+  test('should leave valid names alone and encode the rest reversibly', () => {
+    expect(encodeXmlName('created_at')).toBe('created_at');
+    expect(encodeXmlName('naïve')).toBe('naïve');
+    expect(encodeXmlName('1abc')).toBe('_x0031_abc');
+    expect(encodeXmlName('full name')).toBe('full_x0020_name');
+    expect(encodeXmlName('a:b')).toBe('a_x003A_b');
+    expect(encodeXmlName('_x0020_')).toBe('_x005F_x0020_');
+
+    for (const name of ['1abc', 'full name', '_x0020_', '-', '😀', '', 'a.b-c']) {
+      expect(isXmlName(encodeXmlName(name))).toBe(true);
+      expect(decodeXmlName(encodeXmlName(name))).toBe(name);
+    }
+  });
+});
+
+describe('validateXmlOptions', () => {
+  test('should accept every documented setting', () => {
+    expect(validateXmlOptions({
+      rootElement: 'customers',
+      rowElement: 'customer',
+      namespace: 'urn:example:customers',
+      namespacePrefix: 'c',
+      cdata: true,
+      nulls: 'nil',
+      columns: { id: { as: 'attribute' }, 'full name': { cdata: false } },
+    }, COLUMN_TYPES)).toBeNull();
+  });
+
+  test('should reject invalid settings', () => {
+    expect(validateXmlOptions('records')).toBe('xmlOptions must be an object');
+    expect(validateXmlOptions({ root: 'x' })).toBe('Unknown xmlOptions option "root"');
+    expect(validateXmlOptions({ rowElement: '1row' })).toBe('xmlOptions.rowElement must be a valid XML name without a prefix');
+    expect(validateXmlOptions({ rootElement: 'a:b' })).toMatch(/^xmlOptions.rootElement/);
+    expect(validateXmlOptions({ namespace: 'urn:a b' })).toMatch(/^xmlOptions.namespace must be a URI/);
+    expect(validateXmlOptions({ namespacePrefix: 'c' })).toBe('xmlOptions.namespacePrefix requires xmlOptions.namespace');
+    expect(validateXmlOptions({ namespace: 'urn:a', namespacePrefix: 'xmlns' })).toMatch(/not starting with "xml"/);
+    expect(validateXmlOptions({ nulls: 'omit' })).toBe('xmlOptions.nulls must be one of: empty, nil');
+    expect(validateXmlOptions({ columns: { name: {} } }, COLUMN_TYPES)).toBe('xmlOptions.columns: unknown target column "name"');
+    expect(validateXmlOptions({ columns: { id: { as: 'text' } } }, COLUMN_TYPES)).toMatch(/as must be one of: element, attribute/);
+    expect(validateXmlOptions({ columns: { metadata: { as: 'attribute' } } }, COLUMN_TYPES))
+      .toBe('xmlOptions.columns.metadata: json and jsonb columns cannot be attributes');
+    expect(validateXmlOptions({ columns: { id: { as: 'attribute', cdata: true } } }, COLUMN_TYPES))
+      .toBe('xmlOptions.columns.id: attributes cannot hold CDATA');
+    expect(validateXmlOptions({ columns: { id: { as: 'attribute' } } }, COLUMN_TYPES, ['id', 'full name', 'id']))
+      .toBe('xmlOptions.columns: more than one attribute column would be named "id"');
+  });
+});
+
+describe('streamToXML with xmlOptions', () => {
+  test('should write <records><record> with encoded names by default', async () => {
+    expect(await exportXML()).toBe([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<records>',
+      '<record><id>1</id><full_x0020_name>A &amp; B</full_x0020_name>'
+        + '<metadata><_x0031_abc>x</_x0031_abc><tags><item>a</item><item/></tags></metadata></record>',
+      '<record><id>2</id><full_x0020_name/><metadata/></record>',
+      '</records>',
+    ].join('\n'));
+  });
+
+  test('should apply element names, namespace, attribute columns, CDATA and nil', async () => {
+    const xml = await exportXML({
+      rootElement: 'customers',
+      rowElement: 'customer',
+      namespace: 'urn:example:customers',
+      namespacePrefix: 'c',
+      cdata: true,
+      nulls: 'nil',
+      columns: { id: { as: 'attribute' } },
+    }, [
+      { id: '1', name: 'a]]>b', metadata: { k: 1 } },
+      { id: '2', name: null, metadata: null },
+    ]);
+
+    expect(xml.split('\n')).toEqual([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<c:customers xmlns:c="urn:example:customers" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+      '<c:customer id="1"><c:full_x0020_name><![CDATA[a]]]]><![CDATA[>b]]></c:full_x0020_name>'
+        + '<c:metadata><c:k>1</c:k></c:metadata></c:customer>',
+      '<c:customer id="2"><c:full_x0020_name xsi:nil="true"/><c:metadata xsi:nil="true"/></c:customer>',
+      '</c:customers>',
+    ]);
+  });
+
+  test('should escape attribute values and write timestamps as ISO 8601', async () => {
+    const createdAt = new Date('2026-02-10T08:30:00Z');
+    const xml = await exportXML({ namespace: 'urn:x', columns: { 'full name': { as: 'attribute' } } }, [
+      { id: '1', name: 'line\none "two"', metadata: { at: 'x' } },
+      { id: createdAt, name: null, metadata: null },
+    ]);
+
+    expect(xml).toContain('<records xmlns="urn:x">');
+    expect(xml).toContain('<record full_x0020_name="line&#10;one &quot;two&quot;"><id>1</id>');
+    expect(xml).toContain('<record><id>2026-02-10T08:30:00.000Z</id><metadata/></record>');
+  });
+
+  test('should drop characters XML 1.0 cannot hold', async () => {
+    const xml = await exportXML({ columns: { id: { as: 'attribute' }, metadata: { cdata: true } } }, [
+      { id: 'a\u0000b', name: 'bell\u0007\ttab\u001F', metadata: 'x\u000By\uFFFF\uD800' },
+    ]);
+
+    expect(xml).toContain('<record id="ab"><full_x0020_name>bell\ttab</full_x0020_name><metadata><![CDATA[xy]]></metadata></record>');
+  });
+});
+
+describe('buildXmlSchema', () => {
+  const types = {
+    id: { dataType: 'bigint', nullable: false },
+    'full name': { dataType: 'text', nullable: true },
+    metadata: { dataType: 'jsonb', nullable: true },
+  };
+
+  test('should declare element columns with their types and renamed ones with their column', () => {
+    const xsd = buildXmlSchema(COLUMNS, types);
+
+    expect(xsd).toContain('<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">');
+    expect(xsd).toContain('<xs:element name="records">');
+    expect(xsd).toContain('<xs:element name="record" minOccurs="0" maxOccurs="unbounded">');
+    expect(xsd).toContain('<xs:element name="id" type="xs:long"/>');
+    expect(xsd).toContain('<xs:documentation>Column "full name"</xs:documentation>');
+    expect(xsd).toContain('<xs:any minOccurs="0" maxOccurs="unbounded" processContents="skip"/>');
+  });
+
+  test('should follow the namespace, attribute columns and null style', () => {
+    const nullableId = { ...types, id: { dataType: 'bigint', nullable: true } };
+    const xsd = buildXmlSchema(COLUMNS, nullableId, {
+      namespace: 'urn:example:customers',
+      namespacePrefix: 'c',
+      nulls: 'nil',
+      columns: { id: { as: 'attribute' } },
+    });
+
+    expect(xsd).toContain('targetNamespace="urn:example:customers" xmlns:c="urn:example:customers" elementFormDefault="qualified"');
+    expect(xsd).toContain('<xs:attribute name="id" type="xs:long" use="optional"/>');
+    expect(xsd).toContain('<xs:element name="metadata" nillable="true">');
+
+    // With empty elements for NULL, nullable numbers also accept ""
+    const empty = buildXmlSchema(COLUMNS.slice(0, 1), nullableId);
+    expect(empty).toContain('<xs:union memberTypes="xs:long">');
+  });
+});
+
+describe('POST /exports xmlOptions and GET /exports/:exportId/schema', () => {
+  test('should record the effective settings and serve the matching XSD', async () => {
+    const repository = new MemoryJobRepository();
+    const app = createExportApp(repository, { pool: createCatalogPool(CATALOG) });
+    const xmlOptions = { rowElement: 'customer', columns: { id: { as: 'attribute' } } };
+
+    const created = await request(app).post('/exports').send({ format: 'xml', columns: COLUMNS, xmlOptions });
+    expect(created.status).toBe(201);
+
+    const job = repository.jobs.get(created.body.exportId);
+    expect(job.options).toEqual({ xmlOptions: resolveXmlOptions(xmlOptions) });
+
+    const schema = await request(app).get(`/exports/${created.body.exportId}/schema`);
+    expect(schema.status).toBe(200);
+    expect(schema.headers['content-type']).toBe('application/xml; charset=utf-8');
+    expect(schema.text).toBe(buildXmlSchema(COLUMNS, {
+      id: { dataType: 'bigint', nullable: false },
+      'full name': { dataType: 'text', nullable: true },
+      metadata: { dataType: 'jsonb', nullable: true },
+    }, job.options.xmlOptions));
+  });
+
+  test('should reject misplaced xmlOptions and schemas of other formats', async () => {
+    const app = createExportApp(new MemoryJobRepository(), { pool: createCatalogPool(CATALOG) });
+
+    const csv = await request(app).post('/exports').send({ format: 'csv', columns: COLUMNS, xmlOptions: {} });
+    expect(csv.status).toBe(400);
+    expect(csv.body.error).toBe('xmlOptions is only supported for xml format');
+
+    const attribute = await request(app)
+      .post('/exports')
+      .send({ format: 'xml', columns: COLUMNS, xmlOptions: { columns: { metadata: { as: 'attribute' } } } });
+    expect(attribute.status).toBe(400);
+
+    const twice = await request(app).post('/exports').send({
+      format: 'xml',
+      columns: [{ source: 'id', target: 'key' }, { source: 'name', target: 'key' }],
+      xmlOptions: { columns: { key: { as: 'attribute' } } },
+    });
+    expect(twice.status).toBe(400);
+    expect(twice.body.error).toBe('xmlOptions.columns: more than one attribute column would be named "key"');
+
+    const created = await request(app).post('/exports').send({ format: 'csv', columns: COLUMNS });
+    const schema = await request(app).get(`/exports/${created.body.exportId}/schema`);
+    expect(schema.status).toBe(404);
+    expect(schema.body.error).toBe('Only xml exports have an XML schema');
+
+    expect((await request(app).get('/exports/missing/schema')).status).toBe(404);
+  });
+});